@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Renders a saved plan to PDF in plain Node, with the same code as the app's Download PDF (src/pdf.js):
+//
+//   npm run pdf -- plan.json [out.pdf] [--market <id|name>] [--region <id|name>] [--year 2025] [--paper a4|letter] [--date 2025-01-31]
+//
+// plan.json is a Settings → Export JSON file (or a bare state). Without --market it writes the
+// executive pack. --date pins the generated date, so reruns on an unchanged plan give the same bytes.
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { migrateState, regionMarketIds } from "../src/plan.js";
+import { PDF_PAPER, parseTTF, toPDF } from "../src/pdf.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const USAGE = "Usage: npm run pdf -- plan.json [out.pdf] [--market <id|name>] [--region <id|name>] [--year <year>] [--paper a4|letter] [--date YYYY-MM-DD]";
+
+function parseArgs(argv) {
+  const files = [], options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) { files.push(arg); continue; }
+    const value = argv[++i];
+    if (value == null) throw new Error(`${arg} needs a value.`);
+    options[arg.slice(2)] = value;
+  }
+  const unknown = Object.keys(options).filter((k) => !["market", "region", "year", "paper", "date"].includes(k));
+  if (!files.length || files.length > 2 || unknown.length) throw new Error(unknown.length ? `Unknown option --${unknown[0]}.` : USAGE);
+  return { input: files[0], output: files[1], ...options };
+}
+
+/** Finds an entity by id, or by name ignoring case. */
+function pick(list, key, noun) {
+  if (key == null) return undefined;
+  const hit = list.find((x) => x.id === key) || list.find((x) => x.name.toLowerCase() === key.toLowerCase());
+  if (!hit) throw new Error(`No ${noun} "${key}". Known: ${list.map((x) => x.name).join(", ") || "none"}.`);
+  return hit;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let state = migrateState(JSON.parse(fs.readFileSync(args.input, "utf8")));
+  if (args.year) state = { ...state, year: Number(args.year) };
+  if (args.paper && !PDF_PAPER[args.paper]) throw new Error(`Unknown paper "${args.paper}"; use ${Object.keys(PDF_PAPER).join(" or ")}.`);
+  const generatedAt = args.date ? new Date(`${args.date}T00:00:00Z`) : new Date();
+  if (Number.isNaN(generatedAt.getTime())) throw new Error(`--date must be YYYY-MM-DD, got "${args.date}".`);
+
+  const region = pick(state.regions, args.region, "region");
+  const marketIds = regionMarketIds(state, region?.id);
+  const market = pick(state.markets.filter((m) => !marketIds || marketIds.includes(m.id)), args.market, region ? `market in ${region.name}` : "market");
+  const font = parseTTF(fs.readFileSync(path.join(root, "src/fonts/Lato-Regular.ttf")));
+  const pdf = toPDF(state, { font, paper: args.paper, marketId: market?.id, regionId: region?.id, generatedAt });
+
+  const output = args.output || args.input.replace(/\.json$/i, "") + (market ? `-${market.id}` : "-pack") + ".pdf";
+  fs.writeFileSync(output, pdf);
+  console.log(`Wrote ${output} (${pdf.length} bytes)`);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,34 @@
+// Checks that the bundled Lato parses and subsets the way the PDF writer needs (npm test).
+// It reads the font from disk, so it lives here rather than in the app's inline self-tests.
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseTTF } from "../src/pdf.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const lato = parseTTF(fs.readFileSync(path.join(root, "src/fonts/Lato-Regular.ttf")));
+const gids = [..."Aé€"].map((ch) => lato.glyph(ch)); // é is a composite of e and an accent
+
+test("parseTTF maps characters to Lato glyph ids", () => {
+  assert.deepEqual(gids, [36, 171, 245]);
+  assert.equal(lato.glyph("→"), 0);
+  assert.equal(lato.unitsPerEm, 2000);
+  assert.equal(lato.advance(36), 1360);
+});
+
+test("A Lato subset parses again with the same glyph ids and widths", () => {
+  const reparsed = parseTTF(lato.subset(gids));
+  [..."Aé€"].forEach((ch, i) => {
+    assert.equal(reparsed.glyph(ch), gids[i]);
+    assert.equal(reparsed.advance(gids[i]), lato.advance(gids[i]));
+  });
+});
+
+test("A Lato subset keeps whole outlines and drops the other glyphs", () => {
+  const subset = lato.subset(gids);
+  assert.ok(subset.length < 20000);
+  assert.deepEqual(parseTTF(subset).subset(gids), subset);
+  assert.ok(lato.subset([36]).length < lato.subset([36, 171]).length);
+});
@@ -1,7 +1,24 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { Component, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import PDF_FONT_URL from "./fonts/Lato-Regular.ttf?url";
+import {
+  MONTHS, uid, quarterOf, clamp, SEED_COLOURS, crc32, DEFAULT_ASSET_CATALOG, defaultAssetCatalog,
+  requiredAssets, ASSET_STATUSES, DEFAULT_LEAD_DAYS, ASSET_AT_RISK_DAYS, assetEntry, assetDueDate,
+  assetReadiness, assetTasks, DEFAULT_TRIBES, rulesFromThresholds, pillarRule, DEFAULT_STATE,
+  planFor, hasPlacements, knownYears, rollForward, isoDate, dayNumber, fromDayNumber, monthOfDate, monthFlight,
+  clampFlight, shiftFlight, placementsIn, allPlacements, activePlacements, flightSpan,
+  marketCurrency, convert, formatMoney, budgetFor, allocatedBudget, budgetCheck,
+  UNALLOCATED_CHANNEL, channelSplit, channelSpend, NO_REGION, regionOf, regionMarketIds, onlyMarkets,
+  regionRollup, SCHEMA_VERSION, MigrationError, MIGRATIONS, upgradeRules, mapPlacements, wrapState,
+  migrateState, RULE_SEVERITIES, quarterMonths, conceptPillarShares, RULE_TYPES, ruleParams,
+  describeRule, analyseCohesion, pillarBalance, pillarColour, channelsMatch, analyseTribes,
+  withMarketPlans, fileInto, applyPlacementPatch, applyFix, removePlacement, movePlacement,
+  pastePlacement, copyMarketPlan, setPillars, scenarioData, switchScenario, duplicateScenario, diffScenarios,
+  planVersion,
+} from "./plan.js";
+import { PDF_PAPER, parseTTF, pdfColour, pdfString, toPDF } from "./pdf.js";
 
 /**
- * Campaign Storyboarder — single‑file React app
+ * Campaign Storyboarder — React app (the plan model lives in plan.js, the PDF writer in pdf.js)
  * Diego: maps multi‑concept campaigns by market, enforces annual narrative cohesion,
  * and exports a clean one‑pager for execs.
  *
@@ -10,126 +27,135 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  * - Quarterly Storyboard view (continuity by Q, asset readiness)
  * - Campaign Asset Checklist per placement with completion meter
  * - Inline self‑tests (see devtools console) to validate core logic
+ * - Multi‑year plans: year switcher and "roll forward" to seed the next calendar
+ * - Versioned storage envelope with migrations and a recovery screen
+ * - Validated JSON import (replace, merge by id/name, or one market's plan)
+ * - Undo/redo history for every edit (Ctrl/⌘+Z, Ctrl/⌘+Shift+Z or Ctrl+Y)
+ * - Named scenarios (branches of the full state) with a side‑by‑side diff
+ * - All‑markets matrix with drag‑and‑drop, copy/paste and "copy plan to…"
+ * - Several placements per market‑month, each with its own flight dates
+ * - Week‑level Gantt timeline: move/resize flights, snapped to ISO weeks
+ * - Market currencies, FX table, budget envelopes with over/under‑allocation checks
+ * - Channel‑level budget split per placement, with a channel × market × quarter roll‑up
+ * - Declarative cohesion rules (type, params, severity, weight) with a per‑rule breakdown
+ * - Cross‑market (portfolio) rules: shared hero per quarter, launch drift, North Star share
+ * - Auto‑fill: candidate plans for open months that maximise cohesion, accepted per market
+ * - Cohesion issues with suggested fixes, each previewing the score it would leave
+ * - Tribes tab: reach by month and market, quarterly gaps, channel fit and fatigue warnings
+ * - Concepts weight the pillars they express; pillar balance by market and quarter, dark‑pillar rule
+ * - Editable asset catalogue (Settings); checklists and readiness cover only the assets a placement's channels need
+ * - Asset workflow (status, owner, due date from lead time) and an Asset tracker tab with overdue/at‑risk filters
+ * - Edit and delete concepts, markets and tribes (reassign or clear their placements) plus a data integrity check in Settings
+ * - Region → market hierarchy: a region filter for every tab and the One‑Pager, with region roll‑ups of cohesion, budget, readiness and tribe coverage
+ * - Spreadsheet export (CSV or XLSX): one row per placement plus a cohesion issues sheet, in a fixed column order
+ * - CSV import wizard (Settings): map columns, match or create markets/concepts/tribes, dry‑run preview with row errors
+ * - Calendar (.ics) export of placement flights and asset due dates, per market or for all, with stable event UIDs
+ * - Executive pack: cover, portfolio summary with a hero calendar, then one One‑Pager per market, dated and versioned
+ * - Native PDF of the One‑Pager or the pack (A4/Letter, embedded font), also from Node: scripts/export-pdf.mjs
  *
  * Notes
  * - Tailwind classes used for styling.
  * - No external UI libs so it runs in canvas.
- * - Data persists in localStorage.
- * - Print to PDF for the one‑pager (browser print).
+ * - plan.js and pdf.js use no React or browser APIs, so Node scripts import them directly.
+ * - Data persists in localStorage (versioned envelope, see MIGRATIONS in plan.js).
+ * - Print to PDF for the one‑pager (browser print), or the native PDF writer (pdf.js).
  */
 
 // ---------- Utilities ----------
-const MONTHS = [
-  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
-  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"
-];
+function classNames(...xs) { return xs.filter(Boolean).join(" "); }
 
-function uid(prefix = "id") { return `${prefix}_${Math.random().toString(36).slice(2, 8)}_${Date.now().toString(36)}`; }
+// ---------- ISO weeks (timeline) ----------
+/** Monday of the ISO week containing the date (day 0 of the epoch was a Thursday). */
+function weekStart(iso) {
+  const n = dayNumber(iso);
+  return fromDayNumber(n - ((n % 7) + 10) % 7);
+}
 
-function classNames(...xs) { return xs.filter(Boolean).join(" "); }
+/** ISO week number: the week belongs to the year its Thursday falls in. */
+function isoWeek(iso) {
+  const thursday = dayNumber(weekStart(iso)) + 3;
+  const jan1 = dayNumber(`${fromDayNumber(thursday).slice(0, 4)}-01-01`);
+  return Math.floor((thursday - jan1) / 7) + 1;
+}
 
-function quarterOf(monthIndex) { return Math.floor(monthIndex / 3) + 1; }
+/** Every ISO week touching the plan year, Monday → Sunday (the first and last may spill over). */
+function yearWeeks(year) {
+  const first = dayNumber(weekStart(`${year}-01-01`));
+  const last = dayNumber(weekStart(`${year}-12-31`));
+  const weeks = [];
+  for (let n = first; n <= last; n += 7) {
+    const start = fromDayNumber(n);
+    weeks.push({ start, end: fromDayNumber(n + 6), week: isoWeek(start) });
+  }
+  return weeks;
+}
 
-function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+/**
+ * Snaps a flight to whole ISO weeks and moves it (`edge: "move"`) or drags one of its ends
+ * (`"start"` / `"end"`) by `weeks`. Flights stay at least a week long and inside the plan year.
+ */
+function nudgeFlight(pl, year, edge, weeks) {
+  const first = dayNumber(weekStart(`${year}-01-01`));
+  const last = dayNumber(weekStart(`${year}-12-31`)) + 6;
+  let start = dayNumber(weekStart(pl.start));
+  let end = dayNumber(weekStart(pl.end)) + 6;
+  const days = weeks * 7;
+  if (edge === "move") {
+    const shift = clamp(days, first - start, last - end);
+    start += shift;
+    end += shift;
+  } else if (edge === "start") start = clamp(start + days, first, end - 6);
+  else end = clamp(end + days, start + 6, last);
+  return clampFlight({ ...pl, start: fromDayNumber(start), end: fromDayNumber(end) }, year);
+}
 
-// Colour seeds for concepts
-const SEED_COLOURS = [
-  "#2563eb", "#0ea5e9", "#10b981", "#84cc16", "#f59e0b",
-  "#ef4444", "#a855f7", "#f43f5e", "#06b6d4", "#eab308"
-];
+function snapToWeeks(pl, year) { return nudgeFlight(pl, year, "move", 0); }
 
-// ---------- Types (JSDoc for intellisense) ----------
-/** @typedef {{ id:string, name:string, role:"Hero"|"Support", tags:string[], color:string }} Concept */
-/** @typedef {{ id:string, name:string, region?:string }} Market */
-/** @typedef {{ conceptId?:string, notes?:string, channels?:string[], budget?:number, tribes?:string[], assets?:Record<string, boolean> }} MonthlyPlacement */
-/** @typedef {{ [monthIndex:number]: MonthlyPlacement }} MarketPlan */
-/** @typedef {{ [marketId:string]: MarketPlan }} Plan */
-/** @typedef {{ id:string, name:string, description:string, triggers:string[], channels:string[] }} Tribe */
-
-// ---------- Asset Catalogue ----------
-const ASSET_CATALOG = [
-  "Key Visual",
-  "30s Master Video",
-  "15s Cutdown",
-  "6s Bumper",
-  "Square + Story Set",
-  "Landing Page",
-  "Email (Campaign)",
-  "CRM Journey",
-  "PR Note",
-  "Influencer Brief",
-  "Display Set",
-  "Search Copy",
-  "UGC Prompt",
-  "Measurement Plan",
-  "Legal/Brand Approvals",
-];
+// ---------- Persistence ----------
+const LS_KEY = "campaign_storyboarder"; // storage key (holds a versioned envelope)
+const LEGACY_LS_KEYS = ["campaign_storyboarder_v2", "campaign_storyboarder_v1"]; // read once, never written
 
-// ---------- Defaults ----------
-const DEFAULT_TRIBES = /** @type {Tribe[]} */ ([
-  {
-    id: uid("t"),
-    name: "Epicurean Couples",
-    description: "Food & mixology‑driven duos seeking adults‑only indulgence and chef‑led moments.",
-    triggers: ["Chef’s table", "premium spirits", "limited menus"],
-    channels: ["Meta", "IG Reels", "PR food media"],
-  },
-  {
-    id: uid("t"),
-    name: "Wellness Aesthetes",
-    description: "Mindful travellers who collect rituals: sunrise yoga, spa journeys, breathwork on the beach.",
-    triggers: ["sunrise rituals", "spa circuits", "sound baths"],
-    channels: ["IG", "YouTube", "Email"],
-  },
-  {
-    id: uid("t"),
-    name: "Design Lovers & Art Seekers",
-    description: "Architecture, contemporary art and photogenic spaces; IG‑forward storytellers.",
-    triggers: ["gallery nights", "artist residencies", "design tours"],
-    channels: ["IG", "PR design media", "Creators"],
-  },
-  {
-    id: uid("t"),
-    name: "Celebration Creators",
-    description: "Anniversaries, engagements, milestone trips; small adult groups with premium expectations.",
-    triggers: ["bespoke moments", "private dining", "surprise reveals"],
-    channels: ["Search (intent)", "Meta", "Concierge/CRM"],
-  },
-  {
-    id: uid("t"),
-    name: "Work‑from‑Paradise Execs",
-    description: "Bleisure professionals who want quiet luxury, strong Wi‑Fi, and recovery rituals.",
-    triggers: ["late checkout", "focus zones", "recovery spa"],
-    channels: ["LinkedIn", "Search", "Email"],
-  },
-]);
-
-const DEFAULT_STATE = {
-  year: new Date().getFullYear(),
-  northStar: "Togetherness that feels effortless.",
-  pillars: ["Hospitalidad hecha a mano", "Servicio adictivo", "Tecnología envolvente", "Conciencia ecosocial"],
-  guardrails: ["Always premium, never tacky", "Clarity over cleverness", "Sustainable by default"],
-  concepts: /** @type {Concept[]} */ ([
-    { id: uid("c"), name: "Love the Long Weekend", role: "Hero", tags: ["short breaks", "romance"], color: SEED_COLOURS[0] },
-    { id: uid("c"), name: "Sunrise Rituals", role: "Support", tags: ["wellness", "mindfulness"], color: SEED_COLOURS[6] },
-    { id: uid("c"), name: "Culinary Passport", role: "Hero", tags: ["food", "mixology"], color: SEED_COLOURS[4] },
-  ]),
-  tribes: DEFAULT_TRIBES,
-  markets: /** @type {Market[]} */ ([
-    { id: uid("m"), name: "Mexico", region: "MX" },
-    { id: uid("m"), name: "United States", region: "US" },
-    { id: uid("m"), name: "Canada", region: "CA" },
-  ]),
-  plan: /** @type {Plan} */ ({}),
-  cohesionRules: {
-    maxHeroConceptsPerMarket: 4,
-    minRepeatsPerHero: 3,
-    minMonthsPlanned: 10,
-    maxTotalConceptsPerMarket: 8,
-  },
-};
+/**
+ * Reads the current key, falling back to legacy keys. Returns `{ state }` on success or
+ * `{ error, raw, key }` so the caller can offer recovery instead of crashing.
+ */
+function loadSavedState() {
+  const keys = [LS_KEY, ...LEGACY_LS_KEYS];
+  for (const key of keys) {
+    const raw = localStorage.getItem(key);
+    if (raw == null) continue;
+    try {
+      const state = migrateState(JSON.parse(raw));
+      if (key === LS_KEY) storedJSON = JSON.stringify(state);
+      return { state, key };
+    } catch (e) {
+      return { error: e instanceof SyntaxError ? new MigrationError("Saved data is not valid JSON.") : e, raw, key };
+    }
+  }
+  return { state: DEFAULT_STATE, key: null };
+}
+
+let storedJSON = null; // the state last read from or written to LS_KEY, serialised
+
+/**
+ * Writes the state unless storage already holds it. Rewriting an unchanged plan would still
+ * bump `savedAt`, and every write fires "storage" in the other open tabs, which load it and
+ * save it back: two tabs would echo one plan between them forever.
+ */
+function saveState(state) {
+  const json = JSON.stringify(state);
+  if (json === storedJSON) return;
+  storedJSON = json;
+  localStorage.setItem(LS_KEY, JSON.stringify(wrapState(state)));
+}
 
-const LS_KEY = "campaign_storyboarder_v2"; // storage key
+/** Saves `data` (text or bytes) as a download. */
+function downloadFile(filename, data, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
 // ---------- Tiny UI components ----------
 function Section({ title, children, actions }) {
@@ -155,9 +181,9 @@ function Pill({ children, tone = "info" }) {
   return <span className={classNames("px-2.5 py-1 rounded-full text-xs border", tones[tone])}>{children}</span>;
 }
 
-function IconButton({ label, onClick }) {
+function IconButton({ label, onClick, title, disabled }) {
   return (
-    <button onClick={onClick} className="px-3 py-1.5 rounded-xl border border-white/15 bg-white/5 hover:bg-white/10 transition text-sm">
+    <button onClick={onClick} title={title} disabled={disabled} className="px-3 py-1.5 rounded-xl border border-white/15 bg-white/5 hover:bg-white/10 transition text-sm disabled:opacity-40 disabled:pointer-events-none">
       {label}
     </button>
   );
@@ -174,6 +200,26 @@ function TextInput({ value, onChange, placeholder }) {
   );
 }
 
+/** A text field that keeps a local draft and commits it on blur or Enter (one edit, not one per keystroke); Escape reverts. */
+function DraftInput({ value, onCommit, placeholder, className }) {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]); // follow undo and edits made elsewhere
+
+  return (
+    <input
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => { if (draft.trim() !== value) onCommit(draft.trim()); }}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") setDraft(value);
+      }}
+      placeholder={placeholder}
+      className={className}
+    />
+  );
+}
+
 function NumberInput({ value, onChange, placeholder, min = 0 }) {
   return (
     <input
@@ -187,6 +233,19 @@ function NumberInput({ value, onChange, placeholder, min = 0 }) {
   );
 }
 
+function DateInput({ value, onChange, min, max }) {
+  return (
+    <input
+      type="date"
+      value={value ?? ""}
+      min={min}
+      max={max}
+      onChange={(e) => e.target.value && onChange(e.target.value)}
+      className="w-full px-3 py-2 rounded-xl bg-black/20 border border-white/15 outline-none focus:ring-2 focus:ring-sky-500"
+    />
+  );
+}
+
 function Select({ value, onChange, options, placeholder }) {
   return (
     <select
@@ -202,6 +261,25 @@ function Select({ value, onChange, options, placeholder }) {
   );
 }
 
+function YearSwitcher({ state, value, onChange }) {
+  const year = value ?? state.year;
+  return (
+    <div className="flex items-center gap-1">
+      <button onClick={() => onChange(year - 1)} className="px-2 py-1.5 rounded-xl border border-white/15 bg-white/5 hover:bg-white/10 text-sm" title="Previous year">‹</button>
+      <select
+        value={year}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="px-3 py-1.5 rounded-xl bg-black/30 border border-white/15"
+      >
+        {knownYears({ ...state, year }).map((y) => (
+          <option key={y} value={y}>{y}{hasPlacements(state, y) ? "" : " (empty)"}</option>
+        ))}
+      </select>
+      <button onClick={() => onChange(year + 1)} className="px-2 py-1.5 rounded-xl border border-white/15 bg-white/5 hover:bg-white/10 text-sm" title="Next year">›</button>
+    </div>
+  );
+}
+
 function Modal({ open, title, children, onClose }) {
   if (!open) return null;
   return (
@@ -224,82 +302,391 @@ const Checkbox = ({ checked, onChange, label }) => (
   </label>
 );
 
+// ---------- Undo / redo history ----------
+/**
+ * History is a list of snapshots plus a cursor. Consecutive edits with the same label inside
+ * HISTORY_COALESCE_MS collapse into one entry so typing a note is a single undo step.
+ */
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000;
+
+function createHistory(state, label = "Opened plan") {
+  return { entries: [{ state, label, at: Date.now() }], index: 0 };
+}
+
+function pushHistory(h, state, label, { now = Date.now(), record = true } = {}) {
+  const last = h.entries[h.index];
+  if (state === last.state) return h;
+  const base = h.entries.slice(0, h.index + 1);
+  const atTip = h.index === h.entries.length - 1;
+  if (!record || (h.index > 0 && atTip && last.label === label && now - last.at < HISTORY_COALESCE_MS)) {
+    base[base.length - 1] = { ...last, state, at: record ? now : last.at };
+    return { entries: base, index: h.index };
+  }
+  const entries = [...base, { state, label, at: now }].slice(-HISTORY_LIMIT);
+  return { entries, index: entries.length - 1 };
+}
+
+function jumpHistory(h, index) {
+  return { ...h, index: clamp(index, 0, h.entries.length - 1) };
+}
+
+/**
+ * Drop‑in for useState that records history. `setState(next, label, { record })` accepts a
+ * value or an updater; `record: false` rewrites the current entry (housekeeping, not edits).
+ * `reset(state, label)` starts a fresh history, for state that replaces ours wholesale.
+ */
+function useHistory(initialState) {
+  const [history, setHistory] = useState(() => createHistory(initialState));
+  const setState = useCallback((updater, label = "Edit", opts) => {
+    setHistory((h) => {
+      const current = h.entries[h.index].state;
+      const next = typeof updater === "function" ? updater(current) : updater;
+      return pushHistory(h, next, label, opts);
+    });
+  }, []);
+  return {
+    state: history.entries[history.index].state,
+    setState,
+    reset: (state, label) => setHistory(createHistory(state, label)),
+    history,
+    undo: () => setHistory((h) => jumpHistory(h, h.index - 1)),
+    redo: () => setHistory((h) => jumpHistory(h, h.index + 1)),
+    jump: (index) => setHistory((h) => jumpHistory(h, index)),
+  };
+}
+
+function HistoryList({ history, onJump }) {
+  return (
+    <ol className="grid gap-1 max-h-[60vh] overflow-y-auto text-sm">
+      {history.entries.map((e, i) => ({ e, i })).reverse().map(({ e, i }) => (
+        <li key={i}>
+          <button
+            onClick={() => onJump(i)}
+            className={classNames(
+              "w-full flex items-center justify-between px-3 py-1.5 rounded-xl border text-left",
+              i === history.index ? "bg-sky-500/20 border-sky-400/40" : "border-white/10 hover:bg-white/10",
+              i > history.index && "opacity-50"
+            )}
+          >
+            <span>{e.label}</span>
+            <span className="text-xs text-white/50">{new Date(e.at).toLocaleTimeString()}</span>
+          </button>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// ---------- Recovery ----------
+function RecoveryScreen({ title, error, raw, onRecovered }) {
+  const [text, setText] = useState(raw || "");
+  const [retryError, setRetryError] = useState(null);
+
+  function retry() {
+    try {
+      const state = migrateState(JSON.parse(text));
+      saveState(state);
+      onRecovered(state);
+    } catch (e) {
+      setRetryError(e.message);
+    }
+  }
+
+  function startFresh() {
+    if (!confirm("Start from the sample plan? Your current save is kept as a backup key in this browser.")) return;
+    if (raw) localStorage.setItem(`${LS_KEY}_backup_${Date.now()}`, raw);
+    saveState(DEFAULT_STATE);
+    onRecovered(DEFAULT_STATE);
+  }
+
+  return (
+    <div className="min-h-screen text-white bg-gradient-to-b from-neutral-900 to-neutral-950">
+      <main className="max-w-4xl mx-auto px-4 py-10">
+        <Section
+          title={title}
+          actions={
+            <>
+              <IconButton label="Download backup" onClick={() => downloadFile(`campaign-storyboarder-backup-${Date.now()}.json`, text)} />
+              <IconButton label="Retry with edited JSON" onClick={retry} />
+              <IconButton label="Start fresh" onClick={startFresh} />
+            </>
+          }
+        >
+          <p className="text-sm text-rose-300 mb-2">{retryError || error?.message}</p>
+          <p className="text-sm text-white/70 mb-3">
+            Your data has not been changed. Download a backup, fix the JSON below and retry, or start from the sample plan.
+          </p>
+          <textarea value={text} onChange={(e) => setText(e.target.value)} rows={16} className="w-full p-3 rounded-2xl bg-black/30 border border-white/10 font-mono text-xs" />
+        </Section>
+      </main>
+    </div>
+  );
+}
+
+/** Catches render crashes caused by malformed state and offers the recovery screen. */
+class StateErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children;
+    return (
+      <RecoveryScreen
+        title="The plan could not be displayed"
+        error={this.state.error}
+        raw={localStorage.getItem(LS_KEY)}
+        onRecovered={(state) => { this.setState({ error: null }); this.props.onRecovered(state); }}
+      />
+    );
+  }
+}
+
 // ---------- Main App ----------
 export default function App() {
-  const [state, setState] = useState(() => {
-    const saved = localStorage.getItem(LS_KEY);
-    return saved ? JSON.parse(saved) : DEFAULT_STATE;
-  });
+  const [boot, setBoot] = useState(() => loadSavedState());
+  const [generation, setGeneration] = useState(0);
+  const recover = (state) => { setBoot({ state, key: LS_KEY }); setGeneration((g) => g + 1); };
+
+  if (boot.error) {
+    return <RecoveryScreen title="Your saved plan could not be loaded" error={boot.error} raw={boot.raw} onRecovered={recover} />;
+  }
+  return (
+    <StateErrorBoundary onRecovered={recover}>
+      <Storyboarder key={generation} initialState={boot.state} />
+    </StateErrorBoundary>
+  );
+}
+
+function Storyboarder({ initialState }) {
+  const { state, setState, reset, history, undo, redo, jump } = useHistory(initialState);
 
   // Persist to storage
   useEffect(() => {
-    localStorage.setItem(LS_KEY, JSON.stringify(state));
+    saveState(state);
   }, [state]);
 
-  // Listen for synthetic "storage" events triggered by helpers and refresh state
+  // Listen for "storage" events: synthetic ones from helpers in this tab record an edit; real
+  // ones carry another tab's plan, which replaces ours along with our undo history
+  const stateRef = useRef(state);
+  stateRef.current = state;
   useEffect(() => {
-    const fn = () => {
-      const saved = localStorage.getItem(LS_KEY);
-      if (saved) setState(JSON.parse(saved));
+    const fn = (e) => {
+      const loaded = loadSavedState();
+      if (!loaded.state || loaded.key !== LS_KEY) return;
+      if (JSON.stringify(loaded.state) === JSON.stringify(stateRef.current)) return; // our own save coming back
+      if (e.detail?.label) setState(loaded.state, e.detail.label);
+      else reset(loaded.state, "Synced from another tab");
     };
     window.addEventListener("storage", fn);
     return () => window.removeEventListener("storage", fn);
   }, []);
 
-  const [activeTab, setActiveTab] = useState("plan"); // plan | cohesion | export | storyboard | settings
+  // Undo / redo shortcuts; text fields keep their native undo
+  useEffect(() => {
+    const fn = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const t = e.target;
+      if (t && (t.tagName === "INPUT" || t.tagName === "TEXTAREA" || t.tagName === "SELECT" || t.isContentEditable)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); redo(); }
+    };
+    window.addEventListener("keydown", fn);
+    return () => window.removeEventListener("keydown", fn);
+  }, []);
+
+  const [activeTab, setActiveTab] = useState("plan"); // plan | timeline | cohesion | budgets | export | storyboard | scenarios | settings
   const [selectedMarketId, setSelectedMarketId] = useState(state.markets[0]?.id);
+  const [regionId, setRegionId] = useState(); // region filter; unset shows every market
   const [editingCell, setEditingCell] = useState(null);
   const [isConceptModal, setIsConceptModal] = useState(false);
   const [isMarketModal, setIsMarketModal] = useState(false);
   const [isTribeModal, setIsTribeModal] = useState(false);
+  const [isHistoryModal, setIsHistoryModal] = useState(false);
+  const [isAutoModal, setIsAutoModal] = useState(false);
 
   const exportRef = useRef(null);
+  const [printTarget, setPrintTarget] = useState("onePager"); // onePager | pack
 
-  // Ensure plan structure exists for each market
-  useEffect(() => {
-    setState((prev) => {
-      const plan = { ...prev.plan };
-      prev.markets.forEach((m) => { if (!plan[m.id]) plan[m.id] = {}; });
-      return { ...prev, plan };
-    });
-  }, []);
-
-  const selectedMarket = state.markets.find((m) => m.id === selectedMarketId) || state.markets[0];
+  // Every tab gets the full state plus the region filter as market ids (null: every market);
+  // the header analyses below cover only the filtered markets
+  const marketIds = useMemo(() => regionMarketIds(state, regionId), [state, regionId]);
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const selectedMarket = visible.markets.find((m) => m.id === selectedMarketId) || visible.markets[0];
+  const editingMarket = state.markets.find((m) => m.id === editingCell?.marketId);
+  const cellLabel = ({ marketId, month }) => `${state.markets.find((m) => m.id === marketId)?.name ?? "market"} ${MONTHS[month]}`;
 
   // ---------- Mutators ----------
-  function upsertPlacement(marketId, month, patch) {
-    setState((prev) => {
-      const plan = { ...prev.plan };
-      const mp = { ...(plan[marketId] || {}) };
-      const current = { ...(mp[month] || {}) };
-      mp[month] = { ...current, ...patch };
-      plan[marketId] = mp;
-      return { ...prev, plan };
-    });
+  function upsertPlacement(marketId, month, patch, { placementId, label } = {}) {
+    setState((prev) => applyPlacementPatch(prev, marketId, month, patch, placementId), label || `Edit ${cellLabel({ marketId, month })}`);
+  }
+
+  function removePlacementFrom(marketId, month, placementId) {
+    const label = placementId ? `Remove placement from ${cellLabel({ marketId, month })}` : `Clear ${cellLabel({ marketId, month })}`;
+    setState((prev) => removePlacement(prev, marketId, month, placementId), label);
+  }
+
+  function moveCell(from, to, copy) {
+    setState((prev) => movePlacement(prev, from, to, { copy }), `${copy ? "Copy" : "Move"} ${cellLabel(from)} → ${cellLabel(to)}`);
+  }
+
+  function pasteCell(to, placement) {
+    setState((prev) => pastePlacement(prev, to, placement), `Paste into ${cellLabel(to)}`);
+  }
+
+  function copyPlanTo(fromMarketId, toMarketIds, overwrite) {
+    const name = state.markets.find((m) => m.id === fromMarketId)?.name;
+    setState((prev) => copyMarketPlan(prev, fromMarketId, toMarketIds, { overwrite }), `Copy ${name} plan to ${toMarketIds.length} market(s)`);
+  }
+
+  function retimePlacement(marketId, pl, flight) {
+    const name = state.concepts.find((c) => c.id === pl.conceptId)?.name ?? "placement";
+    upsertPlacement(marketId, monthOfDate(pl.start), { start: flight.start, end: flight.end }, { placementId: pl.id, label: `Reschedule ${name} in ${cellLabel({ marketId, month: monthOfDate(flight.start) })}` });
+  }
+
+  function updateAsset(marketId, pl, assetId, patch) {
+    const month = monthOfDate(pl.start);
+    const name = state.assetCatalog.find((a) => a.id === assetId)?.name ?? "asset";
+    const assets = { ...(pl.assets || {}), [assetId]: { ...assetEntry(pl, assetId), ...patch } };
+    upsertPlacement(marketId, month, { assets }, { placementId: pl.id, label: `Update ${name} for ${cellLabel({ marketId, month })}` });
+  }
+
+  function applyCohesionFix(fix) {
+    upsertPlacement(fix.marketId, fix.month, fix.patch, { placementId: fix.placementId, label: `Fix ${state.markets.find((m) => m.id === fix.marketId)?.name}: ${fix.label}` });
+  }
+
+  function acceptAutoPlan(candidate, marketId) {
+    const name = state.markets.find((m) => m.id === marketId)?.name;
+    setState((prev) => acceptCandidate(prev, candidate, marketId), `Auto‑fill ${name}`);
+  }
+
+  function printDocument(target) {
+    setPrintTarget(target);
+    setTimeout(() => window.print(), 50);
+  }
+
+  function changeYear(year) {
+    if (!Number.isFinite(year)) return;
+    setState((prev) => ({ ...prev, year }), `Switch to ${year}`);
+  }
+
+  function rollPlanForward() {
+    const toYear = state.year + 1;
+    const hasTarget = Object.values(planFor(state, toYear)).some((mp) => allPlacements(mp).some((pl) => pl.conceptId));
+    const overwrite = hasTarget && confirm(`${toYear} already has placements. Overwrite months that are planned in both years?`);
+    setState((prev) => rollForward(prev, prev.year, { overwrite }), `Roll forward to ${toYear}`);
   }
 
   function addConcept(newConcept) {
     const c = { ...newConcept, id: uid("c") };
-    setState((prev) => ({ ...prev, concepts: [...prev.concepts, c] }));
+    setState((prev) => ({ ...prev, concepts: [...prev.concepts, c] }), `Add concept “${c.name}”`);
   }
 
-  function addMarket(name, region) {
-    const m = { id: uid("m"), name, region };
-    setState((prev) => ({ ...prev, markets: [...prev.markets, m] }));
+  function addMarket(newMarket) {
+    const m = { ...newMarket, id: uid("m") };
+    setState((prev) => ({ ...prev, markets: [...prev.markets, m] }), `Add market “${m.name}”`);
     setSelectedMarketId(m.id);
   }
 
-  function removeConcept(id) {
-    setState((prev) => ({ ...prev, concepts: prev.concepts.filter((c) => c.id !== id) }));
+  function addRegion(name) {
+    const r = { id: uid("r"), name };
+    setState((prev) => ({ ...prev, regions: [...(prev.regions || []), r] }), `Add region “${name}”`);
+  }
+
+  function updateEntity(kind, id, patch) {
+    const name = state[kind].find((e) => e.id === id)?.name;
+    setState((prev) => ({ ...prev, [kind]: prev[kind].map((e) => (e.id === id ? { ...e, ...patch } : e)) }), `Edit ${ENTITY_NOUNS[kind]} “${name}”`);
+  }
+
+  function removeEntity(kind, id, reassignTo) {
+    const name = state[kind].find((e) => e.id === id)?.name;
+    const target = reassignTo && state[kind].find((e) => e.id === reassignTo)?.name;
+    setState((prev) => deleteEntity(prev, kind, id, { reassignTo }), `Delete ${ENTITY_NOUNS[kind]} “${name}”${target ? ` (moved to “${target}”)` : ""}`);
+  }
+
+  function toggleNorthStar(id) {
+    const c = state.concepts.find((x) => x.id === id);
+    setState((prev) => ({ ...prev, concepts: prev.concepts.map((x) => (x.id === id ? { ...x, northStar: !x.northStar } : x)) }), `${c?.northStar ? "Untag" : "Tag"} “${c?.name}” as North Star`);
+  }
+
+  function setPillarWeight(id, pillar, weight) {
+    const c = state.concepts.find((x) => x.id === id);
+    setState((prev) => ({
+      ...prev,
+      concepts: prev.concepts.map((x) => {
+        if (x.id !== id) return x;
+        const { [pillar]: _, ...rest } = x.pillars || {};
+        return { ...x, pillars: weight > 0 ? { ...rest, [pillar]: weight } : rest };
+      }),
+    }), `Edit pillars of “${c?.name}”`);
+  }
+
+  function changePillars(pillars) {
+    setState((prev) => setPillars(prev, pillars), "Edit pillars");
   }
 
   function addTribe(t) {
     const nt = { ...t, id: uid("t") };
-    setState((prev) => ({ ...prev, tribes: [...prev.tribes, nt] }));
+    setState((prev) => ({ ...prev, tribes: [...prev.tribes, nt] }), `Add tribe “${nt.name}”`);
+  }
+
+  function setEnvelope(marketId, patch) {
+    const name = state.markets.find((m) => m.id === marketId)?.name;
+    setState((prev) => {
+      const year = { ...(prev.budgets?.[prev.year] || {}) };
+      year[marketId] = { ...budgetFor(prev, marketId), ...patch };
+      return { ...prev, budgets: { ...prev.budgets, [prev.year]: year } };
+    }, `Edit ${name} budget`);
+  }
+
+  function setMarketCurrency(marketId, currency) {
+    const name = state.markets.find((m) => m.id === marketId)?.name;
+    setState((prev) => ({ ...prev, markets: prev.markets.map((m) => (m.id === marketId ? { ...m, currency } : m)) }), `Set ${name} currency to ${currency}`);
+  }
+
+  function setFxRate(code, rate) {
+    setState((prev) => {
+      const rates = { ...prev.fx.rates, [code]: rate };
+      if (rate === undefined) delete rates[code];
+      return { ...prev, fx: { ...prev.fx, rates } };
+    }, rate === undefined ? `Remove ${code} rate` : `Edit ${code} rate`);
+  }
+
+  function setReportingCurrency(code) {
+    setState((prev) => ({ ...prev, fx: { ...prev.fx, reporting: code } }), `Report in ${code}`);
+  }
+
+  function switchToScenario(id) {
+    const name = state.scenarios.find((sc) => sc.id === id)?.name;
+    setState((prev) => switchScenario(prev, id), `Switch to scenario “${name}”`);
+  }
+
+  function copyScenario(id) {
+    const source = state.scenarios.find((sc) => sc.id === id);
+    const name = `${source?.name ?? "Scenario"} (copy)`;
+    setState((prev) => duplicateScenario(prev, id, name), `Duplicate scenario “${source?.name}”`);
+  }
+
+  function renameScenario(id, name) {
+    setState((prev) => ({ ...prev, scenarios: prev.scenarios.map((sc) => (sc.id === id ? { ...sc, name } : sc)) }), "Rename scenario");
+  }
+
+  function deleteScenario(id) {
+    const name = state.scenarios.find((sc) => sc.id === id)?.name;
+    if (id === state.scenarioId || !confirm(`Delete scenario “${name}”?`)) return;
+    setState((prev) => ({ ...prev, scenarios: prev.scenarios.filter((sc) => sc.id !== id) }), `Delete scenario “${name}”`);
   }
 
   // ---------- Cohesion analysis ----------
-  const cohesion = useMemo(() => analyseCohesion(state), [state]);
+  const cohesion = useMemo(() => analyseCohesion(visible), [visible]);
+  const budgets = useMemo(() => budgetCheck(visible), [visible]);
 
   // ---------- Rendering ----------
   return (
@@ -307,29 +694,42 @@ export default function App() {
       <style>{`
         @media print {
           body { background: white; }
-          #appShell { display: none; }
+          header, #appShell { display: none; }
           #onePager { display: block !important; }
+          .print-page { break-after: page; page-break-after: always; }
+          .print-page:last-child { break-after: auto; page-break-after: auto; }
         }
       `}</style>
 
       <header className="sticky top-0 z-40 backdrop-blur bg-neutral-900/70 border-b border-white/10">
         <div className="max-w-7xl mx-auto px-4 py-3 flex items-center gap-3">
           <div className="text-2xl font-bold tracking-tight">Campaign Storyboarder</div>
+          <Pill tone="neutral">{state.scenarios.find((sc) => sc.id === state.scenarioId)?.name}</Pill>
           <div className="ml-auto flex items-center gap-3">
             <div className="hidden sm:flex items-center gap-2">
               <label className="text-sm text-white/70">Year</label>
-              <input
-                type="number"
-                value={state.year}
-                onChange={(e) => setState({ ...state, year: Number(e.target.value) })}
-                className="w-24 px-3 py-1.5 rounded-xl bg-black/30 border border-white/15"
-              />
+              <YearSwitcher state={state} onChange={changeYear} />
+            </div>
+            {state.regions.length > 0 && (
+              <div className="w-40" title="Show only this region's markets in every tab">
+                <Select value={regionId} onChange={setRegionId} options={state.regions.map((r) => ({ value: r.id, label: r.name }))} placeholder="All regions" />
+              </div>
+            )}
+            <div className="flex items-center gap-1">
+              <IconButton label="↶" title="Undo (Ctrl/⌘+Z)" onClick={undo} disabled={history.index === 0} />
+              <IconButton label="↷" title="Redo (Ctrl/⌘+Shift+Z)" onClick={redo} disabled={history.index === history.entries.length - 1} />
+              <IconButton label={`History (${history.index})`} onClick={() => setIsHistoryModal(true)} />
             </div>
             <nav className="flex gap-1 p-1 rounded-xl bg-white/5 border border-white/10">
               {[
                 { id: "plan", label: "Plan" },
+                { id: "timeline", label: "Timeline" },
                 { id: "cohesion", label: "Cohesion" },
+                { id: "tribes", label: "Tribes" },
+                { id: "budgets", label: "Budgets" },
                 { id: "storyboard", label: "Storyboard" },
+                { id: "assets", label: "Asset tracker" },
+                { id: "scenarios", label: "Scenarios" },
                 { id: "export", label: "One‑Pager" },
                 { id: "settings", label: "Settings" },
               ].map((t) => (
@@ -351,77 +751,153 @@ export default function App() {
         {activeTab === "plan" && (
           <PlanTab
             state={state}
+            marketIds={marketIds}
+            onSetPillars={changePillars}
             selectedMarketId={selectedMarket?.id}
             onSelectMarket={setSelectedMarketId}
             onEditCell={(payload) => setEditingCell(payload)}
             onOpenConcepts={() => setIsConceptModal(true)}
             onOpenMarkets={() => setIsMarketModal(true)}
             onOpenTribes={() => setIsTribeModal(true)}
+            onRollForward={rollPlanForward}
+            onAutoFill={() => setIsAutoModal(true)}
+            cohesion={cohesion}
+            budgets={budgets}
+            onMoveCell={moveCell}
+            onPasteCell={pasteCell}
+            onCopyPlan={copyPlanTo}
+          />
+        )}
+
+        {activeTab === "timeline" && (
+          <TimelineTab
+            state={state}
+            marketIds={marketIds}
+            marketId={selectedMarket?.id}
+            setMarketId={setSelectedMarketId}
+            onRetime={retimePlacement}
+            onEditCell={(payload) => setEditingCell(payload)}
           />
         )}
 
         {activeTab === "cohesion" && (
-          <CohesionTab state={state} cohesion={cohesion} />
+          <CohesionTab state={state} marketIds={marketIds} cohesion={cohesion} onApplyFix={applyCohesionFix} />
+        )}
+
+        {activeTab === "tribes" && (
+          <TribesTab state={state} marketIds={marketIds} onEditCell={(payload) => setEditingCell(payload)} />
+        )}
+
+        {activeTab === "budgets" && (
+          <BudgetsTab
+            state={state}
+            marketIds={marketIds}
+            budgets={budgets}
+            onSetEnvelope={setEnvelope}
+            onSetCurrency={setMarketCurrency}
+            onSetRate={setFxRate}
+            onSetReporting={setReportingCurrency}
+          />
         )}
 
         {activeTab === "storyboard" && (
-          <StoryboardTab state={state} marketId={selectedMarket?.id} setMarketId={setSelectedMarketId} />
+          <StoryboardTab state={state} marketIds={marketIds} marketId={selectedMarket?.id} setMarketId={setSelectedMarketId} />
+        )}
+
+        {activeTab === "assets" && (
+          <AssetTrackerTab state={state} marketIds={marketIds} onUpdateAsset={updateAsset} onEditCell={(payload) => setEditingCell(payload)} />
+        )}
+
+        {activeTab === "scenarios" && (
+          <ScenariosTab
+            state={state}
+            marketIds={marketIds}
+            onSwitch={switchToScenario}
+            onDuplicate={copyScenario}
+            onRename={renameScenario}
+            onDelete={deleteScenario}
+          />
         )}
 
         {activeTab === "export" && (
           <ExportTab
             state={state}
+            marketIds={marketIds}
+            regionId={regionId}
+            setRegionId={setRegionId}
             cohesion={cohesion}
+            budgets={budgets}
+            onSetReporting={setReportingCurrency}
             marketId={selectedMarket?.id}
             setMarketId={setSelectedMarketId}
             exportRef={exportRef}
+            onPrint={printDocument}
           />
         )}
 
         {activeTab === "settings" && (
-          <SettingsTab state={state} setState={setState} />
+          <SettingsTab state={state} marketIds={marketIds} setState={setState} />
         )}
       </main>
 
       {/* ---- Modals ---- */}
       <Modal
         open={!!editingCell}
-        title={`Edit ${selectedMarket?.name} — ${MONTHS[editingCell?.month ?? 0]} ${state.year}`}
+        title={`Edit ${editingMarket?.name} — ${MONTHS[editingCell?.month ?? 0]} ${state.year}`}
         onClose={() => setEditingCell(null)}
       >
         {editingCell && (
           <EditCellForm
+            key={`${editingCell.marketId}:${editingCell.month}:${editingCell.placementId ?? ""}`}
             state={state}
             cell={editingCell}
-            onChange={(patch) => upsertPlacement(editingCell.marketId, editingCell.month, patch)}
-            onRemove={() => { upsertPlacement(editingCell.marketId, editingCell.month, { conceptId: undefined, notes: undefined, channels: [], budget: undefined, tribes: [], assets: {} }); setEditingCell(null); }}
+            onChange={(patch, { placementId, month }) => upsertPlacement(editingCell.marketId, month, patch, { placementId })}
+            onRemove={(placementId, month) => removePlacementFrom(editingCell.marketId, month, placementId)}
+            onClearMonth={() => { removePlacementFrom(editingCell.marketId, editingCell.month); setEditingCell(null); }}
           />
         )}
       </Modal>
 
+      <Modal open={isAutoModal} title={`Auto‑fill ${state.year}`} onClose={() => setIsAutoModal(false)}>
+        <AutoPlanner state={state} marketIds={marketIds} cohesion={cohesion} onAccept={acceptAutoPlan} />
+      </Modal>
+
+      <Modal open={isHistoryModal} title="History" onClose={() => setIsHistoryModal(false)}>
+        <HistoryList history={history} onJump={jump} />
+      </Modal>
+
       <Modal open={isConceptModal} title="Concept Library" onClose={() => setIsConceptModal(false)}>
-        <ConceptsManager concepts={state.concepts} onAdd={addConcept} onRemove={removeConcept} />
+        <ConceptsManager concepts={state.concepts} pillars={state.pillars} onAdd={addConcept} onUpdate={(id, patch) => updateEntity("concepts", id, patch)} onRemove={(id, to) => removeEntity("concepts", id, to)} usage={(id) => entityUsage(state, "concepts", id)} onToggleNorthStar={toggleNorthStar} onSetPillarWeight={setPillarWeight} />
       </Modal>
 
       <Modal open={isMarketModal} title="Markets" onClose={() => setIsMarketModal(false)}>
-        <MarketsManager markets={state.markets} onAdd={addMarket} />
+        <MarketsManager markets={state.markets} regions={state.regions} onAdd={addMarket} onUpdate={(id, patch) => updateEntity("markets", id, patch)} onRemove={(id, to) => removeEntity("markets", id, to)} usage={(id) => entityUsage(state, "markets", id)}
+          onAddRegion={addRegion} onUpdateRegion={(id, patch) => updateEntity("regions", id, patch)} onRemoveRegion={(id, to) => removeEntity("regions", id, to)} regionUsage={(id) => entityUsage(state, "regions", id)} />
       </Modal>
 
       <Modal open={isTribeModal} title="ATPM Tribes (Examples)" onClose={() => setIsTribeModal(false)}>
-        <TribesManager tribes={state.tribes} onAdd={addTribe} />
+        <TribesManager tribes={state.tribes} onAdd={addTribe} onUpdate={(id, patch) => updateEntity("tribes", id, patch)} onRemove={(id, to) => removeEntity("tribes", id, to)} usage={(id) => entityUsage(state, "tribes", id)} />
       </Modal>
 
-      {/* Hidden One-Pager for print only; live preview exists in ExportTab */}
+      {/* Hidden One-Pager (or the whole executive pack) for print only; live previews exist in ExportTab */}
       <div id="onePager" className="hidden">
-        <OnePager state={state} cohesion={cohesion} marketId={selectedMarket?.id} ref={exportRef} />
+        {printTarget === "pack" ? (
+          <ExecutivePack state={state} marketIds={marketIds} cohesion={cohesion} budgets={budgets} regionId={regionId} />
+        ) : (
+          <OnePager state={state} marketIds={marketIds} cohesion={cohesion} budgets={budgets} marketId={selectedMarket?.id} regionId={regionId} ref={exportRef} />
+        )}
       </div>
     </div>
   );
 }
 
 // ---------- Tabs ----------
-function PlanTab({ state, selectedMarketId, onSelectMarket, onEditCell, onOpenConcepts, onOpenMarkets, onOpenTribes }) {
-  const selectedMarket = state.markets.find((m) => m.id === selectedMarketId) || state.markets[0];
+function PlanTab({ state, marketIds, onSetPillars, selectedMarketId, onSelectMarket, onEditCell, onOpenConcepts, onOpenMarkets, onOpenTribes, onRollForward, onAutoFill, cohesion, budgets, onMoveCell, onPasteCell, onCopyPlan }) {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const selectedMarket = visible.markets.find((m) => m.id === selectedMarketId) || visible.markets[0];
+  const regions = useMemo(() => (state.regions.length ? regionRollup(visible, state.year, { cohesion, budgets }) : []), [visible, cohesion, budgets]);
+  const [view, setView] = useState("market"); // market | matrix
+  const monthsRule = state.cohesionRules.find((r) => r.type === "minMonthsPlanned" && r.enabled !== false);
 
   return (
     <>
@@ -443,16 +919,18 @@ function PlanTab({ state, selectedMarketId, onSelectMarket, onEditCell, onOpenCo
           <div className="grid grid-cols-2 gap-3">
             <div>
               <label className="text-sm text-white/70">Year</label>
-              <NumberInput value={state.year} onChange={(v)=> updateStateField(state, "year", v)} />
-            </div>
-            <div>
-              <label className="text-sm text-white/70">Min months planned</label>
-              <NumberInput value={state.cohesionRules.minMonthsPlanned} onChange={(v)=> updateNested(state, "cohesionRules", { minMonthsPlanned: v })} />
+              <YearSwitcher state={state} onChange={(v)=> updateStateField(state, "year", v)} />
             </div>
+            {monthsRule && (
+              <div>
+                <label className="text-sm text-white/70">Min months planned</label>
+                <NumberInput value={ruleParams(monthsRule).min} onChange={(v)=> updateStateField(state, "cohesionRules", state.cohesionRules.map((r)=> r.id === monthsRule.id ? { ...r, params: { ...r.params, min: v ?? 0 } } : r))} />
+              </div>
+            )}
           </div>
           <div>
             <label className="text-sm text-white/70">Pillars (press Enter)</label>
-            <TagsEditor tags={state.pillars} onChange={(tags)=> updateStateField(state, "pillars", tags)} />
+            <TagsEditor tags={state.pillars} onChange={onSetPillars} renamable placeholder="Add pillar and press Enter (double‑click one to rename)" />
           </div>
           <div>
             <label className="text-sm text-white/70">Guardrails (press Enter)</label>
@@ -461,14 +939,37 @@ function PlanTab({ state, selectedMarketId, onSelectMarket, onEditCell, onOpenCo
         </div>
       </Section>
 
-      <Section title="Storyboard by Market" actions={null}>
+      {regions.length > 0 && (
+        <Section title="Regions" actions={<Pill tone="neutral">{state.year}</Pill>}>
+          <div className="overflow-x-auto border border-white/10 rounded-2xl">
+            <RegionRollupTable state={state} rows={regions} />
+          </div>
+        </Section>
+      )}
+
+      <Section
+        title={view === "matrix" ? "Storyboard — All Markets" : "Storyboard by Market"}
+        actions={
+          <>
+            <div className="flex gap-1 p-1 rounded-xl bg-white/5 border border-white/10">
+              {[{ id: "market", label: "One market" }, { id: "matrix", label: "All markets" }].map((v)=> (
+                <button key={v.id} onClick={()=> setView(v.id)} className={classNames("px-3 py-1 rounded-lg text-sm", view === v.id ? "bg-white/20" : "hover:bg-white/10")}>{v.label}</button>
+              ))}
+            </div>
+            <IconButton label="Auto‑fill…" title="Generate candidate plans for the open months" onClick={onAutoFill} />
+            <IconButton label={`Roll forward to ${state.year + 1}`} onClick={onRollForward} />
+          </>
+        }
+      >
         <div className="flex flex-wrap items-center gap-2 mb-3">
-          <Select
-            value={selectedMarket?.id}
-            onChange={onSelectMarket}
-            options={state.markets.map((m)=>({ value:m.id, label:m.name }))}
-            placeholder="Select market"
-          />
+          {view === "market" && (
+            <Select
+              value={selectedMarket?.id}
+              onChange={onSelectMarket}
+              options={visible.markets.map((m)=>({ value:m.id, label:m.name }))}
+              placeholder="Select market"
+            />
+          )}
           <div className="ml-auto flex items-center gap-3 text-sm text-white/70 flex-wrap">
             <div className="flex items-center gap-2">
               <span>Legend:</span>
@@ -488,75 +989,468 @@ function PlanTab({ state, selectedMarketId, onSelectMarket, onEditCell, onOpenCo
           </div>
         </div>
 
-        <MarketGrid
-          state={state}
-          market={selectedMarket}
-          onEditCell={(month)=> onEditCell({ month, marketId: selectedMarket.id })}
-        />
+        {view === "matrix" ? (
+          <MarketsMatrix
+            state={visible}
+            cohesion={cohesion}
+            onEditCell={onEditCell}
+            onMove={onMoveCell}
+            onPaste={onPasteCell}
+            onCopyPlan={onCopyPlan}
+          />
+        ) : !selectedMarket ? (
+          <div className="text-sm text-white/60">No markets here yet — add one under Markets, or pick another region.</div>
+        ) : (
+          <MarketGrid
+            state={state}
+            market={selectedMarket}
+            onEditCell={(month)=> onEditCell({ month, marketId: selectedMarket.id })}
+          />
+        )}
       </Section>
     </>
   );
 }
 
-function CohesionTab({ state, cohesion }) {
+const SEVERITY_TEXT = { error: "text-rose-300", warning: "text-amber-300", info: "text-sky-300" };
+
+/** One button per suggested fix, labelled with the score it would leave behind. */
+function FixButtons({ issue, previews, onApplyFix }) {
+  if (!issue.fixes.length) return null;
   return (
-    <>
-      <Section title="Cohesion Overview" actions={null}>
-        <div className="grid md:grid-cols-3 gap-4">
-          {state.markets.map((m)=> {
-            const r = cohesion.byMarket[m.id];
-            return (
-              <div key={m.id} className="rounded-2xl border border-white/10 p-4 bg-white/5">
-                <div className="flex items-center justify-between mb-2">
-                  <div className="font-semibold">{m.name}</div>
-                  <TrafficLight score={r.score} />
-                </div>
-                <div className="text-sm text-white/70 mb-2">Score: {r.score}/100</div>
-                <div className="flex flex-wrap gap-1 mb-3">
-                  <Pill tone="neutral">Planned months: {r.stats.monthsPlanned}/12</Pill>
-                  <Pill tone={r.stats.heroConceptsUsed <= state.cohesionRules.maxHeroConceptsPerMarket ? "good" : "warn"}>
-                    Hero concepts: {r.stats.heroConceptsUsed}
-                  </Pill>
-                  <Pill tone={r.stats.totalConceptsUsed <= state.cohesionRules.maxTotalConceptsPerMarket ? "good" : "warn"}>
-                    All concepts: {r.stats.totalConceptsUsed}
-                  </Pill>
-                </div>
-                <ul className="space-y-1 text-sm list-disc list-inside">
-                  {r.issues.length === 0 && <li className="text-emerald-300">No issues detected.</li>}
-                  {r.issues.map((it, i)=> (
-                    <li key={i} className="text-amber-300">{it}</li>
-                  ))}
-                </ul>
-              </div>
-            );
-          })}
-        </div>
-      </Section>
-    </>
+    <div className="flex flex-wrap gap-1 mt-1 mb-1">
+      {issue.fixes.map((fix, i)=> {
+        const preview = previews?.get(fix);
+        const delta = preview?.delta ?? 0;
+        return (
+          <button key={i} onClick={()=> onApplyFix(fix)} title={preview ? `Overall cohesion after this fix: ${preview.overall}` : undefined}
+            className="px-2 py-0.5 rounded-lg bg-white/10 hover:bg-white/20 text-[11px] text-white/80">
+            ↳ {fix.label}
+            {preview && <span className={classNames("ml-1 tabular-nums", delta > 0 ? "text-emerald-300" : delta < 0 ? "text-rose-300" : "text-white/50")}>{preview.score} ({delta > 0 ? "+" : ""}{delta})</span>}
+          </button>
+        );
+      })}
+    </div>
   );
 }
 
-function StoryboardTab({ state, marketId, setMarketId }) {
-  const market = state.markets.find((m)=> m.id === marketId) || state.markets[0];
-  const mp = (market && state.plan[market.id]) || {};
-
-  const quarterMonths = (q) => [0,1,2].map(o => (q-1)*3 + o);
+/** One line per enabled rule: pass/fail, the points it cost, and its violations. */
+function RuleBreakdown({ rules, previews, onApplyFix }) {
+  return (
+    <ul className="space-y-1 text-sm">
+      {rules.length === 0 && <li className="text-white/60">No rules enabled — see Settings.</li>}
+      {rules.map((rule)=> (
+        <li key={rule.ruleId}>
+          <div className="flex items-center justify-between gap-2">
+            <span className={rule.violations.length ? SEVERITY_TEXT[rule.severity] : "text-white/70"}>{rule.violations.length ? "✕" : "✓"} {rule.label}</span>
+            <span className="text-xs tabular-nums text-white/70">{rule.penalty ? `−${rule.penalty}` : "0"}</span>
+          </div>
+          {rule.violations.length > 0 && (
+            <ul className="ml-5 text-xs text-white/60 list-disc list-inside">
+              {rule.violations.map((v, i)=> (
+                <li key={i}>
+                  {v.message}
+                  {onApplyFix && <FixButtons issue={v} previews={previews} onApplyFix={onApplyFix} />}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
 
-  function monthCard(mi) {
-    const pl = mp[mi] || {};
-    const concept = state.concepts.find((c)=> c.id === pl.conceptId);
-    const tribes = (pl.tribes || []).map(id => state.tribes.find(t => t.id === id)?.name).filter(Boolean);
-    const assetCount = Object.values(pl.assets || {}).filter(Boolean).length;
-    const assetPct = Math.round( (assetCount / ASSET_CATALOG.length) * 100 );
+/** Stacked bar of pillar shares (percent). */
+function PillarBar({ pillars, mix }) {
+  const total = pillars.reduce((a, p) => a + (mix[p] || 0), 0);
+  return (
+    <div className="flex h-3 rounded-full overflow-hidden bg-white/10" title={pillars.map((p) => `${p}: ${mix[p] || 0}%`).join("\n")}>
+      {total > 0 && pillars.map((p, i) => mix[p] > 0 && <div key={p} style={{ width: `${(mix[p] / total) * 100}%`, background: pillarColour(i) }} />)}
+    </div>
+  );
+}
+
+function PillarLegend({ pillars }) {
+  return (
+    <div className="flex flex-wrap gap-3 text-xs text-white/70">
+      {pillars.map((p, i) => (
+        <span key={p} className="flex items-center gap-1"><span className="w-2.5 h-2.5 rounded-sm" style={{ background: pillarColour(i) }} />{p}</span>
+      ))}
+    </div>
+  );
+}
+
+function PillarBalance({ state }) {
+  const balance = useMemo(()=> pillarBalance(state), [state]);
+  if (!balance.pillars.length) return <p className="text-sm text-white/60">No pillars yet — add them under Annual Narrative on the Plan tab.</p>;
+  if (!balance.linked) return <p className="text-sm text-white/60">No concept expresses a pillar yet — weight each concept's pillars in the Concept Library.</p>;
+
+  return (
+    <>
+      <div className="overflow-x-auto border border-white/10 rounded-2xl mb-3">
+        <table className="min-w-full text-sm">
+          <thead className="bg-white/5 text-white/80">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium">Market</th>
+              {[1, 2, 3, 4].map((q)=> <th key={q} className="px-3 py-2 text-left font-medium">Q{q}</th>)}
+              <th className="px-3 py-2 text-left font-medium">{state.year}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {state.markets.map((m)=> {
+              const r = balance.byMarket[m.id];
+              return (
+                <tr key={m.id} className="border-t border-white/10 align-top">
+                  <td className="px-3 py-2">{m.name}</td>
+                  {r.quarters.map((q, i)=> (
+                    <td key={i} className="px-3 py-2 min-w-[8rem]">
+                      <PillarBar pillars={balance.pillars} mix={q.mix} />
+                      {q.dark.length > 0 && <div className="mt-1 text-[11px] text-amber-300">Dark: {q.dark.join(", ")}</div>}
+                    </td>
+                  ))}
+                  <td className="px-3 py-2 min-w-[8rem]"><PillarBar pillars={balance.pillars} mix={r.year} /></td>
+                </tr>
+              );
+            })}
+            <tr className="border-t border-white/10 bg-white/5">
+              <td className="px-3 py-2 font-medium">Portfolio</td>
+              <td className="px-3 py-2" colSpan={4} />
+              <td className="px-3 py-2"><PillarBar pillars={balance.pillars} mix={balance.portfolio} /></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <PillarLegend pillars={balance.pillars} />
+    </>
+  );
+}
+
+function CohesionTab({ state, marketIds, cohesion, onApplyFix }) {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const { portfolio } = cohesion;
+  // Score each suggested fix ahead of time so the buttons can show what they'd change
+  const previews = useMemo(()=> {
+    const scoreOf = (c, marketId) => marketId ? c.byMarket[marketId]?.score : c.portfolio.score;
+    const issues = [portfolio, ...Object.values(cohesion.byMarket)].flatMap((r)=> r.issues);
+    return new Map(issues.flatMap((issue)=> issue.fixes.map((fix)=> {
+      const after = analyseCohesion(applyFix(visible, fix));
+      const score = scoreOf(after, issue.marketId);
+      return [fix, { score, delta: score - scoreOf(cohesion, issue.marketId), overall: after.overall }];
+    })));
+  }, [visible, cohesion, portfolio]);
+  const average = Math.round(Object.values(cohesion.byMarket).reduce((a, r)=> a + r.score, 0) / Math.max(1, visible.markets.length));
+
+  return (
+    <>
+      <Section title="Portfolio alignment" actions={<TrafficLight score={cohesion.overall} />}>
+        <div className="grid md:grid-cols-3 gap-4">
+          <div className="rounded-2xl border border-white/10 p-4 bg-white/5">
+            <div className="text-sm text-white/70">Overall cohesion</div>
+            <div className="text-3xl font-bold">{cohesion.overall}/100</div>
+            <div className="text-xs text-white/60 mt-1">Market average {average} − portfolio penalties {100 - portfolio.score}</div>
+            <div className="flex flex-wrap gap-1 mt-3">
+              <Pill tone={portfolio.stats.northStar.tagged ? "neutral" : "warn"}>
+                North Star share: {portfolio.stats.northStar.tagged ? `${portfolio.stats.northStar.share}%` : "no concept tagged"}
+              </Pill>
+            </div>
+          </div>
+          <div className="md:col-span-2 rounded-2xl border border-white/10 p-4 bg-white/5">
+            <div className="text-sm text-white/70 mb-2">Cross‑market rules</div>
+            <RuleBreakdown rules={portfolio.rules} previews={previews} onApplyFix={onApplyFix} />
+          </div>
+        </div>
+      </Section>
+
+      <Section title="Cohesion Overview" actions={null}>
+        <div className="grid md:grid-cols-3 gap-4">
+          {visible.markets.map((m)=> {
+            const r = cohesion.byMarket[m.id];
+            return (
+              <div key={m.id} className="rounded-2xl border border-white/10 p-4 bg-white/5">
+                <div className="flex items-center justify-between mb-2">
+                  <div className="font-semibold">{m.name}</div>
+                  <TrafficLight score={r.score} />
+                </div>
+                <div className="text-sm text-white/70 mb-2">Score: {r.score}/100</div>
+                <div className="flex flex-wrap gap-1 mb-3">
+                  <Pill tone="neutral">Planned months: {r.stats.monthsPlanned}/12</Pill>
+                  <Pill tone="neutral">Hero concepts: {r.stats.heroConceptsUsed}</Pill>
+                  <Pill tone="neutral">All concepts: {r.stats.totalConceptsUsed}</Pill>
+                </div>
+                <RuleBreakdown rules={r.rules} previews={previews} onApplyFix={onApplyFix} />
+              </div>
+            );
+          })}
+        </div>
+      </Section>
+
+      <Section title="Pillar balance" actions={null}>
+        <PillarBalance state={visible} />
+      </Section>
+
+      <Section title="Score by rule" actions={null}>
+        <div className="overflow-x-auto border border-white/10 rounded-2xl">
+          <table className="min-w-full text-sm">
+            <thead className="bg-white/5 text-white/80">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Rule</th>
+                <th className="px-3 py-2 text-left font-medium">Severity</th>
+                {visible.markets.map((m)=> <th key={m.id} className="px-3 py-2 text-right font-medium">{m.name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {(cohesion.byMarket[visible.markets[0]?.id]?.rules || []).map((rule)=> (
+                <tr key={rule.ruleId} className="border-t border-white/10">
+                  <td className="px-3 py-2">{rule.label}</td>
+                  <td className={classNames("px-3 py-2", SEVERITY_TEXT[rule.severity])}>{rule.severity}</td>
+                  {visible.markets.map((m)=> {
+                    const res = cohesion.byMarket[m.id].rules.find((x)=> x.ruleId === rule.ruleId);
+                    return <td key={m.id} className="px-3 py-2 text-right tabular-nums" title={res.violations.map((v)=> v.message).join("\n")}>{res.penalty ? `−${res.penalty}` : res.violations.length ? "✕" : "✓"}</td>;
+                  })}
+                </tr>
+              ))}
+              <tr className="border-t border-white/10 bg-white/5 font-medium">
+                <td className="px-3 py-2" colSpan={2}>Score</td>
+                {visible.markets.map((m)=> <td key={m.id} className="px-3 py-2 text-right tabular-nums">{cohesion.byMarket[m.id].score}</td>)}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </Section>
+    </>
+  );
+}
+
+function TribesTab({ state, marketIds, onEditCell }) {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const report = useMemo(()=> analyseTribes(visible), [visible]);
+  const tribeName = (id) => state.tribes.find((t)=> t.id === id)?.name ?? "—";
+  const marketName = (id) => visible.markets.find((m)=> m.id === id)?.name ?? id;
+  const conceptName = (id) => state.concepts.find((c)=> c.id === id)?.name ?? "(no concept)";
+  const poorFit = report.fit.placements.filter((x)=> x.fit.score < 100).sort((a, b)=> a.fit.score - b.fit.score);
+  const markets = Math.max(1, visible.markets.length);
+
+  return (
+    <>
+      <Section title="Tribe reach" actions={<Pill tone={report.gaps.length ? "warn" : "good"}>{report.gaps.length} gap(s)</Pill>}>
+        <div className="overflow-x-auto border border-white/10 rounded-2xl mb-4">
+          <table className="min-w-full text-sm">
+            <thead className="bg-white/5 text-white/80">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Tribe</th>
+                {MONTHS.map((m)=> <th key={m} className="px-2 py-2 text-center font-medium">{m}</th>)}
+                {visible.markets.map((m)=> <th key={m.id} className="px-3 py-2 text-right font-medium">{m.name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {state.tribes.map((t)=> {
+                const r = report.byTribe[t.id];
+                return (
+                  <tr key={t.id} className="border-t border-white/10">
+                    <td className="px-3 py-2 whitespace-nowrap">{t.name}</td>
+                    {r.months.map((ids, mi)=> (
+                      <td key={mi} className="px-1 py-1 text-center" title={ids.map(marketName).join(", ") || "Unreached"}>
+                        <div className="rounded-md py-1 text-xs tabular-nums" style={{ background: ids.length ? `rgba(56,189,248,${0.15 + 0.6 * ids.length / markets})` : "rgba(255,255,255,0.04)" }}>
+                          {ids.length || "·"}
+                        </div>
+                      </td>
+                    ))}
+                    {visible.markets.map((m)=> <td key={m.id} className={classNames("px-3 py-2 text-right tabular-nums", !r.byMarket[m.id] && "text-white/40")}>{r.byMarket[m.id]}/12</td>)}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-white/60 mb-3">Month cells count the markets reaching each tribe; market columns count the months each market reaches it.</p>
+        {!state.tribes.length ? (
+          <p className="text-sm text-white/60">No tribes yet — add them from the Plan tab.</p>
+        ) : (report.gaps.length > 0 || report.fatigue.length > 0) ? (
+          <ul className="text-sm space-y-1">
+            {report.fatigue.map((f, i)=> <li key={`f${i}`} className="text-rose-300">⚠ {f.message}</li>)}
+            {report.gaps.map((g, i)=> <li key={`g${i}`} className="text-amber-300">○ {g.message}</li>)}
+          </ul>
+        ) : (
+          <p className="text-sm text-emerald-300">Every tribe is reached each quarter, with no fatigue runs.</p>
+        )}
+      </Section>
+
+      <Section title="Channel fit" actions={report.fit.score == null ? <Pill tone="neutral">No placements with channels and tribes</Pill> : <TrafficLight score={report.fit.score} />}>
+        <div className="flex flex-wrap gap-1 mb-3">
+          <Pill tone="neutral">Overall: {report.fit.score ?? "—"}{report.fit.score != null && "/100"}</Pill>
+          {visible.markets.map((m)=> <Pill key={m.id} tone="neutral">{m.name}: {report.fit.byMarket[m.id] ?? "—"}</Pill>)}
+        </div>
+        {poorFit.length ? (
+          <div className="overflow-x-auto border border-white/10 rounded-2xl">
+            <table className="min-w-full text-sm">
+              <thead className="bg-white/5 text-white/80">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium">Placement</th>
+                  <th className="px-3 py-2 text-left font-medium">Tribes missed</th>
+                  <th className="px-3 py-2 text-left font-medium">Channels no tribe prefers</th>
+                  <th className="px-3 py-2 text-left font-medium">Try</th>
+                  <th className="px-3 py-2 text-right font-medium">Fit</th>
+                </tr>
+              </thead>
+              <tbody>
+                {poorFit.map(({ marketId, placement: pl, fit })=> {
+                  const month = monthOfDate(pl.start);
+                  const suggest = [...new Set(fit.missed.flatMap((id)=> state.tribes.find((t)=> t.id === id)?.channels || []))];
+                  return (
+                    <tr key={pl.id} className="border-t border-white/10 hover:bg-white/5 cursor-pointer" onClick={()=> onEditCell({ marketId, month, placementId: pl.id })}>
+                      <td className="px-3 py-2">{marketName(marketId)} · {MONTHS[month]} · {conceptName(pl.conceptId)}</td>
+                      <td className="px-3 py-2">{fit.missed.map(tribeName).join(", ")}</td>
+                      <td className="px-3 py-2 text-white/70">{fit.offChannels.join(", ") || "—"}</td>
+                      <td className="px-3 py-2 text-white/70">{suggest.join(", ")}</td>
+                      <td className={classNames("px-3 py-2 text-right tabular-nums", fit.score < 50 ? "text-rose-300" : "text-amber-300")}>{fit.score}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-white/60">{report.fit.score == null ? "Give placements channels and target tribes in the edit dialog to score their fit." : "Every placement reaches its tribes through a channel they prefer."}</p>
+        )}
+      </Section>
+    </>
+  );
+}
+
+const STATUS_TONE = { not_started: "text-white/60", in_production: "text-sky-300", in_review: "text-amber-300", approved: "text-emerald-300" };
+
+function AssetStatusSelect({ value, onChange }) {
+  return (
+    <select value={value} onChange={(e)=> onChange(e.target.value)}
+      className={classNames("w-full px-2 py-1 rounded-lg bg-black/20 border border-white/15 text-xs", STATUS_TONE[value])}>
+      {ASSET_STATUSES.map((st)=> <option key={st.value} value={st.value}>{st.label}</option>)}
+    </select>
+  );
+}
+
+const TRACKER_VIEWS = [
+  { value: "open", label: "Open" },
+  { value: "overdue", label: "Overdue" },
+  { value: "atRisk", label: "At risk" },
+  { value: "all", label: "Everything" },
+];
+
+function AssetTrackerTab({ state, marketIds, onUpdateAsset, onEditCell }) {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const [view, setView] = useState("open");
+  const [marketId, setMarketId] = useState();
+  const [status, setStatus] = useState();
+  const [owner, setOwner] = useState("");
+  const tasks = useMemo(()=> assetTasks(visible), [visible]);
+  const marketName = (id) => visible.markets.find((m)=> m.id === id)?.name ?? id;
+  const conceptName = (id) => state.concepts.find((c)=> c.id === id)?.name ?? "(no concept)";
+
+  const shown = tasks.filter((t)=>
+    (view === "all" || (view === "open" ? t.status !== "approved" : t[view])) &&
+    (!marketId || t.marketId === marketId) &&
+    (!status || t.status === status) &&
+    (!owner.trim() || (t.owner || "").toLowerCase().includes(owner.trim().toLowerCase())));
+  const overdue = tasks.filter((t)=> t.overdue).length;
+  const atRisk = tasks.filter((t)=> t.atRisk).length;
+  const approved = tasks.filter((t)=> t.status === "approved").length;
+
+  return (
+    <Section title={`Asset tracker — ${state.year}`} actions={
+      <>
+        <Pill tone={overdue ? "bad" : "good"}>{overdue} overdue</Pill>
+        <Pill tone={atRisk ? "warn" : "good"}>{atRisk} at risk</Pill>
+        <Pill tone="neutral">{approved}/{tasks.length} approved</Pill>
+      </>
+    }>
+      <div className="grid md:grid-cols-4 gap-3 mb-4">
+        <div>
+          <label className="text-sm text-white/70">Show</label>
+          <Select value={view} onChange={(v)=> setView(v || "open")} options={TRACKER_VIEWS} placeholder="Show" />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Market</label>
+          <Select value={marketId} onChange={setMarketId} options={visible.markets.map((m)=> ({ value: m.id, label: m.name }))} placeholder="All markets" />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Status</label>
+          <Select value={status} onChange={setStatus} options={ASSET_STATUSES} placeholder="Any status" />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Owner</label>
+          <TextInput value={owner} onChange={setOwner} placeholder="Filter by owner" />
+        </div>
+      </div>
+      {shown.length ? (
+        <div className="overflow-x-auto border border-white/10 rounded-2xl">
+          <table className="min-w-full text-sm">
+            <thead className="bg-white/5 text-white/80">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Due</th>
+                <th className="px-3 py-2 text-left font-medium">Asset</th>
+                <th className="px-3 py-2 text-left font-medium">Placement</th>
+                <th className="px-3 py-2 text-left font-medium">Owner</th>
+                <th className="px-3 py-2 text-left font-medium w-40">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((t)=> {
+                const month = monthOfDate(t.placement.start);
+                return (
+                  <tr key={`${t.placement.id}:${t.asset.id}`} className="border-t border-white/10">
+                    <td className="px-3 py-2 whitespace-nowrap tabular-nums">
+                      {t.due}
+                      {t.overdue && <span className="ml-2"><Pill tone="bad">Overdue</Pill></span>}
+                      {t.atRisk && <span className="ml-2"><Pill tone="warn">At risk</Pill></span>}
+                    </td>
+                    <td className="px-3 py-2">{t.asset.name}</td>
+                    <td className="px-3 py-2">
+                      <button className="hover:underline text-left" onClick={()=> onEditCell({ marketId: t.marketId, month, placementId: t.placement.id })}>
+                        {marketName(t.marketId)} · {MONTHS[month]} · {conceptName(t.placement.conceptId)}
+                      </button>
+                    </td>
+                    <td className="px-3 py-2">
+                      <DraftInput value={t.owner || ""} onCommit={(owner)=> onUpdateAsset(t.marketId, t.placement, t.asset.id, { owner: owner || undefined })} placeholder="Unassigned"
+                        className="w-full px-2 py-1 rounded-lg bg-black/20 border border-white/15 text-xs" />
+                    </td>
+                    <td className="px-3 py-2"><AssetStatusSelect value={t.status} onChange={(v)=> onUpdateAsset(t.marketId, t.placement, t.asset.id, { status: v })} /></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-white/60">{tasks.length ? "Nothing matches these filters." : `No placements in ${state.year} yet; assets appear here once a placement needs them.`}</p>
+      )}
+      <p className="mt-2 text-xs text-white/50">Due dates count each asset's lead time back from the flight start. At risk: due within {ASSET_AT_RISK_DAYS} days and not yet in review.</p>
+    </Section>
+  );
+}
+
+function StoryboardTab({ state, marketIds, marketId, setMarketId }) {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const market = visible.markets.find((m)=> m.id === marketId) || visible.markets[0];
+  const mp = (market && planFor(visible)[market.id]) || {};
+
+  const quarterMonths = (q) => [0,1,2].map(o => (q-1)*3 + o);
+
+  function monthCard(mi) {
+    const live = activePlacements(mp, state.year, mi);
+    const notes = placementsIn(mp, mi).map((pl)=> pl.notes).filter(Boolean).join(" · ");
+    const tribes = [...new Set(live.flatMap((pl)=> pl.tribes || []))].map(id => state.tribes.find(t => t.id === id)?.name).filter(Boolean);
+    const ready = assetReadiness(state.assetCatalog, live);
 
     return (
       <div className="p-3 rounded-xl border border-white/10 bg-white/5">
         <div className="flex items-center justify-between">
           <div className="text-xs text-white/70">{MONTHS[mi]}</div>
-          {concept && <span className="w-3 h-3 rounded" style={{ background: concept.color }} />}
+          {live.length > 1 && <span className="text-[10px] text-white/50">{live.length} flights</span>}
         </div>
-        <div className="mt-1 font-medium truncate" title={concept?.name}>{concept?.name || "—"}</div>
-        <div className="mt-1 text-xs text-white/70 line-clamp-2" title={pl.notes || ""}>{pl.notes || ""}</div>
+        <div className="mt-1">
+          {live.length ? <FlightBars state={state} placements={live} year={state.year} month={mi} /> : <div className="font-medium">—</div>}
+        </div>
+        <div className="mt-1 text-xs text-white/70 line-clamp-2" title={notes}>{notes}</div>
         <div className="mt-2 flex flex-wrap gap-1">
           {tribes.slice(0,3).map((t, i)=> (
             <span key={i} className="px-1.5 py-0.5 rounded bg-white/10 border border-white/20 text-[10px]">{t}</span>
@@ -564,9 +1458,9 @@ function StoryboardTab({ state, marketId, setMarketId }) {
         </div>
         <div className="mt-2">
           <div className="h-1.5 w-full bg-white/10 rounded-full overflow-hidden">
-            <div className="h-full bg-emerald-400" style={{ width: `${assetPct}%` }} />
+            <div className="h-full bg-emerald-400" style={{ width: `${ready.pct}%` }} />
           </div>
-          <div className="text-[10px] text-white/60 mt-1">Assets {assetCount}/{ASSET_CATALOG.length}</div>
+          <div className="text-[10px] text-white/60 mt-1">Assets {ready.done}/{ready.total}</div>
         </div>
       </div>
     );
@@ -580,7 +1474,7 @@ function StoryboardTab({ state, marketId, setMarketId }) {
           <Select
             value={market?.id}
             onChange={setMarketId}
-            options={state.markets.map((m)=>({ value:m.id, label:m.name }))}
+            options={visible.markets.map((m)=>({ value:m.id, label:m.name }))}
             placeholder="Choose market"
           />
         </div>
@@ -589,9 +1483,7 @@ function StoryboardTab({ state, marketId, setMarketId }) {
       <div className="grid md:grid-cols-4 gap-4">
         {[1,2,3,4].map((q)=> {
           const months = quarterMonths(q);
-          const hasHero = months.some(mi => {
-            const id = mp[mi]?.conceptId; return !!id && (state.concepts.find(c=> c.id===id)?.role === "Hero");
-          });
+          const hasHero = months.some(mi => activePlacements(mp, state.year, mi).some((pl)=> state.concepts.find(c=> c.id===pl.conceptId)?.role === "Hero"));
           return (
             <div key={q} className="rounded-2xl border border-white/10 p-4 bg-white/5">
               <div className="flex items-center justify-between mb-2">
@@ -611,156 +1503,739 @@ function StoryboardTab({ state, marketId, setMarketId }) {
   );
 }
 
-function ExportTab({ state, cohesion, marketId, setMarketId, exportRef }) {
-  function doPrint() {
-    setTimeout(() => window.print(), 50);
+function TimelineTab({ state, marketIds, marketId, setMarketId, onRetime, onEditCell }) {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const [scope, setScope] = useState("market"); // market | all
+  const [drag, setDrag] = useState(null); // { key, edge, x0, width, weeks }
+  const weeks = useMemo(() => yearWeeks(state.year), [state.year]);
+  const market = visible.markets.find((m) => m.id === marketId) || visible.markets[0];
+  const plan = planFor(state);
+  const first = dayNumber(weeks[0].start);
+  const totalDays = weeks.length * 7;
+  const pct = (iso) => ((dayNumber(iso) - first) / totalDays) * 100;
+
+  // One row per placement, grouped under its concept (library order, unassigned last)
+  const markets = scope === "all" ? visible.markets : market ? [market] : [];
+  const rows = markets.flatMap((m) => allPlacements(plan[m.id]).map((pl) => ({ key: `${m.id}:${pl.id}`, market: m, pl })));
+  const groups = [...state.concepts, null]
+    .map((c) => ({ concept: c, rows: rows.filter((r) => (c ? r.pl.conceptId === c.id : !state.concepts.some((x) => x.id === r.pl.conceptId))) }))
+    .filter((g) => g.rows.length)
+    .map((g) => ({ ...g, rows: g.rows.sort((a, b) => a.pl.start.localeCompare(b.pl.start)) }));
+
+  function beginDrag(e, key, edge) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    const width = e.currentTarget.closest("[data-track]").getBoundingClientRect().width;
+    setDrag({ key, edge, x0: e.clientX, width, weeks: 0 });
+  }
+
+  function moveDrag(e) {
+    if (!drag) return;
+    const n = Math.round((e.clientX - drag.x0) / (drag.width / weeks.length));
+    if (n !== drag.weeks) setDrag({ ...drag, weeks: n });
+  }
+
+  function endDrag(row) {
+    if (!drag) return;
+    const next = nudgeFlight(row.pl, state.year, drag.edge, drag.weeks);
+    setDrag(null);
+    if (drag.weeks !== 0 && (next.start !== row.pl.start || next.end !== row.pl.end)) onRetime(row.market.id, row.pl, next);
+  }
+
+  // Arrow keys: move a week; Shift resizes the end, Alt the start
+  function onKey(e, row) {
+    if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+    e.preventDefault();
+    const edge = e.shiftKey ? "end" : e.altKey ? "start" : "move";
+    const next = nudgeFlight(row.pl, state.year, edge, e.key === "ArrowLeft" ? -1 : 1);
+    if (next.start !== row.pl.start || next.end !== row.pl.end) onRetime(row.market.id, row.pl, next);
   }
 
   return (
-    <>
-      <Section
-        title="Executive One‑Pager"
-        actions={<IconButton label="Print / Save PDF" onClick={doPrint} />}
-      >
-        <div className="grid md:grid-cols-3 gap-4 mb-4">
-          <div>
-            <label className="text-sm text-white/70">Market</label>
+    <Section title={`Timeline ${state.year}`} actions={
+      <div className="flex items-center gap-2">
+        <div className="w-44">
+          <Select
+            value={scope}
+            onChange={(v) => setScope(v || "market")}
+            options={[{ value: "market", label: "One market" }, { value: "all", label: "All markets" }]}
+            placeholder="Scope"
+          />
+        </div>
+        {scope === "market" && (
+          <div className="w-44">
             <Select
-              value={marketId}
+              value={market?.id}
               onChange={setMarketId}
-              options={state.markets.map((m)=>({ value:m.id, label:m.name }))}
+              options={visible.markets.map((m) => ({ value: m.id, label: m.name }))}
               placeholder="Choose market"
             />
           </div>
-          <div>
-            <label className="text-sm text-white/70">Year</label>
-            <NumberInput value={state.year} onChange={(v)=> updateStateField(state, "year", v)} />
-          </div>
-          <div className="flex items-end">
-            <TrafficLight score={cohesion.byMarket[marketId]?.score ?? cohesion.overall} />
+        )}
+      </div>
+    }>
+      <div className="overflow-x-auto border border-white/10 rounded-2xl">
+        <div className="min-w-[960px] text-sm">
+          <div className="flex border-b border-white/10 bg-white/5">
+            <div className="w-48 shrink-0 px-3 py-2 text-white/60 text-xs">Concept / flight</div>
+            <div className="relative flex-1">
+              <div className="relative h-6 border-b border-white/10">
+                {MONTHS.map((m, mi) => (
+                  <div key={m} className="absolute inset-y-0 border-l border-white/20 px-1 text-xs text-white/80" style={{ left: `${pct(isoDate(state.year, mi, 1))}%` }}>{m}</div>
+                ))}
+              </div>
+              <div className="flex h-5">
+                {weeks.map((w) => (
+                  <div key={w.start} className="flex-1 border-l border-white/5 text-[9px] text-white/50 text-center leading-5" title={`W${w.week} · ${w.start} → ${w.end}`}>{w.week}</div>
+                ))}
+              </div>
+            </div>
           </div>
+
+          {groups.map(({ concept, rows }) => (
+            <div key={concept?.id ?? "none"} className="border-b border-white/10 last:border-b-0">
+              <div className="flex items-center gap-2 px-3 py-1.5 bg-white/5 text-xs font-medium">
+                <span className="w-3 h-3 rounded-full" style={{ background: concept?.color || "#9ca3af" }} />
+                {concept?.name ?? "Unassigned"}
+                {concept && <span className="text-white/50">{concept.role}</span>}
+              </div>
+              {rows.map((row) => {
+                const { pl } = row;
+                const shown = drag?.key === row.key ? nudgeFlight(pl, state.year, drag.edge, drag.weeks) : pl;
+                const left = pct(shown.start);
+                const width = pct(fromDayNumber(dayNumber(shown.end) + 1)) - left;
+                return (
+                  <div key={row.key} className="flex items-center hover:bg-white/5">
+                    <div className="w-48 shrink-0 px-3 py-1 truncate text-xs text-white/70" title={`${row.market.name} · ${pl.start} → ${pl.end}`}>
+                      {scope === "all" && <span className="text-white">{row.market.name} · </span>}
+                      W{isoWeek(shown.start)}–W{isoWeek(shown.end)}
+                    </div>
+                    <div data-track className="relative flex-1 h-8">
+                      {weeks.map((w, i) => (
+                        <div key={w.start} className="absolute inset-y-0 border-l border-white/5" style={{ left: `${(i / weeks.length) * 100}%` }} />
+                      ))}
+                      <div
+                        tabIndex={0}
+                        role="slider"
+                        aria-label={`${concept?.name ?? "Placement"} flight ${shown.start} to ${shown.end}`}
+                        className={classNames("absolute top-1 bottom-1 rounded-md cursor-grab select-none touch-none focus:outline-none focus:ring-2 focus:ring-sky-500", drag?.key === row.key && "cursor-grabbing ring-2 ring-white/60")}
+                        style={{ left: `${left}%`, width: `${width}%`, background: concept?.color || "#9ca3af" }}
+                        title={`${shown.start} → ${shown.end} · drag to move, drag an edge to resize, double‑click to edit`}
+                        onPointerDown={(e) => beginDrag(e, row.key, "move")}
+                        onPointerMove={moveDrag}
+                        onPointerUp={() => endDrag(row)}
+                        onPointerCancel={() => setDrag(null)}
+                        onDoubleClick={() => onEditCell({ marketId: row.market.id, month: monthOfDate(pl.start), placementId: pl.id })}
+                        onKeyDown={(e) => onKey(e, row)}
+                      >
+                        <div className="absolute inset-y-0 left-0 w-2 cursor-ew-resize rounded-l-md bg-black/20" onPointerDown={(e) => beginDrag(e, row.key, "start")} />
+                        <div className="px-3 text-[11px] leading-6 truncate font-medium text-neutral-900">{pl.notes || concept?.name || "—"}</div>
+                        <div className="absolute inset-y-0 right-0 w-2 cursor-ew-resize rounded-r-md bg-black/20" onPointerDown={(e) => beginDrag(e, row.key, "end")} />
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+
+          {!groups.length && (
+            <div className="px-3 py-6 text-sm text-white/50 italic">No placements in {state.year} yet — assign some on the Plan tab.</div>
+          )}
         </div>
+      </div>
+      <div className="mt-2 text-xs text-white/50">Flights snap to ISO weeks (Mon–Sun) when moved or resized. Arrow keys move a focused flight a week; Shift+arrows resize its end, Alt+arrows its start.</div>
+    </Section>
+  );
+}
 
-        <div className="rounded-2xl border border-white/10 overflow-hidden">
-          <OnePager state={state} cohesion={cohesion} marketId={marketId} ref={exportRef} />
+function BudgetsTab({ state, marketIds, budgets, onSetEnvelope, onSetCurrency, onSetRate, onSetReporting }) {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const [code, setCode] = useState("");
+  const rates = state.fx?.rates || {};
+  const codes = Object.keys(rates).sort();
+  const options = codes.map((c) => ({ value: c, label: c }));
+  const { totals } = budgets;
+  const used = new Set([...state.markets.map((m) => m.currency || "USD"), state.fx?.reporting]);
+
+  function addCurrency() {
+    const c = code.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(c) || rates[c]) return;
+    onSetRate(c, 1);
+    setCode("");
+  }
+
+  return (
+    <>
+      <Section title={`Budgets — ${state.year}`} actions={
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-white/70">Report in</span>
+          <div className="w-28"><Select value={state.fx?.reporting} onChange={(v) => v && onSetReporting(v)} options={options} placeholder="Currency" /></div>
+        </div>
+      }>
+        <div className="overflow-x-auto border border-white/10 rounded-2xl">
+          <table className="min-w-full text-sm">
+            <thead className="bg-white/5 text-white/80">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Market</th>
+                <th className="px-3 py-2 text-left font-medium">Currency</th>
+                <th className="px-3 py-2 text-left font-medium">Annual</th>
+                {[1, 2, 3, 4].map((q) => <th key={q} className="px-3 py-2 text-left font-medium">Q{q}</th>)}
+                <th className="px-3 py-2 text-left font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.markets.map((m) => {
+                const b = budgets.byMarket[m.id];
+                const raw = budgetFor(state, m.id);
+                const money = (n) => formatMoney(n, b.currency);
+                const errors = b.issues.filter((i) => i.level === "error").length;
+                return (
+                  <tr key={m.id} className="border-t border-white/10 align-top">
+                    <td className="px-3 py-2 font-medium">{m.name}</td>
+                    <td className="px-3 py-2 w-28"><Select value={b.currency} onChange={(v) => v && onSetCurrency(m.id, v)} options={options} placeholder="Currency" /></td>
+                    <td className="px-3 py-2 w-40">
+                      <NumberInput value={raw.annual} onChange={(v) => onSetEnvelope(m.id, { annual: v })} placeholder={raw.annual == null && b.envelope.annual != null ? `Σ ${b.envelope.annual}` : "Envelope"} />
+                      <div className="text-[11px] text-white/60 mt-1">Planned {money(b.allocated.annual)}</div>
+                    </td>
+                    {raw.quarters.map((q, i) => (
+                      <td key={i} className="px-3 py-2 w-32">
+                        <NumberInput value={q} onChange={(v) => onSetEnvelope(m.id, { quarters: raw.quarters.map((x, j) => (j === i ? v : x)) })} placeholder="—" />
+                        <div className={classNames("text-[11px] mt-1", q != null && b.allocated.quarters[i] > q ? "text-rose-300" : "text-white/60")}>Planned {money(b.allocated.quarters[i])}</div>
+                      </td>
+                    ))}
+                    <td className="px-3 py-2 min-w-[14rem]">
+                      {b.envelope.annual == null ? <Pill tone="neutral">No envelope</Pill> : (
+                        <Pill tone={errors ? "bad" : b.issues.length ? "warn" : "good"}>{errors ? "Over" : b.issues.length ? "Check" : "On budget"}</Pill>
+                      )}
+                      <ul className="mt-1 text-xs text-white/70 list-disc list-inside">
+                        {b.issues.map((i, k) => <li key={k} className={i.level === "error" ? "text-rose-300" : ""}>{i.message}</li>)}
+                      </ul>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot className="bg-white/5">
+              <tr className="border-t border-white/10">
+                <td className="px-3 py-2 font-medium" colSpan={2}>All markets ({totals.currency})</td>
+                <td className="px-3 py-2" colSpan={6}>
+                  Envelopes {formatMoney(totals.envelope, totals.currency)} · Planned {formatMoney(totals.allocated, totals.currency)}
+                  {totals.missingRates.length > 0 && <span className="text-amber-300"> · excludes {totals.missingRates.join(", ")} (no rate)</span>}
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+        <div className="mt-2 text-xs text-white/50">Amounts are in each market's currency. A flight counts toward the quarter it starts in. Changing a market's currency relabels its amounts; it does not convert them.</div>
+      </Section>
+
+      <ChannelSpendReport state={visible} />
+
+      <Section title="FX rates" actions={null}>
+        <div className="grid md:grid-cols-3 gap-3">
+          {codes.map((c) => (
+            <div key={c} className="flex items-center gap-2 p-3 rounded-2xl border border-white/10 bg-white/5">
+              <span className="text-sm w-16">1 {c} =</span>
+              {c === "USD" ? <span className="flex-1 text-sm">1</span> : <NumberInput value={rates[c]} onChange={(v) => v > 0 && onSetRate(c, v)} />}
+              <span className="text-sm">USD</span>
+              {c !== "USD" && <IconButton label="✕" title={used.has(c) ? "In use" : `Remove ${c}`} disabled={used.has(c)} onClick={() => onSetRate(c, undefined)} />}
+            </div>
+          ))}
+        </div>
+        <div className="mt-3 flex items-end gap-2">
+          <div className="w-40">
+            <label className="text-sm text-white/70">Currency code</label>
+            <TextInput value={code} onChange={setCode} placeholder="e.g., EUR" />
+          </div>
+          <IconButton label="Add currency" onClick={addCurrency} />
         </div>
       </Section>
     </>
   );
 }
 
-function SettingsTab({ state, setState }) {
-  const [jsonText, setJsonText] = useState(`
-/* Paste exported JSON here to import, or click Export to view current state */
-`);
+function ChannelSpendReport({ state }) {
+  const [quarter, setQuarter] = useState(undefined);
+  const { currency, rows } = channelSpend(state);
+  const q = quarter == null ? null : Number(quarter) - 1;
+  const pick = (cells) => (cells ? (q == null ? cells.reduce((a, b) => a + b, 0) : cells[q]) : 0);
+  const shown = rows.filter((r) => pick(r.quarters) > 0).sort((a, b) => pick(b.quarters) - pick(a.quarters));
 
-  function exportJSON() {
-    const data = JSON.stringify(state, null, 2);
-    setJsonText(data);
-  }
-  function importJSON() {
-    try {
-      const parsed = JSON.parse(jsonText);
-      setState(parsed);
-      alert("Imported successfully.");
-    } catch (e) {
-      alert("Invalid JSON.");
-    }
+  return (
+    <Section title={`Spend by channel (${currency})`} actions={
+      <div className="w-36">
+        <Select value={quarter} onChange={setQuarter} options={[1, 2, 3, 4].map((n) => ({ value: String(n), label: `Q${n}` }))} placeholder="Full year" />
+      </div>
+    }>
+      {shown.length ? (
+        <div className="overflow-x-auto border border-white/10 rounded-2xl">
+          <table className="min-w-full text-sm">
+            <thead className="bg-white/5 text-white/80">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Channel</th>
+                {state.markets.map((m) => <th key={m.id} className="px-3 py-2 text-right font-medium">{m.name}</th>)}
+                <th className="px-3 py-2 text-right font-medium">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((r) => (
+                <tr key={r.channel} className={classNames("border-t border-white/10", r.channel === UNALLOCATED_CHANNEL && "text-white/50 italic")}>
+                  <td className="px-3 py-2">{r.channel}</td>
+                  {state.markets.map((m) => <td key={m.id} className="px-3 py-2 text-right tabular-nums">{pick(r.byMarket[m.id]) ? formatMoney(pick(r.byMarket[m.id]), currency) : "—"}</td>)}
+                  <td className="px-3 py-2 text-right tabular-nums font-medium">{formatMoney(pick(r.quarters), currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-white/60">No budget planned {quarter ? `in Q${quarter}` : `in ${state.year}`} yet. Split a placement's budget across its channels in the edit dialog.</p>
+      )}
+    </Section>
+  );
+}
+
+function ExportTab({ state, marketIds, cohesion, budgets, onSetReporting, marketId, setMarketId, regionId, setRegionId, exportRef, onPrint }) {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const sheets = useMemo(() => planSheets(visible, cohesion), [visible, cohesion]);
+  const region = state.regions.find((r) => r.id === regionId);
+  const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  const fileBase = `campaign-plan-${state.year}${region ? `-${slug(region.name)}` : ""}`;
+  const [calendarMarketId, setCalendarMarketId] = useState();
+  const calendarMarket = visible.markets.find((m) => m.id === calendarMarketId);
+  const [packPreview, setPackPreview] = useState(false);
+  const [paper, setPaper] = useState("a4");
+  const [pdfError, setPdfError] = useState(null);
+
+  /** Native PDF of one market's One‑Pager, or of the executive pack when `forMarketId` is unset. */
+  function downloadPDF(forMarketId) {
+    const market = visible.markets.find((m) => m.id === forMarketId);
+    setPdfError(null);
+    loadPdfFont()
+      .then((font) => downloadFile(`${fileBase}${market ? `-${slug(market.name)}` : "-pack"}.pdf`, toPDF(state, { font, paper, marketId: market?.id, regionId }), "application/pdf"))
+      .catch((e) => setPdfError(`PDF export failed: ${e.message}`));
   }
 
+  // The BOM makes Excel read the CSV as UTF‑8
+  const downloadCSV = (sheet, suffix) => downloadFile(`${fileBase}${suffix}.csv`, "\uFEFF" + toCSV(sheet.columns, sheet.rows), "text/csv;charset=utf-8");
+
   return (
     <>
-      <Section title="Cohesion Rules" actions={null}>
-        <div className="grid md:grid-cols-4 gap-4">
+      <Section
+        title="Executive One‑Pager"
+        actions={
+          <>
+            <IconButton label="Print" onClick={()=> onPrint("onePager")} />
+            <IconButton label="Download PDF" onClick={()=> downloadPDF(marketId || visible.markets[0]?.id)} disabled={!visible.markets.length} />
+          </>
+        }
+      >
+        <div className="grid md:grid-cols-6 gap-4 mb-4">
+          <div>
+            <label className="text-sm text-white/70">Region</label>
+            <Select value={regionId} onChange={setRegionId} options={state.regions.map((r)=>({ value:r.id, label:r.name }))} placeholder="All regions" />
+          </div>
           <div>
-            <label className="text-sm text-white/70">Max Hero Concepts / Market</label>
-            <NumberInput value={state.cohesionRules.maxHeroConceptsPerMarket} onChange={(v)=> updateNested(state, "cohesionRules", { maxHeroConceptsPerMarket: v })} />
+            <label className="text-sm text-white/70">Market</label>
+            <Select
+              value={marketId}
+              onChange={setMarketId}
+              options={visible.markets.map((m)=>({ value:m.id, label:m.name }))}
+              placeholder="Choose market"
+            />
           </div>
           <div>
-            <label className="text-sm text-white/70">Min Repeats per Hero</label>
-            <NumberInput value={state.cohesionRules.minRepeatsPerHero} onChange={(v)=> updateNested(state, "cohesionRules", { minRepeatsPerHero: v })} />
+            <label className="text-sm text-white/70">Year</label>
+            <YearSwitcher state={state} onChange={(v)=> updateStateField(state, "year", v)} />
           </div>
           <div>
-            <label className="text-sm text-white/70">Min Months Planned</label>
-            <NumberInput value={state.cohesionRules.minMonthsPlanned} onChange={(v)=> updateNested(state, "cohesionRules", { minMonthsPlanned: v })} />
+            <label className="text-sm text-white/70">Reporting currency</label>
+            <Select
+              value={state.fx?.reporting}
+              onChange={(v)=> v && onSetReporting(v)}
+              options={Object.keys(state.fx?.rates || {}).sort().map((c)=>({ value:c, label:c }))}
+              placeholder="Currency"
+            />
           </div>
           <div>
-            <label className="text-sm text-white/70">Max Concepts / Market</label>
-            <NumberInput value={state.cohesionRules.maxTotalConceptsPerMarket} onChange={(v)=> updateNested(state, "cohesionRules", { maxTotalConceptsPerMarket: v })} />
+            <label className="text-sm text-white/70">PDF paper</label>
+            <Select value={paper} onChange={(v)=> v && setPaper(v)} options={Object.entries(PDF_PAPER).map(([value, p])=>({ value, label:p.label }))} />
+          </div>
+          <div className="flex items-end">
+            <TrafficLight score={cohesion.byMarket[marketId]?.score ?? cohesion.overall} />
           </div>
         </div>
+
+        {pdfError && <p className="text-sm text-rose-300 mb-3">{pdfError}</p>}
+        <div className="rounded-2xl border border-white/10 overflow-hidden">
+          <OnePager state={state} marketIds={marketIds} cohesion={cohesion} budgets={budgets} marketId={marketId} regionId={regionId} ref={exportRef} />
+        </div>
       </Section>
 
       <Section
-        title="Import / Export JSON"
+        title="Executive pack"
         actions={
           <>
-            <IconButton label="Export" onClick={exportJSON} />
-            <IconButton label="Import" onClick={importJSON} />
+            <IconButton label={packPreview ? "Hide preview" : "Preview"} onClick={()=> setPackPreview((v)=> !v)} />
+            <IconButton label="Print pack" onClick={()=> onPrint("pack")} />
+            <IconButton label="Download pack PDF" onClick={()=> downloadPDF()} disabled={!visible.markets.length} />
           </>
         }
       >
-        <textarea value={jsonText} onChange={(e)=> setJsonText(e.target.value)} rows={12} className="w-full p-3 rounded-2xl bg-black/30 border border-white/10 font-mono text-sm" />
+        <p className="text-sm text-white/70">
+          A cover page, a portfolio summary (overall cohesion, total budget, hero calendar across markets) and the One‑Pager of each
+          of the {visible.markets.length} market(s){region ? ` in ${region.name}` : ""}, each on its own page. Version {planVersion(state)} — it changes whenever the plan does. Download PDF builds the file in the app
+          on fixed {PDF_PAPER[paper].label} pages with the font and concept colours embedded, so it looks the same in every viewer;
+          Print goes through the browser dialog instead.
+        </p>
+        {packPreview && (
+          <div className="mt-3 rounded-2xl border border-white/10 overflow-hidden divide-y-8 divide-neutral-300">
+            <ExecutivePack state={state} marketIds={marketIds} cohesion={cohesion} budgets={budgets} regionId={regionId} />
+          </div>
+        )}
       </Section>
 
       <Section
-        title="Danger Zone"
-        actions={<IconButton label="Reset to Defaults" onClick={()=> { localStorage.removeItem(LS_KEY); window.location.reload(); }} />}
+        title="Spreadsheet export"
+        actions={
+          <>
+            <IconButton label="Plan CSV" onClick={()=> downloadCSV(sheets[0], "")} />
+            <IconButton label="Issues CSV" onClick={()=> downloadCSV(sheets[1], "-issues")} />
+            <IconButton label="Download XLSX" onClick={()=> downloadFile(`${fileBase}.xlsx`, toXLSX(sheets), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")} />
+          </>
+        }
       >
-        <p className="text-sm text-white/70">Resets the planner to a clean slate with sample concepts, tribes, and markets.</p>
+        <p className="text-sm text-white/70">
+          {sheets[0].rows.length} placement row(s) and {sheets[1].rows.length} cohesion issue(s) for {state.year}{region ? ` in ${region.name}` : ""}.
+          The workbook holds both as sheets; the CSVs are one file each.
+        </p>
+        <p className="mt-2 text-xs text-white/50">Columns (fixed order, new ones are only ever appended): {PLAN_COLUMNS.map((c)=> c.header).join(" · ")}</p>
+      </Section>
+
+      <Section
+        title="Calendar export (.ics)"
+        actions={
+          <>
+            <div className="w-48">
+              <Select value={calendarMarket?.id} onChange={setCalendarMarketId} options={visible.markets.map((m)=>({ value:m.id, label:m.name }))} placeholder={region ? `All of ${region.name}` : "All markets"} />
+            </div>
+            <IconButton label="Download .ics" onClick={()=> downloadFile(`${fileBase}${calendarMarket ? `-${slug(calendarMarket.name)}` : ""}.ics`, toICS(visible, { marketId: calendarMarket?.id }), "text/calendar;charset=utf-8")} />
+          </>
+        }
+      >
+        <p className="text-sm text-white/70">One all‑day event per placement across its flight and one per asset due date, with concept, tribes and channels in the description. Import into Outlook or Google Calendar; importing a newer export updates the same events rather than adding copies.</p>
       </Section>
     </>
   );
 }
 
-// ---------- Components ----------
-function MarketGrid({ state, market, onEditCell }) {
-  const mp = state.plan[market.id] || {};
+function ScenariosTab({ state, marketIds, onSwitch, onDuplicate, onRename, onDelete }) {
+  const [compareA, setCompareA] = useState(state.scenarioId);
+  const [compareB, setCompareB] = useState(state.scenarios.find((sc) => sc.id !== state.scenarioId)?.id);
+  const options = state.scenarios.map((sc) => ({ value: sc.id, label: sc.name }));
+  const visibleData = (id) => { const data = scenarioData(state, id); return data && onlyMarkets(data, marketIds); }; // scores and diffs follow the region filter
+  const a = visibleData(compareA);
+  const b = visibleData(compareB);
+  const diff = a && b ? diffScenarios(a, b, state.year) : null;
+  const nameOf = (id) => state.scenarios.find((sc) => sc.id === id)?.name;
+  const delta = (d) => (d == null ? "—" : d > 0 ? `+${d}` : String(d));
 
   return (
-    <div className="overflow-x-auto border border-white/10 rounded-2xl">
-      <table className="min-w-full text-sm">
-        <thead className="bg-white/5">
-          <tr>
-            {MONTHS.map((m) => (
-              <th key={m} className="px-3 py-2 text-left font-medium text-white/80">{m}</th>
-            ))}
-          </tr>
-        </thead>
-        <tbody>
-          <tr>
-            {MONTHS.map((m, i) => {
-              const cell = mp[i];
-              const concept = state.concepts.find((c)=> c.id === cell?.conceptId);
-              const tribes = (cell?.tribes || []).map(id => state.tribes.find(t => t.id === id)?.name).filter(Boolean);
-              const assetCount = Object.values(cell?.assets || {}).filter(Boolean).length;
-              const assetPct = Math.round( (assetCount/ASSET_CATALOG.length) * 100 );
-              return (
-                <td key={m} className="align-top">
-                  <button
-                    className={classNames(
-                      "w-full h-32 p-3 text-left border border-white/10 hover:border-white/20 transition",
-                      "bg-gradient-to-br from-white/0 to-white/5",
-                      "focus:outline-none focus:ring-2 focus:ring-sky-500",
-                      "rounded-none"
-                    )}
+    <>
+      <Section title="Scenarios" actions={<IconButton label="Duplicate active" onClick={() => onDuplicate(state.scenarioId)} />}>
+        <div className="grid md:grid-cols-3 gap-3">
+          {state.scenarios.map((sc) => {
+            const active = sc.id === state.scenarioId;
+            const score = analyseCohesion(visibleData(sc.id), state.year).overall;
+            return (
+              <div key={sc.id} className={classNames("rounded-2xl border p-4 bg-white/5", active ? "border-sky-400/40" : "border-white/10")}>
+                <div className="flex items-center gap-2 mb-2">
+                  <TextInput value={sc.name} onChange={(v) => onRename(sc.id, v)} />
+                  {active && <Pill tone="info">Active</Pill>}
+                </div>
+                <div className="flex items-center justify-between mb-3">
+                  <span className="text-sm text-white/70">{state.year} cohesion: {score}/100</span>
+                  <TrafficLight score={score} />
+                </div>
+                <div className="flex gap-2">
+                  {!active && <IconButton label="Switch" onClick={() => onSwitch(sc.id)} />}
+                  <IconButton label="Duplicate" onClick={() => onDuplicate(sc.id)} />
+                  {!active && <IconButton label="Delete" onClick={() => onDelete(sc.id)} />}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </Section>
+
+      <Section title={`Compare — ${state.year}`} actions={null}>
+        <div className="grid md:grid-cols-3 gap-4 mb-4">
+          <div>
+            <label className="text-sm text-white/70">Scenario A</label>
+            <Select value={compareA} onChange={setCompareA} options={options} placeholder="Choose scenario" />
+          </div>
+          <div>
+            <label className="text-sm text-white/70">Scenario B</label>
+            <Select value={compareB} onChange={setCompareB} options={options} placeholder="Choose scenario" />
+          </div>
+          {diff && (
+            <div className="flex items-end gap-2">
+              <Pill tone="neutral">A {diff.scores.a}</Pill>
+              <Pill tone="neutral">B {diff.scores.b}</Pill>
+              <Pill tone={diff.scores.delta > 0 ? "good" : diff.scores.delta < 0 ? "bad" : "neutral"}>Δ {delta(diff.scores.delta)}</Pill>
+            </div>
+          )}
+        </div>
+
+        {!diff && <p className="text-sm text-white/60">Duplicate a scenario, change it, then pick two scenarios to compare.</p>}
+        {diff && (
+          <>
+            <div className="flex flex-wrap gap-2 mb-4">
+              {Object.entries(diff.scores.byMarket).map(([id, r]) => (
+                <Pill key={id} tone={r.delta > 0 ? "good" : r.delta < 0 ? "bad" : "neutral"}>
+                  {r.name}: {r.a ?? "—"} → {r.b ?? "—"} ({delta(r.delta)})
+                </Pill>
+              ))}
+            </div>
+            {diff.rows.length === 0 ? (
+              <p className="text-sm text-emerald-300">No placement differences in {state.year}.</p>
+            ) : (
+              <div className="overflow-x-auto border border-white/10 rounded-2xl">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-white/5">
+                    <tr>
+                      {["Market", "Month", "Field", nameOf(compareA), nameOf(compareB)].map((h, i) => (
+                        <th key={i} className="px-3 py-2 text-left font-medium text-white/80">{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diff.rows.flatMap((r) => r.changes.map((c, i) => (
+                      <tr key={`${r.marketId}-${r.month}-${c.field}`} className="border-t border-white/10">
+                        <td className="px-3 py-1.5">{i === 0 ? r.marketName : ""}</td>
+                        <td className="px-3 py-1.5">{i === 0 ? MONTHS[r.month] : ""}</td>
+                        <td className="px-3 py-1.5 text-white/70">{c.field}</td>
+                        <td className="px-3 py-1.5 text-rose-300">{c.a}</td>
+                        <td className="px-3 py-1.5 text-emerald-300">{c.b}</td>
+                      </tr>
+                    )))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </Section>
+    </>
+  );
+}
+
+function SettingsTab({ state, marketIds, setState }) {
+  const [jsonText, setJsonText] = useState(`
+/* Paste exported JSON here to import, or click Export to view current state */
+`);
+
+  const [mode, setMode] = useState("replace");
+  const [prepared, setPrepared] = useState(null);
+  const allOrphans = useMemo(() => findOrphans(state), [state]);
+  const orphans = allOrphans.filter((o) => !marketIds || !o.marketId || marketIds.includes(o.marketId)); // Repair still clears every region's
+  const targets = onlyMarkets(state, marketIds).markets;
+  const [sourceMarketId, setSourceMarketId] = useState();
+  const [targetMarketId, setTargetMarketId] = useState(targets[0]?.id);
+
+  function exportJSON() {
+    const data = JSON.stringify(wrapState(state), null, 2);
+    setJsonText(data);
+    setPrepared(null);
+  }
+  function checkImport() {
+    const p = prepareImport(jsonText, state);
+    setPrepared(p);
+    setSourceMarketId(importMarketOptions(p.data)[0]?.value);
+  }
+
+  const issues = prepared ? [...prepared.issues] : [];
+  if (prepared?.data && mode === "replace" && !prepared.full) {
+    issues.unshift({ level: "error", path: "$", message: "a fragment cannot replace the whole plan; choose a merge mode" });
+  }
+  if (prepared?.data && mode === "market" && (!sourceMarketId || !targetMarketId)) {
+    issues.unshift({ level: "error", path: "plans", message: "pick the market to import and the market to import it into" });
+  }
+  const blocked = !prepared?.data || issues.some((i) => i.level === "error");
+  const next = !blocked ? applyImport(state, prepared.data, mode, { sourceMarketId, targetMarketId }) : null;
+
+  function importJSON() {
+    if (!next) return;
+    setState(next, `Import JSON (${mode})`);
+    setPrepared(null);
+    alert("Imported successfully.");
+  }
+
+  return (
+    <>
+      <Section title="Cohesion Rules" actions={<IconButton label="Restore defaults" onClick={()=> updateStateField(state, "cohesionRules", rulesFromThresholds())} />}>
+        <RulesEditor rules={state.cohesionRules} onChange={(rules)=> updateStateField(state, "cohesionRules", rules)} />
+        <p className="mt-2 text-xs text-white/50">Each market starts at 100; every violation of an enabled rule costs its points. Severity sets how a violation is shown.</p>
+      </Section>
+
+      <Section title="Asset Catalogue" actions={<IconButton label="Restore defaults" onClick={()=> updateStateField(state, "assetCatalog", defaultAssetCatalog())} />}>
+        <AssetCatalogEditor assets={state.assetCatalog} onChange={(list)=> updateStateField(state, "assetCatalog", list)} />
+        <p className="mt-2 text-xs text-white/50">A placement's checklist holds the assets mapped to its channels plus those mapped to none; readiness counts only those.</p>
+      </Section>
+
+      <Section title="Data integrity" actions={<IconButton label="Repair" disabled={!allOrphans.length} title="Clear every orphaned reference, in every region" onClick={()=> setState(repairOrphans(state), "Repair orphaned references")} />}>
+        {orphans.length ? (
+          <ul className="text-sm text-white/80 grid gap-1 max-h-60 overflow-auto">
+            {orphans.map((o, i)=> <li key={i}><Pill tone="warn">{o.kind}</Pill> <span className="ml-1">{o.message}</span></li>)}
+          </ul>
+        ) : (
+          <p className="text-sm text-white/60">Every placement, plan, envelope and pillar weight{marketIds ? " in this region" : ""} points at something that exists.</p>
+        )}
+        {allOrphans.length > orphans.length && <p className="mt-2 text-xs text-white/50">{allOrphans.length - orphans.length} more in other regions.</p>}
+      </Section>
+
+      <Section title="Import placements from CSV">
+        <CsvImportWizard state={state} onImport={(next, n)=> setState(next, `Import ${n} placement(s) from CSV`)} />
+      </Section>
+
+      <Section
+        title="Import / Export JSON"
+        actions={
+          <>
+            <IconButton label="Export" onClick={exportJSON} />
+            <IconButton label="Check import" onClick={checkImport} />
+          </>
+        }
+      >
+        <textarea value={jsonText} onChange={(e)=> { setJsonText(e.target.value); setPrepared(null); }} rows={12} className="w-full p-3 rounded-2xl bg-black/30 border border-white/10 font-mono text-sm" />
+        <div className="grid md:grid-cols-3 gap-3 mt-3">
+          <div>
+            <label className="text-sm text-white/70">Import mode</label>
+            <Select value={mode} onChange={(v)=> setMode(v || "replace")} options={IMPORT_MODES} placeholder="Import mode" />
+          </div>
+          {mode === "market" && prepared?.data && (
+            <>
+              <div>
+                <label className="text-sm text-white/70">Market in file</label>
+                <Select value={sourceMarketId} onChange={setSourceMarketId} options={importMarketOptions(prepared.data)} placeholder="Choose market" />
+              </div>
+              <div>
+                <label className="text-sm text-white/70">Import into</label>
+                <Select value={targetMarketId} onChange={setTargetMarketId} options={targets.map((m)=>({ value:m.id, label:m.name }))} placeholder="Choose market" />
+              </div>
+            </>
+          )}
+        </div>
+        {prepared && (
+          <ImportReport issues={issues} summary={next && summariseChanges(state, next)} onApply={importJSON} />
+        )}
+      </Section>
+
+      <Section
+        title="Danger Zone"
+        actions={<IconButton label="Reset to Defaults" onClick={()=> { saveState(DEFAULT_STATE); window.location.reload(); }} />}
+      >
+        <p className="text-sm text-white/70">Resets the planner to a clean slate with sample concepts, tribes, and markets.</p>
+      </Section>
+    </>
+  );
+}
+
+// ---------- Components ----------
+/** Markets that have a plan in an import payload, labelled from its market list when present. */
+function importMarketOptions(data) {
+  const ids = new Set(Object.values(data?.plans || {}).flatMap((plan) => Object.keys(plan || {})));
+  return Array.from(ids).map((id) => ({ value: id, label: (data.markets || []).find((m) => m.id === id)?.name || id }));
+}
+
+function ImportReport({ issues, summary, onApply }) {
+  const errors = issues.filter((i) => i.level === "error");
+  const warnings = issues.filter((i) => i.level === "warning");
+  const line = (label, c) => `${label}: ${c.added} added · ${c.updated} updated · ${c.removed} removed`;
+
+  return (
+    <div className="mt-4 grid gap-3">
+      {issues.length > 0 && (
+        <ul className="space-y-1 text-sm max-h-60 overflow-y-auto">
+          {[...errors, ...warnings].map((it, i)=> (
+            <li key={i} className={it.level === "error" ? "text-rose-300" : "text-amber-300"}>
+              <code className="text-xs text-white/70">{it.path}</code> {it.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap gap-1">
+        <Pill tone={errors.length ? "bad" : "good"}>{errors.length} errors</Pill>
+        <Pill tone={warnings.length ? "warn" : "neutral"}>{warnings.length} warnings</Pill>
+      </div>
+      {summary && (
+        <div className="rounded-2xl border border-white/10 p-3 bg-white/5 text-sm">
+          <div className="font-medium mb-1">Preview</div>
+          <ul className="text-white/80 space-y-0.5">
+            <li>{line("Markets", summary.markets)}</li>
+            <li>{line("Concepts", summary.concepts)}</li>
+            <li>{line("Tribes", summary.tribes)}</li>
+            <li>{line("Placements", summary.placements)}</li>
+            <li>Settings changed: {summary.fields.join(", ") || "none"}</li>
+          </ul>
+          <div className="mt-3">
+            <IconButton label="Apply import" onClick={onApply} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MarketGrid({ state, market, onEditCell }) {
+  const mp = planFor(state)[market.id] || {};
+
+  return (
+    <div className="overflow-x-auto border border-white/10 rounded-2xl">
+      <table className="min-w-full text-sm">
+        <thead className="bg-white/5">
+          <tr>
+            {MONTHS.map((m) => (
+              <th key={m} className="px-3 py-2 text-left font-medium text-white/80">{m}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            {MONTHS.map((m, i) => {
+              const live = activePlacements(mp, state.year, i);
+              const notes = placementsIn(mp, i).map((pl)=> pl.notes).filter(Boolean).join(" · ");
+              const tribes = [...new Set(live.flatMap((pl)=> pl.tribes || []))].map(id => state.tribes.find(t => t.id === id)?.name).filter(Boolean);
+              const ready = assetReadiness(state.assetCatalog, live);
+              return (
+                <td key={m} className="align-top">
+                  <button
+                    className={classNames(
+                      "w-full h-32 p-3 text-left border border-white/10 hover:border-white/20 transition overflow-hidden",
+                      "bg-gradient-to-br from-white/0 to-white/5",
+                      "focus:outline-none focus:ring-2 focus:ring-sky-500",
+                      "rounded-none"
+                    )}
                     onClick={() => onEditCell(i)}
                   >
                     <div className="flex items-center gap-2 mb-1">
                       <span className="text-xs text-white/60">{m}</span>
-                      {concept && <span className="w-2.5 h-2.5 rounded-full" style={{ background: concept.color }} />}
+                      {live.length > 1 && <span className="text-[10px] text-white/50">×{live.length}</span>}
                     </div>
-                    {concept ? (
+                    {live.length ? (
                       <div>
-                        <div className="font-semibold truncate" title={concept.name}>{concept.name}</div>
-                        <div className="text-[11px] text-white/60 truncate" title={cell?.notes || ""}>{cell?.notes || ""}</div>
+                        <FlightBars state={state} placements={live.slice(0,3)} year={state.year} month={i} />
+                        <div className="text-[11px] text-white/60 truncate" title={notes}>{notes}</div>
                         <div className="mt-1 flex flex-wrap gap-1">
                           {tribes.slice(0,2).map((t, idx)=> (
                             <span key={idx} className="px-1.5 py-0.5 rounded bg-white/10 border border-white/20 text-[10px]">{t}</span>
                           ))}
                         </div>
                         <div className="mt-1 h-1 w-full bg-white/10 rounded overflow-hidden">
-                          <div className="h-full bg-emerald-400" style={{ width: `${assetPct}%` }} />
+                          <div className="h-full bg-emerald-400" style={{ width: `${ready.pct}%` }} />
                         </div>
                       </div>
                     ) : (
@@ -777,44 +2252,270 @@ function MarketGrid({ state, market, onEditCell }) {
   );
 }
 
-function EditCellForm({ state, cell, onChange, onRemove }) {
+function MarketsMatrix({ state, cohesion, onEditCell, onMove, onPaste, onCopyPlan }) {
+  const plan = planFor(state);
+  const [clip, setClip] = useState(null); // placement copied with Ctrl/⌘+C
+  const [dropTarget, setDropTarget] = useState(null);
+  const [copyFrom, setCopyFrom] = useState(null);
+  const conceptById = Object.fromEntries(state.concepts.map((c)=> [c.id, c]));
+  const key = (marketId, month) => `${marketId}:${month}`;
+
+  function onChipKeyDown(e, marketId, pl) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const k = e.key.toLowerCase();
+    const month = monthOfDate(pl.start);
+    if (k === "c") { e.preventDefault(); e.stopPropagation(); setClip(pl); }
+    else if (k === "d" && month < 11) { e.preventDefault(); e.stopPropagation(); onMove({ marketId, month, placementId: pl.id }, { marketId, month: month + 1 }, true); }
+  }
+
+  function onCellKeyDown(e, marketId, month) {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "v" && clip) { e.preventDefault(); onPaste({ marketId, month }, clip); }
+  }
+
+  function onDrop(e, to) {
+    e.preventDefault();
+    setDropTarget(null);
+    try {
+      const from = JSON.parse(e.dataTransfer.getData("application/x-storyboard-placement"));
+      onMove(from, to, e.altKey || e.ctrlKey || e.metaKey);
+    } catch (err) { /* not one of our placements */ }
+  }
+
+  return (
+    <>
+      <div className="text-xs text-white/60 mb-2">
+        Drag a placement to move it (hold Alt/Ctrl to copy). Focus a placement and use Ctrl/⌘+C to copy or Ctrl/⌘+D to duplicate into next month; focus a cell and Ctrl/⌘+V to paste.
+        {clip && <span className="ml-2 text-sky-300">Clipboard: {conceptById[clip.conceptId]?.name} <button className="underline" onClick={()=> setClip(null)}>clear</button></span>}
+      </div>
+      <div className="overflow-x-auto border border-white/10 rounded-2xl">
+        <table className="min-w-full text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium text-white/80">Market</th>
+              {MONTHS.map((m) => (
+                <th key={m} className="px-2 py-2 text-left font-medium text-white/80">{m}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {state.markets.map((market)=> {
+              const mp = plan[market.id] || {};
+              const r = cohesion.byMarket[market.id];
+              return (
+                <React.Fragment key={market.id}>
+                  <tr className="border-t border-white/10">
+                    <td className="px-3 py-2 align-top min-w-[10rem]">
+                      <div className="font-medium">{market.name}</div>
+                      <div className="mt-1 flex items-center gap-2">
+                        <TrafficLight score={r?.score ?? 0} />
+                        <span className="text-xs text-white/60">{r?.score ?? 0}</span>
+                      </div>
+                      <button onClick={()=> setCopyFrom(market.id)} className="mt-2 text-xs text-sky-300 hover:underline">Copy plan to…</button>
+                    </td>
+                    {MONTHS.map((m, i) => {
+                      const live = activePlacements(mp, state.year, i);
+                      const k = key(market.id, i);
+                      return (
+                        <td key={m} className="align-top p-0">
+                          <div
+                            tabIndex={0}
+                            onDragOver={(e)=> { e.preventDefault(); setDropTarget(k); }}
+                            onDragLeave={()=> setDropTarget((t)=> (t === k ? null : t))}
+                            onDrop={(e)=> onDrop(e, { marketId: market.id, month: i })}
+                            onKeyDown={(e)=> onCellKeyDown(e, market.id, i)}
+                            onClick={()=> onEditCell({ marketId: market.id, month: i })}
+                            className={classNames(
+                              "w-full h-24 min-w-[6.5rem] p-1.5 grid content-start gap-0.5 cursor-pointer border border-white/10 hover:border-white/20 transition overflow-hidden",
+                              "focus:outline-none focus:ring-2 focus:ring-sky-500",
+                              dropTarget === k && "ring-2 ring-emerald-400"
+                            )}
+                          >
+                            {live.length === 0 && <div className="text-white/30 text-[11px] italic">—</div>}
+                            {live.map((pl)=> {
+                              const concept = conceptById[pl.conceptId];
+                              const filedMonth = monthOfDate(pl.start);
+                              return (
+                                <div
+                                  key={pl.id}
+                                  tabIndex={0}
+                                  draggable
+                                  onDragStart={(e)=> { e.stopPropagation(); e.dataTransfer.setData("application/x-storyboard-placement", JSON.stringify({ marketId: market.id, month: filedMonth, placementId: pl.id })); e.dataTransfer.effectAllowed = "copyMove"; }}
+                                  onKeyDown={(e)=> onChipKeyDown(e, market.id, pl)}
+                                  onClick={(e)=> { e.stopPropagation(); onEditCell({ marketId: market.id, month: filedMonth, placementId: pl.id }); }}
+                                  title={`${concept?.name ?? "Unassigned"} · ${pl.start} → ${pl.end}${pl.budget ? ` · ${formatMoney(pl.budget, marketCurrency(state, market.id))}` : ""}`}
+                                  className={classNames(
+                                    "px-1.5 py-0.5 rounded text-[11px] truncate border focus:outline-none focus:ring-1 focus:ring-sky-400",
+                                    filedMonth === i ? "border-white/20" : "border-dashed border-white/15 opacity-70",
+                                    clip?.id === pl.id && "border-sky-400"
+                                  )}
+                                  style={{ background: `${concept?.color || "#9ca3af"}33` }}
+                                >
+                                  <span className="inline-block w-1.5 h-1.5 rounded-full mr-1 align-middle" style={{ background: concept?.color || "#9ca3af" }} />
+                                  {concept?.name ?? "Unassigned"}
+                                </div>
+                              );
+                            })}
+                          </div>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                  {r?.issues.length > 0 && (
+                    <tr>
+                      <td colSpan={13} className="px-3 pb-2 text-[11px] text-amber-300">
+                        ⚠ {r.issues.map((i)=> i.message).join(" · ")}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <Modal open={!!copyFrom} title={`Copy ${state.markets.find((m)=> m.id === copyFrom)?.name} plan to…`} onClose={()=> setCopyFrom(null)}>
+        {copyFrom && (
+          <CopyPlanForm
+            markets={state.markets.filter((m)=> m.id !== copyFrom)}
+            onCopy={(ids, overwrite)=> { onCopyPlan(copyFrom, ids, overwrite); setCopyFrom(null); }}
+          />
+        )}
+      </Modal>
+    </>
+  );
+}
+
+function CopyPlanForm({ markets, onCopy }) {
+  const [ids, setIds] = useState([]);
+  const [overwrite, setOverwrite] = useState(false);
+  return (
+    <div className="grid gap-4">
+      <MultiCheck options={markets.map((m)=> ({ value: m.id, label: m.name }))} values={ids} onChange={setIds} />
+      <Checkbox label="Overwrite months already planned in the target markets" checked={overwrite} onChange={setOverwrite} />
+      <div>
+        <IconButton label={`Copy to ${ids.length} market${ids.length === 1 ? "" : "s"}`} onClick={()=> ids.length && onCopy(ids, overwrite)} />
+      </div>
+    </div>
+  );
+}
+
+function EditCellForm({ state, cell, onChange, onRemove, onClearMonth }) {
   const concepts = state.concepts;
-  const mp = state.plan[cell.marketId] || {};
-  const current = mp[cell.month] || {};
+  const mp = planFor(state)[cell.marketId] || {};
+  const filed = placementsIn(mp, cell.month);
+  const [selectedId, setSelectedId] = useState(() => cell.placementId || filed[0]?.id || uid("p"));
+  // Look the placement up across the market so it stays selected if its start date refiles it
+  const current = allPlacements(mp).find((pl) => pl.id === selectedId) || monthFlight(state.year, cell.month);
+  const month = monthOfDate(current.start);
+  const carriedIn = activePlacements(mp, state.year, cell.month).filter((pl) => monthOfDate(pl.start) !== cell.month);
+  const conceptName = (id) => concepts.find((c) => c.id === id)?.name || "Unassigned";
+  const change = (patch) => onChange(patch, { placementId: selectedId, month });
+
+  const setAsset = (id, p) => change({ assets: { ...(current.assets || {}), [id]: { ...assetEntry(current, id), ...p } } });
+  const needed = requiredAssets(state.assetCatalog, current);
+  const { done: completed, total, pct } = assetReadiness(state.assetCatalog, [current]);
+  const currency = marketCurrency(state, cell.marketId);
+  const split = channelSplit(current);
+  const repeatRule = state.cohesionRules.find((rule) => rule.type === "minHeroRepeats" && rule.enabled !== false);
+
+  // Dropping a channel drops its share of the split
+  function changeChannels(tags) {
+    const channelBudgets = Object.fromEntries(Object.entries(current.channelBudgets || {}).filter(([ch]) => tags.includes(ch)));
+    change({ channels: tags, channelBudgets });
+  }
+
+  // Whole units; the rounding remainder goes to the first channel
+  function splitEvenly() {
+    const chs = current.channels;
+    const share = Math.floor(current.budget / chs.length);
+    change({ channelBudgets: Object.fromEntries(chs.map((ch, i) => [ch, share + (i === 0 ? current.budget - share * chs.length : 0)])) });
+  }
 
-  const assets = current.assets || {};
-  const completed = Object.values(assets).filter(Boolean).length;
-  const pct = Math.round((completed/ASSET_CATALOG.length)*100);
+  function remove() {
+    onRemove(selectedId, month);
+    setSelectedId(filed.find((pl) => pl.id !== selectedId)?.id || uid("p"));
+  }
 
   return (
     <div className="grid gap-4">
+      <div className="flex flex-wrap items-center gap-2">
+        {filed.map((pl) => (
+          <button
+            key={pl.id}
+            onClick={() => setSelectedId(pl.id)}
+            className={classNames("px-2.5 py-1 rounded-full border text-xs flex items-center gap-1.5", pl.id === selectedId ? "bg-white/20 border-white/40" : "bg-white/5 border-white/15 hover:bg-white/10")}
+          >
+            <span className="w-2 h-2 rounded-full" style={{ background: concepts.find((c) => c.id === pl.conceptId)?.color || "#9ca3af" }} />
+            {conceptName(pl.conceptId)} · {pl.start.slice(5)} → {pl.end.slice(5)}
+          </button>
+        ))}
+        {!filed.some((pl) => pl.id === selectedId) && month === cell.month && <Pill tone="info">New placement</Pill>}
+        <IconButton label="+ Add placement" onClick={() => setSelectedId(uid("p"))} />
+      </div>
+      {carriedIn.length > 0 && (
+        <div className="text-xs text-white/60">
+          Also running this month: {carriedIn.map((pl) => `${conceptName(pl.conceptId)} (from ${MONTHS[monthOfDate(pl.start)]})`).join(", ")}
+        </div>
+      )}
+
       <div className="grid md:grid-cols-2 gap-3">
         <div>
           <label className="text-sm text-white/70">Concept</label>
           <Select
             value={current.conceptId}
-            onChange={(v)=> onChange({ conceptId: v })}
+            onChange={(v)=> change({ conceptId: v })}
             options={concepts.map((c)=> ({ value: c.id, label: `${c.name} ${c.role === "Hero" ? "(Hero)" : ""}` }))}
             placeholder="Pick concept"
           />
         </div>
         <div>
-          <label className="text-sm text-white/70">Budget (USD)</label>
-          <NumberInput value={current.budget} onChange={(v)=> onChange({ budget: v })} />
+          <label className="text-sm text-white/70">Budget ({currency})</label>
+          <NumberInput value={current.budget} onChange={(v)=> change({ budget: v })} />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Flight start</label>
+          <DateInput value={current.start} min={`${state.year}-01-01`} max={`${state.year}-12-31`} onChange={(v)=> change({ start: v })} />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Flight end</label>
+          <DateInput value={current.end} min={current.start} max={`${state.year}-12-31`} onChange={(v)=> change({ end: v })} />
         </div>
       </div>
 
       <div>
         <label className="text-sm text-white/70">Channels (press Enter)</label>
-        <TagsEditor tags={current.channels || []} onChange={(tags)=> onChange({ channels: tags })} placeholder="e.g., Meta Ads, Google Search, CRM, PR" />
+        <TagsEditor tags={current.channels || []} onChange={changeChannels} placeholder="e.g., Meta Ads, Google Search, CRM, PR" />
       </div>
 
+      {(current.channels || []).length > 0 && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label className="text-sm text-white/70">Budget by channel ({currency})</label>
+            <div className="flex items-center gap-2">
+              <span className={classNames("text-xs", split.unallocated < 0 ? "text-rose-300" : split.unallocated > 0 ? "text-amber-300" : "text-emerald-300")}>
+                {split.unallocated < 0 ? `Over budget by ${formatMoney(-split.unallocated, currency)}` : split.unallocated > 0 ? `${formatMoney(split.unallocated, currency)} not split` : "Fully split"}
+              </span>
+              <IconButton label="Split evenly" disabled={!current.budget} onClick={splitEvenly} />
+            </div>
+          </div>
+          <div className="grid sm:grid-cols-3 gap-2">
+            {current.channels.map((ch)=> (
+              <div key={ch}>
+                <div className="text-xs text-white/60 mb-1 truncate">{ch}</div>
+                <NumberInput value={current.channelBudgets?.[ch]} onChange={(v)=> change({ channelBudgets: { ...current.channelBudgets, [ch]: v } })} />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div>
         <label className="text-sm text-white/70">Target Tribes</label>
         <MultiCheck
           options={state.tribes.map(t=> ({ value:t.id, label:t.name }))}
           values={current.tribes || []}
-          onChange={(vals)=> onChange({ tribes: vals })}
+          onChange={(vals)=> change({ tribes: vals })}
         />
       </div>
 
@@ -822,7 +2523,7 @@ function EditCellForm({ state, cell, onChange, onRemove }) {
         <label className="text-sm text-white/70">Notes</label>
         <textarea
           value={current.notes || ""}
-          onChange={(e)=> onChange({ notes: e.target.value })}
+          onChange={(e)=> change({ notes: e.target.value })}
           rows={4}
           className="w-full p-3 rounded-2xl bg-black/30 border border-white/10"
           placeholder="Key message, hero asset, CTA, audiences…"
@@ -831,119 +2532,539 @@ function EditCellForm({ state, cell, onChange, onRemove }) {
 
       <div>
         <div className="flex items-center justify-between mb-2">
-          <label className="text-sm text-white/70">Assets Checklist</label>
-          <span className="text-xs text-white/60">{completed}/{ASSET_CATALOG.length} ({pct}%)</span>
+          <label className="text-sm text-white/70">Assets</label>
+          <span className="text-xs text-white/60">{completed}/{total} approved ({pct}%)</span>
         </div>
-        <div className="grid sm:grid-cols-2 gap-2">
-          {ASSET_CATALOG.map((a)=> (
-            <Checkbox key={a} label={a} checked={!!assets[a]} onChange={(val)=> onChange({ assets: { ...assets, [a]: val } })} />
-          ))}
+        <div className="grid gap-1">
+          {needed.map((a)=> {
+            const entry = assetEntry(current, a.id);
+            return (
+              <div key={a.id} className="grid grid-cols-12 gap-2 items-center text-sm">
+                <span className="col-span-4 truncate">{a.name}</span>
+                <div className="col-span-3"><AssetStatusSelect value={entry.status} onChange={(status)=> setAsset(a.id, { status })} /></div>
+                <DraftInput value={entry.owner || ""} onCommit={(owner)=> setAsset(a.id, { owner: owner || undefined })} placeholder="Owner"
+                  className="col-span-3 px-2 py-1 rounded-lg bg-black/20 border border-white/15 text-xs" />
+                <span className="col-span-2 text-xs text-white/60 tabular-nums" title={`${a.leadDays ?? DEFAULT_LEAD_DAYS} days before the flight starts`}>due {assetDueDate(current, a)}</span>
+              </div>
+            );
+          })}
         </div>
+        <p className="mt-2 text-xs text-white/50">
+          {(current.channels || []).length ? `Only the assets its channels need (${needed.length} of ${state.assetCatalog.length}); map assets to channels in Settings.` : "No channels yet — showing the full catalogue."}
+        </p>
       </div>
 
-      <div className="flex items-center justify-between">
-        <div className="text-xs text-white/60">Tip: Assign each hero concept to at least {state.cohesionRules.minRepeatsPerHero} months across the year.</div>
-        <button onClick={onRemove} className="px-3 py-1.5 rounded-xl bg-rose-600/20 border border-rose-600/30 text-rose-300 hover:bg-rose-600/30">Clear</button>
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs text-white/60">{repeatRule && `Tip: Assign each hero concept to at least ${ruleParams(repeatRule).min} months across the year.`}</div>
+        <div className="flex gap-2">
+          <button onClick={remove} className="px-3 py-1.5 rounded-xl bg-rose-600/20 border border-rose-600/30 text-rose-300 hover:bg-rose-600/30">Remove placement</button>
+          <button onClick={onClearMonth} className="px-3 py-1.5 rounded-xl bg-rose-600/20 border border-rose-600/30 text-rose-300 hover:bg-rose-600/30">Clear month</button>
+        </div>
       </div>
     </div>
   );
 }
 
-function ConceptsManager({ concepts, onAdd, onRemove }) {
+/** The asset catalogue: each asset, its lead time in days and the channels that require it (none = every placement). */
+function AssetCatalogEditor({ assets, onChange }) {
   const [name, setName] = useState("");
-  const [role, setRole] = useState("Hero");
-  const [tags, setTags] = useState([]);
-  const [color, setColor] = useState(SEED_COLOURS[Math.floor(Math.random()*SEED_COLOURS.length)]);
+  const patch = (id, p) => onChange(assets.map((a) => (a.id === id ? { ...a, ...p } : a)));
 
   function add() {
     if (!name.trim()) return;
-    onAdd({ name: name.trim(), role, tags, color });
-    setName(""); setRole("Hero"); setTags([]);
+    onChange([...assets, { id: uid("a"), name: name.trim(), channels: [], leadDays: DEFAULT_LEAD_DAYS }]);
+    setName("");
   }
 
   return (
-    <div className="grid gap-4">
-      <div className="grid md:grid-cols-4 gap-3">
-        <div>
-          <label className="text-sm text-white/70">Name</label>
-          <TextInput value={name} onChange={setName} placeholder="e.g., Culinary Passport" />
-        </div>
-        <div>
-          <label className="text-sm text-white/70">Role</label>
-          <Select value={role} onChange={setRole} options={[{value:"Hero", label:"Hero"},{value:"Support", label:"Support"}]} placeholder="Role" />
-        </div>
-        <div>
-          <label className="text-sm text-white/70">Colour</label>
-          <input type="color" value={color} onChange={(e)=> setColor(e.target.value)} className="w-full h-10 rounded-xl bg-black/20 border border-white/15" />
+    <div className="grid gap-2">
+      {assets.map((a) => (
+        <div key={a.id} className="grid md:grid-cols-12 gap-3 items-center p-3 rounded-2xl border border-white/10 bg-white/5">
+          <div className="md:col-span-4">
+            <TextInput value={a.name} onChange={(v) => patch(a.id, { name: v })} placeholder="Asset name" />
+          </div>
+          <div className="md:col-span-2" title="Lead time: days before the flight starts that the asset is due">
+            <NumberInput value={a.leadDays} onChange={(v) => patch(a.id, { leadDays: v ?? DEFAULT_LEAD_DAYS })} placeholder="Lead days" />
+          </div>
+          <div className="md:col-span-5">
+            <TagsEditor tags={a.channels || []} onChange={(channels) => patch(a.id, { channels })} placeholder="Channels that need it (empty = every placement)" />
+          </div>
+          <div className="md:col-span-1 flex justify-end">
+            <IconButton label="✕" title="Remove asset" onClick={() => onChange(assets.filter((x) => x.id !== a.id))} />
+          </div>
         </div>
-        <div className="flex items-end">
-          <IconButton label="Add Concept" onClick={add} />
+      ))}
+      <div className="flex items-end gap-2 mt-1">
+        <div className="w-72">
+          <TextInput value={name} onChange={setName} placeholder="e.g., OOH Poster" />
         </div>
-      </div>
-      <div>
-        <label className="text-sm text-white/70">Tags (press Enter)</label>
-        <TagsEditor tags={tags} onChange={setTags} placeholder="e.g., wellness, food, couples" />
-      </div>
-
-      <div className="grid md:grid-cols-2 gap-3">
-        {concepts.map((c)=> (
-          <div key={c.id} className="flex items-center gap-3 p-3 rounded-2xl border border-white/10 bg-white/5">
-            <span className="w-4 h-4 rounded" style={{ background:c.color }} />
-            <div className="flex-1">
-              <div className="font-medium">{c.name} <span className="text-xs text-white/50">{c.role}</span></div>
-              <div className="text-xs text-white/60">{c.tags?.join(", ")}</div>
-            </div>
-            <button onClick={()=> onRemove(c.id)} className="px-2 py-1 text-xs rounded-lg bg-white/10 hover:bg-white/20">Remove</button>
-          </div>
-        ))}
+        <IconButton label="Add asset" onClick={add} />
       </div>
     </div>
   );
 }
 
-function MarketsManager({ markets, onAdd }) {
-  const [name, setName] = useState("");
-  const [region, setRegion] = useState("");
+const CSV_STEPS = [
+  { id: "source", label: "1. Paste" },
+  { id: "map", label: "2. Map columns" },
+  { id: "match", label: "3. Match names" },
+  { id: "preview", label: "4. Preview" },
+];
 
-  function add() {
-    if (!name.trim()) return;
-    onAdd(name.trim(), region.trim() || undefined);
-    setName(""); setRegion("");
+/**
+ * Four‑step CSV import: paste or open a file, map columns to fields, settle names that match no
+ * market, concept or tribe, then a dry run with row‑level errors. Only the last step changes the
+ * plan, in one undo step; rows with errors are left out.
+ */
+function CsvImportWizard({ state, onImport }) {
+  const [step, setStep] = useState("source");
+  const [text, setText] = useState("");
+  const [mapping, setMapping] = useState({});
+  const [choices, setChoices] = useState({});
+  const parsed = useMemo(() => parseCSV(text), [text]);
+  const header = parsed[0];
+  const rows = useMemo(() => parsed.slice(1), [parsed]);
+  const unmatched = useMemo(() => (step === "match" || step === "preview" ? unmatchedNames(state, rows, mapping) : null), [state, rows, mapping, step]);
+  const staged = useMemo(() => (step === "preview" ? stageCsvEntities(state, unmatched, choices) : null), [state, unmatched, choices, step]);
+  const preview = useMemo(() => (staged ? previewCsvImport(staged.state, rows, mapping, staged.aliases) : []), [staged, rows, mapping]);
+  const ok = preview.filter((r) => !r.errors.length);
+  const result = useMemo(() => (staged ? applyCsvImport(state, staged.state, preview) : null), [state, staged, preview]);
+  const created = result ? ["markets", "concepts", "tribes"].reduce((a, k) => a + result[k].length - state[k].length, 0) : 0;
+  const missingRequired = CSV_FIELDS.filter((f) => f.required && mapping[f.key] == null && mapping[f.unless] == null);
+  const marketName = (id) => staged?.state.markets.find((m) => m.id === id)?.name;
+
+  function openFile(e) {
+    const file = e.target.files?.[0];
+    if (file) file.text().then(setText);
+  }
+
+  function toMapping() {
+    setMapping(guessMapping(header));
+    setStep("map");
   }
 
+  function runImport() {
+    onImport(result, ok.length);
+    setText(""); setChoices({}); setStep("source");
+  }
+
+  const choose = (kind, name, value) => setChoices((c) => ({ ...c, [kind]: { ...c[kind], [normaliseName(name)]: value } }));
+
   return (
-    <div className="grid gap-4">
-      <div className="grid md:grid-cols-3 gap-3">
-        <div>
-          <label className="text-sm text-white/70">Market name</label>
-          <TextInput value={name} onChange={setName} placeholder="e.g., United Kingdom" />
-        </div>
-        <div>
-          <label className="text-sm text-white/70">Region / Code (optional)</label>
-          <TextInput value={region} onChange={setRegion} placeholder="e.g., UK" />
-        </div>
-        <div className="flex items-end">
-          <IconButton label="Add Market" onClick={add} />
-        </div>
+    <div className="grid gap-3">
+      <div className="flex gap-1 text-xs">
+        {CSV_STEPS.map((s)=> <span key={s.id} className={classNames("px-2 py-1 rounded-lg", s.id === step ? "bg-white/20" : "text-white/50")}>{s.label}</span>)}
       </div>
 
-      <div className="grid md:grid-cols-2 gap-3">
-        {markets.map((m)=> (
-          <div key={m.id} className="p-3 rounded-2xl border border-white/10 bg-white/5">
-            <div className="font-medium">{m.name}</div>
-            <div className="text-xs text-white/60">{m.region || "—"}</div>
+      {step === "source" && (
+        <>
+          <textarea value={text} onChange={(e)=> setText(e.target.value)} rows={8} className="w-full p-3 rounded-2xl bg-black/30 border border-white/10 font-mono text-sm" placeholder="Paste a media plan as CSV (first row = column headers), or open a file" />
+          <div className="flex items-center gap-3">
+            <input type="file" accept=".csv,text/csv,text/plain" onChange={openFile} className="text-sm text-white/70" />
+            <span className="ml-auto text-sm text-white/60">{rows.length} data row(s)</span>
+            <IconButton label="Next" disabled={!header || !rows.length} onClick={toMapping} />
           </div>
-        ))}
-      </div>
-    </div>
-  );
-}
+        </>
+      )}
 
-function TribesManager({ tribes, onAdd }) {
-  const [name, setName] = useState("");
-  const [description, setDescription] = useState("");
-  const [triggers, setTriggers] = useState([]);
-  const [channels, setChannels] = useState([]);
+      {step === "map" && (
+        <>
+          <div className="grid md:grid-cols-2 gap-3">
+            {CSV_FIELDS.map((f)=> (
+              <label key={f.key} className="grid gap-1 text-sm">
+                <span className="text-white/70">{f.label}{f.required ? " *" : ""}{f.unless ? ` (or ${CSV_FIELDS.find((u)=> u.key === f.unless).label.toLowerCase()})` : ""}</span>
+                <Select value={mapping[f.key] == null ? undefined : String(mapping[f.key])} onChange={(v)=> setMapping((m)=> ({ ...m, [f.key]: v == null ? undefined : Number(v) }))}
+                  options={header.map((h, i)=> ({ value: String(i), label: `${h || `Column ${i + 1}`} — e.g. ${rows[0]?.[i] || "(blank)"}` }))} placeholder="Not imported" />
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-3">
+            <IconButton label="Back" onClick={()=> setStep("source")} />
+            {missingRequired.length > 0 && <span className="text-sm text-amber-300">Map {missingRequired.map((f)=> f.label).join(" and ")} to continue.</span>}
+            <span className="ml-auto" />
+            <IconButton label="Next" disabled={missingRequired.length > 0} onClick={()=> setStep("match")} />
+          </div>
+        </>
+      )}
+
+      {step === "match" && (
+        <>
+          {CSV_ENTITY_FIELDS.every(([kind])=> !unmatched[kind].length) && <p className="text-sm text-white/70">Every market, concept and tribe in the file matches one you already have.</p>}
+          {CSV_ENTITY_FIELDS.filter(([kind])=> unmatched[kind].length).map(([kind])=> (
+            <div key={kind} className="grid gap-2">
+              <div className="text-sm font-medium">New {kind}</div>
+              {unmatched[kind].map((name)=> (
+                <div key={name} className="grid grid-cols-[1fr_16rem] items-center gap-3 text-sm">
+                  <span className="truncate">“{name}”</span>
+                  <Select value={choices[kind]?.[normaliseName(name)] ?? "create"} onChange={(v)=> choose(kind, name, v || "create")}
+                    options={[{ value: "create", label: `Create ${ENTITY_NOUNS[kind]}` }, { value: "skip", label: "Skip rows that use it" }, ...state[kind].map((e)=> ({ value: e.id, label: `Same as ${e.name}` }))]} placeholder="Create" />
+                </div>
+              ))}
+            </div>
+          ))}
+          <div className="flex items-center gap-3">
+            <IconButton label="Back" onClick={()=> setStep("map")} />
+            <span className="ml-auto" />
+            <IconButton label="Preview" onClick={()=> setStep("preview")} />
+          </div>
+        </>
+      )}
+
+      {step === "preview" && (
+        <>
+          <div className="flex flex-wrap gap-2">
+            <Pill tone="good">{ok.length} ready</Pill>
+            <Pill tone={preview.length > ok.length ? "bad" : "neutral"}>{preview.length - ok.length} with errors</Pill>
+            {created > 0 && <Pill tone="info">{created} new market/concept/tribe record(s)</Pill>}
+          </div>
+          <div className="max-h-72 overflow-auto border border-white/10 rounded-2xl">
+            <table className="min-w-full text-sm">
+              <thead className="bg-white/5 text-white/80">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium">Line</th>
+                  <th className="px-3 py-2 text-left font-medium">Market</th>
+                  <th className="px-3 py-2 text-left font-medium">Month</th>
+                  <th className="px-3 py-2 text-left font-medium">Concept</th>
+                  <th className="px-3 py-2 text-left font-medium">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((r)=> (
+                  <tr key={r.line} className="border-t border-white/10">
+                    <td className="px-3 py-1.5 tabular-nums text-white/60">{r.line}</td>
+                    <td className="px-3 py-1.5">{marketName(r.marketId) ?? "—"}</td>
+                    <td className="px-3 py-1.5">{r.month != null ? MONTHS[r.month] : "—"}</td>
+                    <td className="px-3 py-1.5">{staged.state.concepts.find((c)=> c.id === r.patch.conceptId)?.name ?? "—"}</td>
+                    <td className={classNames("px-3 py-1.5", r.errors.length ? "text-rose-300" : "text-emerald-300")}>{r.errors.length ? r.errors.join("; ") : "✓ new placement"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex items-center gap-3">
+            <IconButton label="Back" onClick={()=> setStep("match")} />
+            <span className="ml-auto text-xs text-white/50">Placements are added to {state.year}; rows with errors are skipped.</span>
+            <IconButton label={`Import ${ok.length} placement(s)`} disabled={!ok.length} onClick={runImport} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function RulesEditor({ rules, onChange }) {
+  const [type, setType] = useState("maxConsecutiveMonths");
+  const patch = (id, p) => onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...p } : rule)));
+
+  function add() {
+    if (!RULE_TYPES[type]) return;
+    onChange([...rules, { id: uid("r"), type, enabled: true, severity: "warning", weight: 2, params: ruleParams({ type }) }]);
+  }
+
+  return (
+    <div className="grid gap-2">
+      {rules.map((rule) => {
+        const def = RULE_TYPES[rule.type];
+        const params = ruleParams(rule);
+        return (
+          <div key={rule.id} className={classNames("grid md:grid-cols-12 gap-3 items-end p-3 rounded-2xl border border-white/10 bg-white/5", rule.enabled === false && "opacity-60")}>
+            <div className="md:col-span-4">
+              <div className="flex items-center justify-between gap-2">
+                <Checkbox checked={rule.enabled !== false} onChange={(v) => patch(rule.id, { enabled: v })} label={def ? def.label : `Unknown type “${rule.type}” (ignored)`} />
+                {def?.scope === "portfolio" && <Pill tone="info">Portfolio</Pill>}
+              </div>
+              <div className="mt-1">
+                <TextInput value={rule.label || ""} onChange={(v) => patch(rule.id, { label: v || undefined })} placeholder="Custom label (optional)" />
+              </div>
+            </div>
+            <div className="md:col-span-3 grid grid-cols-2 gap-2">
+              {(def?.params || []).map((p) => (
+                <div key={p.key}>
+                  <label className="text-xs text-white/60">{p.label}</label>
+                  <NumberInput value={params[p.key]} onChange={(v) => patch(rule.id, { params: { ...rule.params, [p.key]: v ?? p.default } })} />
+                </div>
+              ))}
+            </div>
+            <div className="md:col-span-2">
+              <label className="text-xs text-white/60">Severity</label>
+              <Select value={rule.severity} onChange={(v) => patch(rule.id, { severity: v || "warning" })} options={RULE_SEVERITIES.map((s) => ({ value: s, label: s }))} placeholder="Severity" />
+            </div>
+            <div className="md:col-span-2">
+              <label className="text-xs text-white/60">Points per violation</label>
+              <NumberInput value={rule.weight} onChange={(v) => patch(rule.id, { weight: v ?? 0 })} />
+            </div>
+            <div className="md:col-span-1 flex justify-end">
+              <IconButton label="✕" title="Remove rule" onClick={() => onChange(rules.filter((x) => x.id !== rule.id))} />
+            </div>
+          </div>
+        );
+      })}
+      <div className="flex items-end gap-2 mt-1">
+        <div className="w-72">
+          <Select value={type} onChange={setType} options={Object.entries(RULE_TYPES).map(([value, t]) => ({ value, label: t.label }))} placeholder="Rule type" />
+        </div>
+        <IconButton label="Add rule" onClick={add} />
+      </div>
+    </div>
+  );
+}
+
+function AutoPlanner({ state, marketIds, cohesion, onAccept }) {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const [count, setCount] = useState(3);
+  const [candidates, setCandidates] = useState(null);
+  const [accepted, setAccepted] = useState({}); // marketId → candidate seed
+  const [progress, setProgress] = useState(null); // share of the search done while it runs
+  const search = useRef(null);
+  useEffect(() => () => search.current?.abort(), []);
+
+  async function generate() {
+    search.current?.abort();
+    const controller = (search.current = new AbortController());
+    setProgress(0);
+    const found = await autoPlanInSlices(visible, { count: clamp(count || 1, 1, 5), seed: Date.now() % 100000 }, { onProgress: setProgress, signal: controller.signal });
+    if (!found) return;
+    setProgress(null);
+    setCandidates(found);
+    setAccepted({});
+  }
+
+  function accept(candidate, marketId) {
+    const ids = marketId ? [marketId] : visible.markets.map((m) => m.id).filter((id) => !accepted[id] && candidate.byMarket[id].additions.length);
+    ids.forEach((id) => onAccept(candidate, id));
+    setAccepted((prev) => ({ ...prev, ...Object.fromEntries(ids.map((id) => [id, candidate.seed])) }));
+  }
+
+  const open = visible.markets.reduce((a, m) => a + openMonths(planFor(state)[m.id], state.year).length, 0);
+
+  return (
+    <div className="grid gap-4">
+      <p className="text-sm text-white/70">
+        Fills the {open} open market‑month(s) of {state.year} from the concept library, keeping every month you already planned. Candidates
+        maximise the cohesion score under the current rules, leave quarters whose envelope is spent empty, split what is left of each
+        quarter's envelope across new placements, and spread tribes to meet the tribe‑coverage rule when it is enabled.
+      </p>
+      <div className="flex items-end gap-2">
+        <div className="w-32">
+          <label className="text-sm text-white/70">Candidates</label>
+          <NumberInput value={count} min={1} onChange={setCount} />
+        </div>
+        <IconButton label={progress == null ? "Generate" : `Generating… ${Math.round(progress * 100)}%`} onClick={generate} disabled={!open || !state.concepts.length || progress != null} />
+      </div>
+
+      {candidates && !candidates.length && <p className="text-sm text-white/60">Nothing to fill: every month is planned or the concept library is empty.</p>}
+      {candidates?.map((cand, n) => (
+        <div key={cand.seed} className="rounded-2xl border border-white/10 p-4 bg-white/5">
+          <div className="flex items-center justify-between mb-3">
+            <div className="font-medium">Candidate {n + 1}</div>
+            <div className="flex items-center gap-2">
+              <Pill tone="neutral">Overall {cohesion.overall} → {cand.overall}</Pill>
+              <IconButton label="Accept all markets" onClick={() => accept(cand)} disabled={visible.markets.every((m) => accepted[m.id] || !cand.byMarket[m.id].additions.length)} />
+            </div>
+          </div>
+          <div className="grid gap-2">
+            {visible.markets.map((m) => {
+              const { score, additions } = cand.byMarket[m.id];
+              const done = accepted[m.id];
+              return (
+                <div key={m.id} className="grid md:grid-cols-12 gap-2 items-center text-sm">
+                  <div className="md:col-span-2 font-medium">{m.name}</div>
+                  <div className="md:col-span-2 text-white/70">{cohesion.byMarket[m.id]?.score ?? 0} → {score}</div>
+                  <div className="md:col-span-6 flex flex-wrap gap-1">
+                    {additions.map((pl) => {
+                      const c = state.concepts.find((x) => x.id === pl.conceptId);
+                      return (
+                        <span key={pl.id} className="px-1.5 py-0.5 rounded text-[11px] border border-white/20" style={{ background: `${c?.color ?? "#9ca3af"}33` }} title={`${c?.name}${pl.budget ? ` · ${formatMoney(pl.budget, marketCurrency(state, m.id))}` : ""}`}>
+                          {MONTHS[monthOfDate(pl.start)]} {c?.name}
+                        </span>
+                      );
+                    })}
+                    {!additions.length && <span className="text-white/50 text-xs">No changes</span>}
+                  </div>
+                  <div className="md:col-span-2 flex justify-end">
+                    {done ? <Pill tone="good">{done === cand.seed ? "Accepted" : "Taken"}</Pill> : <IconButton label="Accept" onClick={() => accept(cand, m.id)} disabled={!additions.length} />}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ConceptsManager({ concepts, pillars, onAdd, onUpdate, onRemove, usage, onToggleNorthStar, onSetPillarWeight }) {
+  const [name, setName] = useState("");
+  const [role, setRole] = useState("Hero");
+  const [tags, setTags] = useState([]);
+  const [northStar, setNorthStar] = useState(false);
+  const [color, setColor] = useState(SEED_COLOURS[Math.floor(Math.random()*SEED_COLOURS.length)]);
+
+  function add() {
+    if (!name.trim()) return;
+    onAdd({ name: name.trim(), role, tags, color, northStar });
+    setName(""); setRole("Hero"); setTags([]); setNorthStar(false);
+  }
+
+  return (
+    <div className="grid gap-4">
+      <div className="grid md:grid-cols-4 gap-3">
+        <div>
+          <label className="text-sm text-white/70">Name</label>
+          <TextInput value={name} onChange={setName} placeholder="e.g., Culinary Passport" />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Role</label>
+          <Select value={role} onChange={setRole} options={[{value:"Hero", label:"Hero"},{value:"Support", label:"Support"}]} placeholder="Role" />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Colour</label>
+          <input type="color" value={color} onChange={(e)=> setColor(e.target.value)} className="w-full h-10 rounded-xl bg-black/20 border border-white/15" />
+        </div>
+        <div className="flex items-end">
+          <IconButton label="Add Concept" onClick={add} />
+        </div>
+      </div>
+      <div>
+        <label className="text-sm text-white/70">Tags (press Enter)</label>
+        <TagsEditor tags={tags} onChange={setTags} placeholder="e.g., wellness, food, couples" />
+      </div>
+      <Checkbox checked={northStar} onChange={setNorthStar} label="Carries the North Star (counts toward the portfolio North Star share)" />
+
+      <div className="grid md:grid-cols-2 gap-3">
+        {concepts.map((c)=> (
+          <EntityCard key={c.id} entity={c} others={concepts} noun="concept" usage={usage} clearLabel="Clear from placements" onUpdate={onUpdate} onRemove={onRemove}
+            renderEdit={(d, set)=> (
+              <>
+                <div className="grid grid-cols-[1fr_auto_auto] gap-2">
+                  <TextInput value={d.name} onChange={(name)=> set({ name })} placeholder="Name" />
+                  <div className="w-28"><Select value={d.role} onChange={(role)=> set({ role: role || "Hero" })} options={[{value:"Hero", label:"Hero"},{value:"Support", label:"Support"}]} placeholder="Role" /></div>
+                  <input type="color" value={d.color} onChange={(e)=> set({ color: e.target.value })} className="w-12 h-10 rounded-xl bg-black/20 border border-white/15" />
+                </div>
+                <TagsEditor tags={d.tags || []} onChange={(tags)=> set({ tags })} placeholder="Tags (press Enter)" />
+              </>
+            )}
+            actions={<button onClick={()=> onToggleNorthStar(c.id)} title="Carries the North Star" className={classNames("px-2 py-1 text-xs rounded-lg", c.northStar ? "bg-amber-400/20 text-amber-200" : "bg-white/10 text-white/50 hover:bg-white/20")}>★ North Star</button>}
+            footer={pillars.length > 0 && (
+              <div className="mt-2 grid grid-cols-2 gap-x-3 gap-y-1" title="Pillar weights: how strongly the concept expresses each pillar (0 = not at all)">
+                {pillars.map((p)=> (
+                  <label key={p} className="flex items-center gap-2 text-[11px] text-white/70">
+                    <span className="flex-1 truncate">{p}</span>
+                    <input type="number" min={0} value={c.pillars?.[p] ?? 0} onChange={(e)=> onSetPillarWeight(c.id, p, Number(e.target.value) || 0)}
+                      className="w-12 px-1 py-0.5 rounded-md bg-black/20 border border-white/15 text-right tabular-nums" />
+                  </label>
+                ))}
+              </div>
+            )}>
+            <div className="flex items-center gap-3">
+              <span className="w-4 h-4 rounded shrink-0" style={{ background:c.color }} />
+              <div className="min-w-0">
+                <div className="font-medium">{c.name} <span className="text-xs text-white/50">{c.role}</span></div>
+                <div className="text-xs text-white/60">{c.tags?.join(", ")}</div>
+              </div>
+            </div>
+          </EntityCard>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function MarketsManager({ markets, regions, onAdd, onUpdate, onRemove, usage, onAddRegion, onUpdateRegion, onRemoveRegion, regionUsage }) {
+  const [name, setName] = useState("");
+  const [code, setCode] = useState("");
+  const [regionId, setRegionId] = useState();
+  const [currency, setCurrency] = useState("USD");
+  const [regionName, setRegionName] = useState("");
+  const regionOptions = regions.map((r)=>({ value:r.id, label:r.name }));
+  const nameOfRegion = (id) => regions.find((r)=> r.id === id)?.name;
+
+  function add() {
+    if (!name.trim()) return;
+    const iso = currency.trim().toUpperCase();
+    onAdd({ name: name.trim(), code: code.trim() || undefined, regionId, currency: /^[A-Z]{3}$/.test(iso) ? iso : "USD" });
+    setName(""); setCode(""); setCurrency("USD");
+  }
+
+  function addRegion() {
+    if (!regionName.trim()) return;
+    onAddRegion(regionName.trim());
+    setRegionName("");
+  }
+
+  return (
+    <div className="grid gap-4">
+      <div className="grid md:grid-cols-5 gap-3">
+        <div>
+          <label className="text-sm text-white/70">Market name</label>
+          <TextInput value={name} onChange={setName} placeholder="e.g., United Kingdom" />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Code (optional)</label>
+          <TextInput value={code} onChange={setCode} placeholder="e.g., UK" />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Region</label>
+          <Select value={regionId} onChange={setRegionId} options={regionOptions} placeholder="No region" />
+        </div>
+        <div>
+          <label className="text-sm text-white/70">Currency</label>
+          <TextInput value={currency} onChange={setCurrency} placeholder="e.g., GBP" />
+        </div>
+        <div className="flex items-end">
+          <IconButton label="Add Market" onClick={add} />
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-3">
+        {markets.map((m)=> (
+          <EntityCard key={m.id} entity={m} others={markets} noun="market" usage={usage} clearLabel="Delete its placements" onRemove={onRemove}
+            onUpdate={(id, patch)=> {
+              const iso = (patch.currency || "").trim().toUpperCase();
+              onUpdate(id, { ...patch, code: patch.code?.trim() || undefined, regionId: patch.regionId || undefined, currency: /^[A-Z]{3}$/.test(iso) ? iso : m.currency });
+            }}
+            renderEdit={(d, set)=> (
+              <div className="grid grid-cols-2 gap-2">
+                <TextInput value={d.name} onChange={(name)=> set({ name })} placeholder="Market name" />
+                <TextInput value={d.code ?? ""} onChange={(code)=> set({ code })} placeholder="Code" />
+                <Select value={d.regionId} onChange={(regionId)=> set({ regionId })} options={regionOptions} placeholder="No region" />
+                <TextInput value={d.currency ?? ""} onChange={(currency)=> set({ currency })} placeholder="Currency" />
+              </div>
+            )}>
+            <div className="font-medium">{m.name}</div>
+            <div className="text-xs text-white/60">{m.code || "—"} · {nameOfRegion(m.regionId) || NO_REGION} · {m.currency || "USD"}</div>
+          </EntityCard>
+        ))}
+      </div>
+
+      <div className="pt-3 border-t border-white/10 grid gap-3">
+        <div className="flex items-end gap-3">
+          <div className="flex-1">
+            <label className="text-sm text-white/70">Regions (cohesion, budget, readiness and tribe coverage roll up by region)</label>
+            <TextInput value={regionName} onChange={setRegionName} placeholder="e.g., Europe" />
+          </div>
+          <IconButton label="Add Region" onClick={addRegion} />
+        </div>
+        <div className="grid md:grid-cols-3 gap-3">
+          {regions.map((r)=> (
+            <EntityCard key={r.id} entity={r} others={regions} noun="region" usage={regionUsage} usageNoun="market" clearLabel="Unassign its markets" onUpdate={onUpdateRegion} onRemove={onRemoveRegion}
+              renderEdit={(d, set)=> <TextInput value={d.name} onChange={(name)=> set({ name })} placeholder="Region name" />}>
+              <div className="font-medium">{r.name}</div>
+              <div className="text-xs text-white/60">{markets.filter((m)=> m.regionId === r.id).map((m)=> m.name).join(", ") || "No markets yet"}</div>
+            </EntityCard>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TribesManager({ tribes, onAdd, onUpdate, onRemove, usage }) {
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [triggers, setTriggers] = useState([]);
+  const [channels, setChannels] = useState([]);
 
   function add() {
     if (!name.trim()) return;
@@ -979,20 +3100,93 @@ function TribesManager({ tribes, onAdd }) {
 
       <div className="grid md:grid-cols-2 gap-3">
         {tribes.map((t)=> (
-          <div key={t.id} className="p-3 rounded-2xl border border-white/10 bg-white/5">
+          <EntityCard key={t.id} entity={t} others={tribes} noun="tribe" usage={usage} clearLabel="Clear from placements" onUpdate={onUpdate} onRemove={onRemove}
+            renderEdit={(d, set)=> (
+              <>
+                <TextInput value={d.name} onChange={(name)=> set({ name })} placeholder="Name" />
+                <textarea value={d.description ?? ""} onChange={(e)=> set({ description: e.target.value })} rows={2} className="w-full p-2 rounded-xl bg-black/30 border border-white/10 text-sm" placeholder="Description" />
+                <TagsEditor tags={d.triggers || []} onChange={(triggers)=> set({ triggers })} placeholder="Triggers (press Enter)" />
+                <TagsEditor tags={d.channels || []} onChange={(channels)=> set({ channels })} placeholder="Channels (press Enter)" />
+              </>
+            )}>
             <div className="font-semibold">{t.name}</div>
             <div className="text-sm text-white/80">{t.description}</div>
             <div className="mt-2 text-[11px] text-white/70"><b>Triggers:</b> {t.triggers.join(", ")}</div>
             <div className="text-[11px] text-white/70"><b>Channels:</b> {t.channels.join(", ")}</div>
-          </div>
+          </EntityCard>
         ))}
       </div>
     </div>
   );
 }
 
-const TagsEditor = ({ tags, onChange, placeholder }) => {
+/**
+ * Card chrome shared by the concept, market, tribe and region managers. Edit swaps the card for a
+ * draft form saved as one undo step; Delete on an entity that is still in use (by placements, or
+ * markets for a region) asks whether to move those references to another entity of the same kind
+ * or clear them.
+ */
+function EntityCard({ entity, others, noun, usage, usageNoun = "placement", clearLabel, onUpdate, onRemove, renderEdit, actions, footer, children }) {
+  const [draft, setDraft] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+  const [reassignTo, setReassignTo] = useState();
+  const used = usage(entity.id);
+  const targets = others.filter((o) => o.id !== entity.id);
+
+  function save() {
+    if (!draft.name?.trim()) return;
+    const { id, ...patch } = draft;
+    onUpdate(entity.id, { ...patch, name: draft.name.trim() });
+    setDraft(null);
+  }
+
+  function remove() {
+    if (used > 0) setDeleting(true);
+    else onRemove(entity.id);
+  }
+
+  return (
+    <div className="p-3 rounded-2xl border border-white/10 bg-white/5">
+      {draft ? (
+        <div className="grid gap-2">
+          {renderEdit(draft, (patch) => setDraft((d) => ({ ...d, ...patch })))}
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="px-2 py-1 text-xs rounded-lg bg-white/10 hover:bg-white/20">Cancel</button>
+            <button onClick={save} disabled={!draft.name?.trim()} className="px-2 py-1 text-xs rounded-lg bg-sky-500/30 hover:bg-sky-500/40 disabled:opacity-40">Save</button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-start gap-2">
+          <div className="flex-1 min-w-0">{children}</div>
+          {actions}
+          <button onClick={() => setDraft({ ...entity })} className="px-2 py-1 text-xs rounded-lg bg-white/10 hover:bg-white/20">Edit</button>
+          <button onClick={remove} className="px-2 py-1 text-xs rounded-lg bg-white/10 hover:bg-white/20">Delete</button>
+        </div>
+      )}
+      {!draft && footer}
+      {deleting && (
+        <div className="mt-2 p-2 rounded-xl bg-rose-500/10 border border-rose-500/20 text-xs grid gap-2">
+          <div>“{entity.name}” is used by {used} {usageNoun}{used === 1 ? "" : "s"}. What should happen to them?</div>
+          <div className="flex flex-wrap items-center gap-2">
+            {targets.length > 0 && (
+              <>
+                <div className="w-44"><Select value={reassignTo} onChange={setReassignTo} options={targets.map((o) => ({ value: o.id, label: o.name }))} placeholder={`Move to ${noun}…`} /></div>
+                <button onClick={() => onRemove(entity.id, reassignTo)} disabled={!reassignTo} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 disabled:opacity-40">Reassign &amp; delete</button>
+              </>
+            )}
+            <button onClick={() => onRemove(entity.id)} className="px-2 py-1 rounded-lg bg-rose-600/20 border border-rose-600/30 text-rose-300 hover:bg-rose-600/30">{clearLabel} &amp; delete</button>
+            <button onClick={() => setDeleting(false)} className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const TagsEditor = ({ tags, onChange, placeholder, renamable = false }) => {
   const [value, setValue] = useState("");
+  const [renaming, setRenaming] = useState(null); // { index, value } while a tag is renamed in place
+  const renameOpen = useRef(false); // blur can still fire after Enter or Escape closed the rename
 
   function onKeyDown(e) {
     if (e.key === "Enter" && value.trim()) {
@@ -1009,10 +3203,34 @@ const TagsEditor = ({ tags, onChange, placeholder }) => {
     const next = [...tags]; next.splice(i,1); onChange(next);
   }
 
+  // Renames keep the tag's slot, so onChange can tell a rename from a remove and add
+  function startRename(index) {
+    renameOpen.current = true;
+    setRenaming({ index, value: tags[index] });
+  }
+
+  function finishRename(keep) {
+    if (!renameOpen.current) return;
+    renameOpen.current = false;
+    const name = renaming.value.trim();
+    setRenaming(null);
+    if (keep && name && !tags.includes(name)) onChange(tags.map((t, i) => (i === renaming.index ? name : t)));
+  }
+
   return (
     <div className="flex flex-wrap items-center gap-2 p-2 rounded-xl bg-black/20 border border-white/15">
-      {(tags || []).map((t, i)=> (
-        <span key={`${t}-${i}`} className="px-2 py-1 rounded-full bg-white/10 border border-white/20 text-xs flex items-center gap-2">
+      {(tags || []).map((t, i)=> renaming?.index === i ? (
+        <input
+          key={`${t}-${i}`}
+          autoFocus
+          value={renaming.value}
+          onChange={(e)=> setRenaming({ index: i, value: e.target.value })}
+          onBlur={()=> finishRename(true)}
+          onKeyDown={(e)=> { if (e.key === "Enter" || e.key === "Escape") { e.preventDefault(); finishRename(e.key === "Enter"); } }}
+          className="px-2 py-1 rounded-full bg-black/30 border border-white/30 text-xs outline-none w-40"
+        />
+      ) : (
+        <span key={`${t}-${i}`} onDoubleClick={renamable ? ()=> startRename(i) : undefined} title={renamable ? "Double‑click to rename" : undefined} className="px-2 py-1 rounded-full bg-white/10 border border-white/20 text-xs flex items-center gap-2">
           {t}
           <button onClick={()=> removeTag(i)} className="text-white/60 hover:text-white">×</button>
         </span>
@@ -1062,20 +3280,81 @@ const TrafficLight = ({ score }) => {
   );
 };
 
+/** Flights live in a month as stacked bars, each positioned by its start and end date. */
+function FlightBars({ state, placements, year, month, light = false }) {
+  return (
+    <div className="grid gap-0.5">
+      {placements.map((pl) => {
+        const c = state.concepts.find((x) => x.id === pl.conceptId);
+        const { left, width } = flightSpan(pl, year, month);
+        return (
+          <div key={pl.id} className={classNames("relative h-4 rounded overflow-hidden", light ? "bg-neutral-100" : "bg-white/5")} title={`${c?.name ?? "Unassigned"} · ${pl.start} → ${pl.end}`}>
+            <div className="absolute inset-y-0 rounded" style={{ left: `${left}%`, width: `${width}%`, background: c?.color || "#9ca3af", opacity: light ? 0.35 : 0.6 }} />
+            <div className={classNames("relative px-1 text-[10px] leading-4 truncate font-medium", light ? "text-neutral-900" : "text-white")}>{c?.name ?? "—"}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/** Region roll‑up rows (see regionRollup) as a table; `light` styles it for the printed One‑Pager. */
+function RegionRollupTable({ state, rows, light }) {
+  const marketNames = (row) => row.marketIds.map((id) => state.markets.find((m) => m.id === id)?.name).join(", ");
+  const muted = light ? "text-neutral-500" : "text-white/50";
+  return (
+    <table className="min-w-full text-sm">
+      <thead className={light ? "text-neutral-600" : "bg-white/5 text-white/80"}>
+        <tr>
+          <th className="px-3 py-2 text-left font-medium">Region</th>
+          <th className="px-3 py-2 text-right font-medium">Cohesion</th>
+          <th className="px-3 py-2 text-right font-medium">Planned / envelope</th>
+          <th className="px-3 py-2 text-right font-medium">Asset readiness</th>
+          <th className="px-3 py-2 text-right font-medium">Tribe coverage</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r)=> (
+          <tr key={r.regionId ?? "none"} className={light ? "border-t border-neutral-200" : "border-t border-white/10"}>
+            <td className="px-3 py-2">
+              <div className="font-medium">{r.name}</div>
+              <div className={classNames("text-xs", muted)}>{marketNames(r)}</div>
+            </td>
+            <td className="px-3 py-2 text-right tabular-nums">{r.score ?? "—"}</td>
+            <td className="px-3 py-2 text-right tabular-nums">
+              {formatMoney(r.budget.allocated, r.budget.currency)}
+              <span className={muted}> / {r.budget.envelope ? formatMoney(r.budget.envelope, r.budget.currency) : "—"}</span>
+            </td>
+            <td className="px-3 py-2 text-right tabular-nums">{r.readiness.total ? `${r.readiness.pct}%` : "—"}</td>
+            <td className="px-3 py-2 text-right tabular-nums">{r.tribes.reached}/{r.tribes.total}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
 // ---------- One‑Pager ----------
-const OnePager = React.forwardRef(({ state, cohesion, marketId }, ref) => {
-  const market = state.markets.find((m)=> m.id === marketId) || state.markets[0];
-  const mp = (market && state.plan[market.id]) || {};
-  const placements = MONTHS.map((_, i)=> ({ month:i, placement: mp[i] })).filter(x => x.placement && x.placement.conceptId);
+const OnePager = React.forwardRef(({ state, marketIds, cohesion, budgets, marketId, regionId }, ref) => {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const market = visible.markets.find((m)=> m.id === marketId) || visible.markets[0];
+  const mp = (market && planFor(state)[market.id]) || {};
+  const placements = allPlacements(mp).filter((pl)=> pl.conceptId).sort((a, b)=> a.start.localeCompare(b.start));
   const score = market ? (cohesion.byMarket[market.id]?.score ?? 0) : 0;
-  const conceptName = (id)=> state.concepts.find((c)=> c.id === id)?.name || "—";
 
-  const topMessages = placements.map(p => p.placement?.notes).filter(Boolean).slice(0,3);
-  const topTribes = [...new Set(placements.flatMap(p => (p.placement?.tribes || []).map(id => state.tribes.find(t=> t.id===id)?.name).filter(Boolean)))].slice(0,4);
-  const assetReady = Math.round(
-    (placements.reduce((a, p)=> a + (Object.values(p.placement?.assets || {}).filter(Boolean).length), 0)) /
-    (ASSET_CATALOG.length * Math.max(placements.length, 1)) * 100
-  );
+  const topMessages = placements.map(pl => pl.notes).filter(Boolean).slice(0,3);
+  const topTribes = [...new Set(placements.flatMap(pl => (pl.tribes || []).map(id => state.tribes.find(t=> t.id===id)?.name).filter(Boolean)))].slice(0,4);
+  const assetReady = assetReadiness(state.assetCatalog, placements).pct;
+  const money = market && budgets.byMarket[market.id];
+  const reporting = budgets.totals.currency;
+  const inReporting = (n) => (money ? convert(state, n, money.currency) : null);
+  const channels = market ? channelSpend(state, state.year, [market.id]).rows : [];
+  const channelTotal = channels.reduce((a, r) => a + r.total, 0);
+  const balance = pillarBalance(state);
+  const pillarMixHere = (market && balance.byMarket[market.id]?.year) || {};
+  const region = state.regions.find((r)=> r.id === regionId);
+  const scope = region ? region.name : "All markets";
+  const regions = state.regions.length ? regionRollup(visible, state.year, { cohesion, budgets }) : [];
 
   return (
     <div ref={ref} className="bg-white text-neutral-900">
@@ -1083,7 +3362,7 @@ const OnePager = React.forwardRef(({ state, cohesion, marketId }, ref) => {
         <div className="flex items-start justify-between">
           <div>
             <h1 className="text-2xl font-bold">{market?.name} — {state.year}</h1>
-            <div className="text-sm text-neutral-600">Executive Campaign One‑Pager</div>
+            <div className="text-sm text-neutral-600">Executive Campaign One‑Pager{region ? ` · ${region.name}` : ""}</div>
           </div>
           <div className="text-right">
             <div className="text-sm text-neutral-600">Cohesion</div>
@@ -1097,9 +3376,35 @@ const OnePager = React.forwardRef(({ state, cohesion, marketId }, ref) => {
             <div className="text-lg font-medium">{state.northStar}</div>
           </div>
           <div>
-            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Pillars</h2>
-            <ul className="list-disc list-inside text-sm">
-              {state.pillars.map((p, i)=> <li key={i}>{p}</li>)}
+            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Pillar Balance</h2>
+            <ul className="text-xs space-y-1 mt-1">
+              {balance.pillars.map((p, i)=> (
+                <li key={p} className="flex items-center gap-2">
+                  <span className="flex-1 truncate">{p}</span>
+                  <span className="w-16 h-2 rounded-full bg-neutral-200 overflow-hidden"><span className="block h-full" style={{ width: `${pillarMixHere[p] || 0}%`, background: pillarColour(i) }} /></span>
+                  <span className="w-8 text-right tabular-nums">{balance.linked ? `${pillarMixHere[p] || 0}%` : "—"}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        <div className="mt-4 grid grid-cols-3 gap-6 rounded-md border p-3" style={{ borderColor: "#e5e7eb" }}>
+          <div>
+            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">{region ? "Region" : "Portfolio"} Alignment</h2>
+            <div className="text-xl font-semibold">{cohesion.overall}/100</div>
+            <div className="text-xs text-neutral-500">across {visible.markets.length} market(s){region ? ` in ${region.name}` : ""}</div>
+          </div>
+          <div>
+            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">North Star Share</h2>
+            <div className="text-xl font-semibold">{cohesion.portfolio.stats.northStar.tagged ? `${cohesion.portfolio.stats.northStar.share}%` : "—"}</div>
+            <div className="text-xs text-neutral-500">of planned market‑months</div>
+          </div>
+          <div>
+            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Cross‑Market Flags</h2>
+            <ul className="text-xs list-disc list-inside">
+              {cohesion.portfolio.issues.slice(0,3).map((it, i)=> <li key={i}>{it.message}</li>)}
+              {!cohesion.portfolio.issues.length && <li>Markets tell one story</li>}
             </ul>
           </div>
         </div>
@@ -1108,13 +3413,13 @@ const OnePager = React.forwardRef(({ state, cohesion, marketId }, ref) => {
           <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Calendar</h2>
           <div className="mt-2 grid grid-cols-12 text-xs gap-1">
             {MONTHS.map((m, i) => {
-              const pl = mp[i];
-              const name = conceptName(pl?.conceptId);
-              const color = state.concepts.find((c)=> c.id === pl?.conceptId)?.color || "#e5e7eb";
+              const live = activePlacements(mp, state.year, i).filter((pl)=> pl.conceptId);
               return (
-                <div key={m} className="border rounded-md p-2 h-18" style={{ borderColor: "#e5e7eb" }}>
+                <div key={m} className="border rounded-md p-1.5 h-18" style={{ borderColor: "#e5e7eb" }}>
                   <div className="font-medium text-[11px] text-neutral-600">{m}</div>
-                  <div className="mt-1 text-[11px] truncate" title={name} style={{ color: color }}>{name}</div>
+                  <div className="mt-1">
+                    {live.length ? <FlightBars state={state} placements={live} year={state.year} month={i} light /> : <div className="text-[11px] text-neutral-400">—</div>}
+                  </div>
                 </div>
               );
             })}
@@ -1129,17 +3434,28 @@ const OnePager = React.forwardRef(({ state, cohesion, marketId }, ref) => {
             </ol>
           </div>
           <div>
-            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Channels</h2>
-            <ul className="text-sm list-disc list-inside">
-              {[...new Set(placements.flatMap(p => p.placement?.channels || []))].slice(0,8).map((c,i)=> <li key={i}>{c}</li>)}
-            </ul>
+            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Channels ({reporting})</h2>
+            <ol className="text-sm space-y-1">
+              {channels.slice(0,8).map((r)=> (
+                <li key={r.channel}>
+                  <div className="flex justify-between gap-2"><span className={classNames("truncate", r.channel === UNALLOCATED_CHANNEL && "italic text-neutral-500")}>{r.channel}</span><span className="tabular-nums">{formatMoney(r.total, reporting)}</span></div>
+                  <div className="h-1 w-full bg-neutral-100 rounded overflow-hidden"><div className="h-full bg-neutral-700" style={{ width: `${(r.total / channelTotal) * 100}%` }} /></div>
+                </li>
+              ))}
+              {!channels.length && [...new Set(placements.flatMap(pl => pl.channels || []))].slice(0,8).map((c,i)=> <li key={i}>{c}</li>)}
+            </ol>
           </div>
         </div>
 
         <div className="mt-6 grid grid-cols-3 gap-6">
           <div>
-            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Budget (sum)</h2>
-            <div className="text-xl font-semibold">${placements.reduce((a, p)=> a + (p.placement?.budget || 0), 0).toLocaleString()}</div>
+            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Budget ({reporting})</h2>
+            <div className="text-xl font-semibold">{formatMoney(inReporting(money?.allocated.annual ?? 0), reporting)}</div>
+            {money && money.currency !== reporting && <div className="text-xs text-neutral-500">{formatMoney(money.allocated.annual, money.currency)} local</div>}
+            {money?.envelope.annual != null && (
+              <div className="text-xs text-neutral-600">of {formatMoney(inReporting(money.envelope.annual), reporting)} envelope{money.issues.some((i)=> i.level === "error") ? " · over budget" : ""}</div>
+            )}
+            <div className="text-xs text-neutral-500 mt-1">{scope}: {formatMoney(budgets.totals.allocated, reporting)}{budgets.totals.missingRates.length ? ` (excl. ${budgets.totals.missingRates.join(", ")})` : ""}</div>
           </div>
           <div>
             <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Target Tribes (top)</h2>
@@ -1151,6 +3467,13 @@ const OnePager = React.forwardRef(({ state, cohesion, marketId }, ref) => {
           </div>
         </div>
 
+        {regions.length > 1 && (
+          <div className="mt-6">
+            <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Regions</h2>
+            <RegionRollupTable state={state} rows={regions} light />
+          </div>
+        )}
+
         <div className="mt-6">
           <h2 className="text-sm font-semibold tracking-wide text-neutral-600">Guardrails</h2>
           <ul className="list-disc list-inside text-sm">
@@ -1162,85 +3485,1427 @@ const OnePager = React.forwardRef(({ state, cohesion, marketId }, ref) => {
   );
 });
 
-// ---------- Cohesion logic ----------
-function analyseCohesion(state) {
-  const byMarket = {};
-  const r = state.cohesionRules;
+/** Months × markets grid of the Hero concepts in flight, for the pack's portfolio page. */
+function HeroCalendar({ state }) {
+  const plan = planFor(state);
+  const heroes = state.concepts.filter((c)=> c.role === "Hero");
+  return (
+    <>
+      <table className="w-full text-[11px] border-collapse">
+        <thead>
+          <tr className="text-neutral-600">
+            <th className="py-1 pr-2 text-left font-medium">Market</th>
+            {MONTHS.map((m)=> <th key={m} className="py-1 font-medium">{m}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {state.markets.map((m)=> (
+            <tr key={m.id} className="border-t border-neutral-200">
+              <td className="py-1 pr-2 whitespace-nowrap">{m.name}</td>
+              {MONTHS.map((_, i)=> {
+                const live = heroes.filter((c)=> activePlacements(plan[m.id], state.year, i).some((pl)=> pl.conceptId === c.id));
+                return (
+                  <td key={i} className="p-0.5" title={live.map((c)=> c.name).join(", ")}>
+                    <div className="flex h-3 rounded-sm overflow-hidden bg-neutral-100">
+                      {live.map((c)=> <span key={c.id} className="flex-1" style={{ background: c.color }} />)}
+                    </div>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-2 flex flex-wrap gap-3 text-[11px] text-neutral-600">
+        {heroes.map((c)=> <span key={c.id} className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm" style={{ background: c.color }} />{c.name}</span>)}
+      </div>
+    </>
+  );
+}
 
-  for (const m of state.markets) {
-    const mp = state.plan[m.id] || {};
-    const monthsPlanned = MONTHS.filter((_, i)=> !!mp[i]?.conceptId).length;
+/**
+ * The multi‑market executive pack: a cover, a portfolio summary (overall cohesion, total budget,
+ * hero calendar) and then the One‑Pager of every market in `state`, one per printed page.
+ */
+const ExecutivePack = React.forwardRef(({ state, marketIds, cohesion, budgets, regionId, generatedAt = new Date() }, ref) => {
+  const visible = useMemo(() => onlyMarkets(state, marketIds), [state, marketIds]);
+  const region = state.regions.find((r)=> r.id === regionId);
+  const scenario = state.scenarios?.find((sc)=> sc.id === state.scenarioId)?.name;
+  const reporting = budgets.totals.currency;
+  const regions = state.regions.length ? regionRollup(visible, state.year, { cohesion, budgets }) : [];
+  const readiness = assetReadiness(state.assetCatalog, visible.markets.flatMap((m)=> allPlacements(planFor(state)[m.id])));
+  const inReporting = (m, n) => {
+    const value = convert(state, n, budgets.byMarket[m.id].currency);
+    return value == null ? "—" : formatMoney(value, reporting);
+  };
+  const heading = "text-sm font-semibold tracking-wide text-neutral-600";
 
-    const usedConceptIds = MONTHS.map((_, i)=> mp[i]?.conceptId).filter(Boolean);
-    const uniqueConceptIds = Array.from(new Set(usedConceptIds));
+  return (
+    <div ref={ref} className="bg-white text-neutral-900">
+      <div className="print-page p-10 min-h-[90vh] flex flex-col justify-between">
+        <div>
+          <div className="text-sm uppercase tracking-widest text-neutral-500">Executive pack</div>
+          <h1 className="mt-2 text-4xl font-bold">Campaign plan {state.year}</h1>
+          <div className="mt-2 text-xl text-neutral-700">{region ? region.name : "All markets"} · {visible.markets.length} market(s)</div>
+          <div className="mt-10 text-2xl font-medium">{state.northStar}</div>
+          {state.pillars.length > 0 && <div className="mt-3 text-neutral-600">{state.pillars.join(" · ")}</div>}
+        </div>
+        <div className="text-sm text-neutral-600 grid gap-1">
+          <div>Generated {generatedAt.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" })}</div>
+          <div>Version {planVersion(state)}{scenario ? ` · Scenario “${scenario}”` : ""}</div>
+        </div>
+      </div>
 
-    const conceptById = Object.fromEntries(state.concepts.map((c)=> [c.id, c]));
+      <div className="print-page p-6">
+        <h1 className="text-2xl font-bold">Portfolio summary — {state.year}</h1>
+        <div className="mt-4 grid grid-cols-4 gap-6 rounded-md border p-3" style={{ borderColor: "#e5e7eb" }}>
+          <div>
+            <h2 className={heading}>Overall Cohesion</h2>
+            <div className="text-2xl font-semibold">{cohesion.overall}/100</div>
+          </div>
+          <div>
+            <h2 className={heading}>Budget ({reporting})</h2>
+            <div className="text-2xl font-semibold">{formatMoney(budgets.totals.allocated, reporting)}</div>
+            <div className="text-xs text-neutral-500">of {formatMoney(budgets.totals.envelope, reporting)} envelope{budgets.totals.missingRates.length ? ` (excl. ${budgets.totals.missingRates.join(", ")})` : ""}</div>
+          </div>
+          <div>
+            <h2 className={heading}>North Star Share</h2>
+            <div className="text-2xl font-semibold">{cohesion.portfolio.stats.northStar.tagged ? `${cohesion.portfolio.stats.northStar.share}%` : "—"}</div>
+          </div>
+          <div>
+            <h2 className={heading}>Asset Readiness</h2>
+            <div className="text-2xl font-semibold">{readiness.total ? `${readiness.pct}%` : "—"}</div>
+          </div>
+        </div>
 
-    const heroConceptIds = uniqueConceptIds.filter((id)=> conceptById[id]?.role === "Hero");
-    const totalConceptsUsed = uniqueConceptIds.length;
+        <div className="mt-6">
+          <h2 className={heading}>Hero Calendar</h2>
+          <div className="mt-2"><HeroCalendar state={visible} /></div>
+        </div>
 
-    const heroRepeats = {};
-    usedConceptIds.forEach(id => {
-      if (conceptById[id]?.role === "Hero") heroRepeats[id] = (heroRepeats[id] || 0) + 1;
-    });
+        <div className="mt-6 grid grid-cols-3 gap-6">
+          <div className="col-span-2">
+            <h2 className={heading}>Markets</h2>
+            <table className="w-full text-sm mt-1">
+              <thead className="text-neutral-600">
+                <tr>
+                  <th className="py-1 text-left font-medium">Market</th>
+                  <th className="py-1 text-right font-medium">Cohesion</th>
+                  <th className="py-1 text-right font-medium">Planned ({reporting})</th>
+                  <th className="py-1 text-right font-medium">Envelope ({reporting})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.markets.map((m)=> {
+                  const b = budgets.byMarket[m.id];
+                  return (
+                    <tr key={m.id} className="border-t border-neutral-200">
+                      <td className="py-1">{m.name}</td>
+                      <td className="py-1 text-right tabular-nums">{cohesion.byMarket[m.id]?.score ?? "—"}</td>
+                      <td className="py-1 text-right tabular-nums">{inReporting(m, b.allocated.annual)}</td>
+                      <td className="py-1 text-right tabular-nums">{b.envelope.annual != null ? inReporting(m, b.envelope.annual) : "—"}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div>
+            <h2 className={heading}>Cross‑Market Flags</h2>
+            <ul className="text-xs list-disc list-inside mt-1">
+              {cohesion.portfolio.issues.slice(0, 5).map((it, i)=> <li key={i}>{it.message}</li>)}
+              {!cohesion.portfolio.issues.length && <li>Markets tell one story</li>}
+            </ul>
+          </div>
+        </div>
 
-    let score = 100;
-    const localIssues = [];
+        {regions.length > 1 && (
+          <div className="mt-6">
+            <h2 className={heading}>Regions</h2>
+            <RegionRollupTable state={state} rows={regions} light />
+          </div>
+        )}
+      </div>
 
-    if (monthsPlanned < r.minMonthsPlanned) {
-      localIssues.push(`Only ${monthsPlanned}/12 months planned (min ${r.minMonthsPlanned}).`);
-      score -= (r.minMonthsPlanned - monthsPlanned) * 2;
-    }
+      {visible.markets.map((m)=> (
+        <div key={m.id} className="print-page">
+          <OnePager state={state} marketIds={marketIds} cohesion={cohesion} budgets={budgets} marketId={m.id} regionId={regionId} />
+        </div>
+      ))}
+    </div>
+  );
+});
 
-    if (heroConceptIds.length > r.maxHeroConceptsPerMarket) {
-      localIssues.push(`Too many hero concepts: ${heroConceptIds.length} (max ${r.maxHeroConceptsPerMarket}).`);
-      score -= (heroConceptIds.length - r.maxHeroConceptsPerMarket) * 5;
-    }
+// ---------- Entities & referential integrity ----------
+const ENTITY_NOUNS = { concepts: "concept", markets: "market", tribes: "tribe", regions: "region" };
 
-    Object.entries(heroRepeats).forEach(([id, n]) => {
-      if (n < r.minRepeatsPerHero) {
-        localIssues.push(`Hero “${conceptById[id].name}” repeats ${n}× (min ${r.minRepeatsPerHero}).`);
-        score -= (r.minRepeatsPerHero - n) * 4;
+/** Does placement `pl` (in `marketId`'s plan) point at entity `id` of `kind`? */
+function referencesEntity(kind, id, pl, marketId) {
+  if (kind === "markets") return marketId === id;
+  if (kind === "concepts") return pl.conceptId === id;
+  return (pl.tribes || []).includes(id);
+}
+
+/** Placements, across every year of the live plan, that reference entity `id` of `kind` (markets, for a region). */
+function entityUsage(state, kind, id) {
+  if (kind === "regions") return state.markets.filter((m) => m.regionId === id).length;
+  let n = 0;
+  for (const plan of Object.values(state.plans || {})) {
+    for (const [marketId, mp] of Object.entries(plan || {})) {
+      n += allPlacements(mp).filter((pl) => referencesEntity(kind, id, pl, marketId)).length;
+    }
+  }
+  return n;
+}
+
+/** A placement's budget and channel split in another currency (unchanged when a rate is missing). */
+function convertPlacement(state, pl, from, to) {
+  const rate = convert(state, 1, from, to);
+  if (rate == null || from === to) return pl;
+  const at = (n) => Math.round(n * rate * 100) / 100;
+  return {
+    ...pl,
+    ...(pl.budget != null ? { budget: at(pl.budget) } : {}),
+    ...(pl.channelBudgets ? { channelBudgets: Object.fromEntries(Object.entries(pl.channelBudgets).map(([ch, v]) => [ch, v == null ? v : at(v)])) } : {}),
+  };
+}
+
+/**
+ * Deletes a concept, market or tribe and deals with what still points at it. With `reassignTo`,
+ * references move to that entity: concepts and tribes are swapped on each placement; a market's
+ * placements are refiled into the target market (budgets converted to its currency) and its
+ * envelopes move over where the target has none. Without it references are cleared: placements
+ * lose the concept or tribe, a market's placements and envelopes go with it, and a region's
+ * markets are left without one.
+ */
+function deleteEntity(state, kind, id, { reassignTo } = {}) {
+  const list = state[kind].filter((e) => e.id !== id);
+  if (kind === "regions") {
+    const markets = state.markets.map((m) => {
+      if (m.regionId !== id) return m;
+      const { regionId, ...rest } = m;
+      return reassignTo ? { ...rest, regionId: reassignTo } : rest;
+    });
+    return { ...state, regions: list, markets };
+  }
+  if (kind === "markets") {
+    const from = marketCurrency(state, id), to = reassignTo && marketCurrency(state, reassignTo);
+    const plans = {};
+    for (const [year, plan] of Object.entries(state.plans || {})) {
+      const { [id]: gone, ...rest } = plan || {};
+      if (reassignTo && gone) {
+        const target = { ...(rest[reassignTo] || {}) };
+        for (const pl of allPlacements(gone)) fileInto(target, convertPlacement(state, pl, from, to));
+        rest[reassignTo] = target;
       }
+      plans[year] = rest;
+    }
+    const budgets = {};
+    for (const [year, byMarket] of Object.entries(state.budgets || {})) {
+      const { [id]: envelope, ...rest } = byMarket || {};
+      budgets[year] = reassignTo && envelope && !rest[reassignTo] ? { ...rest, [reassignTo]: envelope } : rest;
+    }
+    return { ...state, markets: list, plans, budgets };
+  }
+  const retarget = kind === "concepts"
+    ? (pl) => {
+      if (pl.conceptId !== id) return pl;
+      const { conceptId, ...rest } = pl;
+      return reassignTo ? { ...rest, conceptId: reassignTo } : rest;
+    }
+    : (pl) => (pl.tribes || []).includes(id) ? { ...pl, tribes: [...new Set(pl.tribes.map((t) => (t === id ? reassignTo : t)).filter(Boolean))] } : pl;
+  return { ...state, [kind]: list, plans: mapPlacements(state.plans, (year, month, cell) => cell.map(retarget)) };
+}
+
+/**
+ * References in the live plan to things that no longer exist: placements naming an unknown
+ * concept, tribe or catalogue asset, plans or budget envelopes filed under an unknown market,
+ * markets in an unknown region, and concept weights for a pillar no longer listed.
+ */
+function findOrphans(state) {
+  const known = (list) => new Set((list || []).map((e) => e.id));
+  const concepts = known(state.concepts), tribes = known(state.tribes), markets = known(state.markets), assets = known(state.assetCatalog);
+  const marketName = (id) => state.markets.find((m) => m.id === id)?.name;
+  const out = [];
+  for (const m of state.markets) {
+    if (m.regionId && regionOf(state, m.id) == null) out.push({ kind: "region", id: m.regionId, marketId: m.id, message: `${m.name}: unknown region “${m.regionId}”` });
+  }
+  for (const c of state.concepts) {
+    for (const p of Object.keys(c.pillars || {})) {
+      if (!(state.pillars || []).includes(p)) out.push({ kind: "pillar", id: p, conceptId: c.id, message: `${c.name}: weight for unknown pillar “${p}”` });
+    }
+  }
+  for (const [year, plan] of Object.entries(state.plans || {})) {
+    for (const [marketId, mp] of Object.entries(plan || {})) {
+      if (!markets.has(marketId)) {
+        out.push({ kind: "market", id: marketId, year, message: `${year}: ${allPlacements(mp).length} placement(s) filed under unknown market “${marketId}”` });
+        continue;
+      }
+      for (const pl of allPlacements(mp)) {
+        const where = `${year} ${marketName(marketId)} ${MONTHS[monthOfDate(pl.start)]}`;
+        const ref = { year, marketId, placementId: pl.id };
+        if (pl.conceptId && !concepts.has(pl.conceptId)) out.push({ kind: "concept", id: pl.conceptId, ...ref, message: `${where}: unknown concept “${pl.conceptId}”` });
+        for (const t of pl.tribes || []) if (!tribes.has(t)) out.push({ kind: "tribe", id: t, ...ref, message: `${where}: unknown tribe “${t}”` });
+        for (const a of Object.keys(pl.assets || {})) if (!assets.has(a)) out.push({ kind: "asset", id: a, ...ref, message: `${where}: unknown asset “${a}”` });
+      }
+    }
+  }
+  for (const [year, byMarket] of Object.entries(state.budgets || {})) {
+    for (const marketId of Object.keys(byMarket || {})) {
+      if (!markets.has(marketId)) out.push({ kind: "market", id: marketId, year, message: `${year}: budget envelope for unknown market “${marketId}”` });
+    }
+  }
+  return out;
+}
+
+/** Clears every orphaned reference findOrphans reports; plans and envelopes of unknown markets are dropped. */
+function repairOrphans(state) {
+  const known = (list) => new Set((list || []).map((e) => e.id));
+  const concepts = known(state.concepts), tribes = known(state.tribes), markets = known(state.markets), assets = known(state.assetCatalog);
+  const knownMarkets = (byMarket) => Object.fromEntries(Object.entries(byMarket || {}).filter(([id]) => markets.has(id)));
+  const plans = Object.fromEntries(Object.entries(state.plans || {}).map(([year, plan]) => [year, knownMarkets(plan)]));
+  return {
+    ...setPillars(state, state.pillars || []),
+    markets: state.markets.map((m) => {
+      if (!m.regionId || regionOf(state, m.id) != null) return m;
+      const { regionId, ...rest } = m;
+      return rest;
+    }),
+    plans: mapPlacements(plans, (year, month, cell) => cell.map((pl) => {
+      const { conceptId, ...rest } = pl;
+      return {
+        ...(conceptId && !concepts.has(conceptId) ? rest : pl),
+        ...(pl.tribes ? { tribes: pl.tribes.filter((t) => tribes.has(t)) } : {}),
+        ...(pl.assets ? { assets: Object.fromEntries(Object.entries(pl.assets).filter(([a]) => assets.has(a))) } : {}),
+      };
+    })),
+    budgets: Object.fromEntries(Object.entries(state.budgets || {}).map(([year, byMarket]) => [year, knownMarkets(byMarket)])),
+  };
+}
+
+// ---------- Auto‑planner ----------
+/** mulberry32: a tiny seeded PRNG so a candidate can be reproduced from its seed. */
+function seededRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t += 0x6d2b79f5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Months of a market with no flight running in them; everything else is locked. */
+function openMonths(mp, year) {
+  return MONTHS.map((_, mi) => mi).filter((mi) => !activePlacements(mp, year, mi).length);
+}
+
+const AUTO_PLAN_STEPS = 300;
+
+/**
+ * Generates `count` candidate fills for the selected year. Months the user already planned are
+ * locked; open months get a whole‑month placement (or stay empty) chosen by a seeded hill climb
+ * (`steps` moves per candidate) that maximises `analyseCohesion(...).overall`, then the market
+ * scores. The search prunes moves the constraints rule out before scoring them: it never fills
+ * a month whose quarter envelope is spent, and never empties the last new month of a quarter
+ * that needs it to reach an enabled `minTribesPerQuarter` target. Afterwards each new placement
+ * gets an even share of what is left of its quarter's envelope (never more, across the year,
+ * than is left of the annual one), and the missing tribes are spread over the quarter's new
+ * placements.
+ *
+ * A generator, so callers can slice the search (see autoPlanInSlices); it yields the share of
+ * steps done and returns the candidates, best first:
+ * `{ seed, overall, byMarket: { [marketId]: { score, additions } } }`.
+ */
+function* autoPlanSteps(state, { count = 3, seed = 1, steps = AUTO_PLAN_STEPS } = {}) {
+  const year = state.year;
+  const plan = planFor(state);
+  const heroes = state.concepts.filter((c) => c.role === "Hero").map((c) => c.id);
+  const choices = [null, ...state.concepts.map((c) => c.id)];
+  const open = Object.fromEntries(state.markets.map((m) => [m.id, openMonths(plan[m.id], year)]));
+
+  // What is left of each quarter's envelope (null: no envelope) and the tribes each quarter misses
+  const tribeRule = state.cohesionRules.find((r) => r.type === "minTribesPerQuarter" && r.enabled !== false);
+  const tribeTarget = tribeRule ? ruleParams(tribeRule).min : 0;
+  const room = {}, missing = {};
+  for (const m of state.markets) {
+    const envelope = budgetFor(state, m.id);
+    const allocated = allocatedBudget(state, m.id);
+    const quarters = [0, 1, 2, 3].map((q) => {
+      const cap = envelope.quarters[q] ?? (envelope.annual != null ? envelope.annual / 4 : null);
+      return cap == null ? null : Math.max(0, cap - allocated.quarters[q]);
+    });
+    // The quarters together never get more than is left of the annual envelope, split evenly
+    // over the quarters that still have open months and room
+    const takers = quarters.filter((r, q) => r !== 0 && open[m.id].some((mi) => Math.floor(mi / 3) === q)).length;
+    const annualShare = envelope.annual == null ? null : Math.max(0, envelope.annual - allocated.annual) / Math.max(1, takers);
+    room[m.id] = quarters.map((r) => (annualShare == null ? r : Math.min(r ?? Infinity, annualShare)));
+    missing[m.id] = [0, 1, 2, 3].map((q) => {
+      const covered = new Set([0, 1, 2].flatMap((o) => activePlacements(plan[m.id] || {}, year, q * 3 + o).flatMap((pl) => pl.tribes || [])));
+      return state.tribes.map((t) => t.id).filter((id) => !covered.has(id)).slice(0, Math.max(0, tribeTarget - covered.size));
     });
+  }
+  const fillable = Object.fromEntries(state.markets.map((m) => [m.id, open[m.id].filter((mi) => room[m.id][Math.floor(mi / 3)] !== 0)]));
+  const slots = state.markets.flatMap((m) => fillable[m.id].map((mi) => ({ marketId: m.id, mi })));
+  if (!slots.length || !state.concepts.length) return [];
+
+  const toPlans = (grid) => {
+    const next = { ...plan };
+    for (const m of state.markets) {
+      const mp = { ...(plan[m.id] || {}) };
+      for (const mi of fillable[m.id]) if (grid[m.id][mi]) fileInto(mp, { id: `auto_${mi}`, conceptId: grid[m.id][mi], ...monthFlight(year, mi) });
+      next[m.id] = mp;
+    }
+    return { ...state, plans: { ...state.plans, [year]: next } };
+  };
+  const objective = (grid) => {
+    const c = analyseCohesion(toPlans(grid), year);
+    return c.overall * 1000 + Object.values(c.byMarket).reduce((a, r) => a + r.score, 0);
+  };
+  // A quarter short of tribes keeps at least one new placement to carry them
+  const keepsTribes = (grid, marketId, q) =>
+    !missing[marketId][q].length || fillable[marketId].some((mi) => Math.floor(mi / 3) === q && grid[marketId][mi]);
+
+  const candidates = [];
+  for (let k = 0; k < count; k++) {
+    const rand = seededRandom(seed + k * 7919);
+    const pick = (list) => list[Math.floor(rand() * list.length)];
+    // Start from a shared hero per quarter, alternating with support, then climb
+    const quarterHero = [0, 1, 2, 3].map(() => (heroes.length ? pick(heroes) : pick(choices.slice(1))));
+    const grid = Object.fromEntries(state.markets.map((m) => [m.id, Object.fromEntries(fillable[m.id].map((mi) => [mi, mi % 3 === 0 || rand() < 0.6 ? quarterHero[Math.floor(mi / 3)] : pick(choices.slice(1))]))]));
+    let best = objective(grid);
+    for (let step = 0; step < steps; step++) {
+      yield (k * steps + step) / (count * steps);
+      const { mi } = pick(slots);
+      const value = rand() < 0.15 ? null : pick(choices.slice(1));
+      // Half the moves set a month across every market at once so heroes can line up
+      const targets = (rand() < 0.5 ? slots.filter((s) => s.mi === mi) : [pick(slots.filter((s) => s.mi === mi))]).map((s) => s.marketId);
+      const before = targets.map((id) => grid[id][mi]);
+      if (before.every((v) => v === value)) continue;
+      targets.forEach((id) => { grid[id][mi] = value; });
+      const allowed = value || targets.every((id) => keepsTribes(grid, id, Math.floor(mi / 3)));
+      const score = allowed ? objective(grid) : -Infinity;
+      if (score >= best) best = score;
+      else targets.forEach((id, i) => { grid[id][mi] = before[i]; });
+    }
+    candidates.push({ seed: seed + k * 7919, grid });
+  }
+
+  const finish = (grid) => {
+    const additions = {};
+    for (const m of state.markets) {
+      const list = [];
+      for (let q = 0; q < 4; q++) {
+        const months = fillable[m.id].filter((mi) => grid[m.id][mi] && Math.floor(mi / 3) === q);
+        if (!months.length) continue;
+        const share = room[m.id][q] == null ? undefined : Math.floor(room[m.id][q] / months.length);
+        months.forEach((mi, i) => {
+          const tribes = missing[m.id][q].filter((_, j) => j % months.length === i);
+          list.push({ id: uid("p"), conceptId: grid[m.id][mi], ...monthFlight(year, mi), notes: "", channels: [], tribes, assets: {}, ...(share ? { budget: share } : {}) });
+        });
+      }
+      additions[m.id] = list;
+    }
+    return additions;
+  };
+
+  const seen = new Set();
+  return candidates
+    .map(({ seed: s, grid }) => {
+      const additions = finish(grid);
+      const key = JSON.stringify(grid);
+      if (seen.has(key)) return null;
+      seen.add(key);
+      const result = analyseCohesion(acceptCandidate(state, { byMarket: Object.fromEntries(Object.entries(additions).map(([id, list]) => [id, { additions: list }])) }), year);
+      return {
+        seed: s,
+        overall: result.overall,
+        byMarket: Object.fromEntries(state.markets.map((m) => [m.id, { score: result.byMarket[m.id].score, additions: additions[m.id] }])),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.overall - a.overall);
+}
+
+/** Runs the whole search at once (tests, small plans). */
+function autoPlan(state, options) {
+  const search = autoPlanSteps(state, options);
+  for (;;) {
+    const { done, value } = search.next();
+    if (done) return value;
+  }
+}
+
+/**
+ * Runs the search in slices of about one frame, yielding to the browser in between so the page
+ * stays responsive. Resolves to the candidates, or null once `signal` aborts.
+ */
+async function autoPlanInSlices(state, options, { onProgress, signal } = {}) {
+  const search = autoPlanSteps(state, options);
+  for (;;) {
+    if (signal?.aborted) return null;
+    const until = performance.now() + 16;
+    let next;
+    do next = search.next(); while (!next.done && performance.now() < until);
+    if (next.done) return next.value;
+    onProgress?.(next.value);
+    await new Promise((resolve) => setTimeout(resolve));
+  }
+}
+
+/** Files a candidate's new placements into the selected year, for one market or all of them. */
+function acceptCandidate(state, candidate, marketId) {
+  return withMarketPlans(state, (plan) => {
+    for (const [id, { additions }] of Object.entries(candidate.byMarket)) {
+      if (marketId && id !== marketId) continue;
+      const mp = { ...(plan[id] || {}) };
+      additions.forEach((pl) => fileInto(mp, pl));
+      plan[id] = mp;
+    }
+  });
+}
+
+// ---------- Spreadsheet export ----------
+/**
+ * Plan sheet columns, one row per placement. Agencies build pivots on these, so the order is
+ * part of the format: add new columns at the end and never reorder or rename existing ones.
+ */
+const PLAN_COLUMNS = [
+  { key: "year", header: "Year" },
+  { key: "region", header: "Region" },
+  { key: "market", header: "Market" },
+  { key: "marketCode", header: "Market code" },
+  { key: "month", header: "Month" },
+  { key: "start", header: "Start" },
+  { key: "end", header: "End" },
+  { key: "concept", header: "Concept" },
+  { key: "role", header: "Role" },
+  { key: "tribes", header: "Tribes" },
+  { key: "channels", header: "Channels" },
+  { key: "budget", header: "Budget" },
+  { key: "currency", header: "Currency" },
+  { key: "budgetReporting", header: "Budget (reporting)" },
+  { key: "reportingCurrency", header: "Reporting currency" },
+  { key: "notes", header: "Notes" },
+  { key: "assetsReady", header: "Assets ready" },
+  { key: "assetsNeeded", header: "Assets needed" },
+  { key: "readiness", header: "Asset readiness %" },
+];
+
+/** Cohesion issue sheet columns; the same ordering promise as PLAN_COLUMNS. */
+const ISSUE_COLUMNS = [
+  { key: "year", header: "Year" },
+  { key: "market", header: "Market" },
+  { key: "rule", header: "Rule" },
+  { key: "severity", header: "Severity" },
+  { key: "months", header: "Months" },
+  { key: "concepts", header: "Concepts" },
+  { key: "message", header: "Issue" },
+  { key: "points", header: "Points lost" },
+];
+
+const LIST_SEPARATOR = "; "; // joins tribes, channels, months and concepts within one cell
+const PORTFOLIO_LABEL = "Portfolio"; // market column of cross‑market issues
+
+/** Plan sheet rows for `year`: markets in list order, then by flight start. Blank cells are null. */
+function planRows(state, year = state.year) {
+  const plan = planFor(state, year);
+  const reporting = state.fx?.reporting || "USD";
+  const conceptById = Object.fromEntries(state.concepts.map((c) => [c.id, c]));
+  const tribeName = (id) => state.tribes.find((t) => t.id === id)?.name ?? id;
+  const regionName = (m) => (state.regions || []).find((r) => r.id === regionOf(state, m.id))?.name ?? null;
+  const rows = [];
+  for (const m of state.markets) {
+    const currency = marketCurrency(state, m.id);
+    const placements = allPlacements(plan[m.id]).slice().sort((a, b) => a.start.localeCompare(b.start) || a.id.localeCompare(b.id));
+    for (const pl of placements) {
+      const concept = conceptById[pl.conceptId];
+      const ready = assetReadiness(state.assetCatalog || [], [pl]);
+      const inReporting = pl.budget != null ? convert(state, pl.budget, currency) : null;
+      rows.push({
+        year: Number(year),
+        region: regionName(m),
+        market: m.name,
+        marketCode: m.code ?? null,
+        month: MONTHS[monthOfDate(pl.start)],
+        start: pl.start,
+        end: pl.end,
+        concept: concept?.name ?? null,
+        role: concept?.role ?? null,
+        tribes: (pl.tribes || []).map(tribeName).join(LIST_SEPARATOR) || null,
+        channels: (pl.channels || []).join(LIST_SEPARATOR) || null,
+        budget: pl.budget ?? null,
+        currency,
+        budgetReporting: inReporting == null ? null : Math.round(inReporting * 100) / 100,
+        reportingCurrency: reporting,
+        notes: pl.notes || null,
+        assetsReady: ready.done,
+        assetsNeeded: ready.total,
+        readiness: ready.total ? ready.pct : null,
+      });
+    }
+  }
+  return rows;
+}
+
+/** Issue sheet rows from an analyseCohesion result: each market's issues, then the portfolio's. */
+function issueRows(state, cohesion) {
+  const ruleById = Object.fromEntries((state.cohesionRules || []).map((r) => [r.id, r]));
+  const conceptName = (id) => state.concepts.find((c) => c.id === id)?.name ?? id;
+  const issues = [...state.markets.flatMap((m) => cohesion.byMarket[m.id]?.issues || []), ...cohesion.portfolio.issues];
+  return issues.map((issue) => {
+    const rule = ruleById[issue.ruleId];
+    return {
+      year: cohesion.year,
+      market: issue.marketId ? state.markets.find((m) => m.id === issue.marketId)?.name ?? issue.marketId : PORTFOLIO_LABEL,
+      rule: rule ? describeRule(rule) : issue.type,
+      severity: issue.severity,
+      months: issue.months.map((i) => MONTHS[i]).join(LIST_SEPARATOR) || null,
+      concepts: issue.conceptIds.map(conceptName).join(LIST_SEPARATOR) || null,
+      message: issue.message,
+      points: issue.amount * (rule?.weight || 0),
+    };
+  });
+}
+
+/** The two export sheets, covering whatever markets `state` holds (`onlyMarkets` narrows them to a region). */
+function planSheets(state, cohesion = analyseCohesion(state)) {
+  return [
+    { name: "Plan", columns: PLAN_COLUMNS, rows: planRows(state, cohesion.year) },
+    { name: "Cohesion issues", columns: ISSUE_COLUMNS, rows: issueRows(state, cohesion) },
+  ];
+}
+
+// Text starting with one of these runs as a formula when a spreadsheet opens the file (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * RFC 4180 CSV with a header row and CRLF line ends; null cells are empty. Text that a
+ * spreadsheet would read as a formula gets a leading `'` (csvCell drops it on import).
+ */
+function toCSV(columns, rows) {
+  const cell = (v) => {
+    if (v == null) return "";
+    const s = typeof v === "string" && FORMULA_START.test(v) ? `'${v}` : String(v);
+    return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.map((c) => cell(c.header)), ...rows.map((r) => columns.map((c) => cell(r[c.key])))]
+    .map((line) => line.join(","))
+    .join("\r\n") + "\r\n";
+}
+
+/**
+ * A zip archive of `files` (`{ name, data }`, data a string or bytes) with every entry stored
+ * uncompressed. XLSX readers accept stored entries, and it keeps the export dependency‑free.
+ */
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const parts = [], central = [];
+  let offset = 0;
+  const header = (size, fields) => {
+    const buf = new DataView(new ArrayBuffer(size));
+    let at = 0;
+    for (const [bytes, value] of fields) {
+      if (bytes === 2) buf.setUint16(at, value, true); else buf.setUint32(at, value, true);
+      at += bytes;
+    }
+    return new Uint8Array(buf.buffer);
+  };
+  for (const file of files) {
+    const name = enc.encode(file.name);
+    const data = typeof file.data === "string" ? enc.encode(file.data) : file.data;
+    const crc = crc32(data);
+    // version 2.0, UTF‑8 names, stored, 1980‑01‑01 00:00
+    const common = [[2, 20], [2, 0x0800], [2, 0], [2, 0], [2, 0x21], [4, crc], [4, data.length], [4, data.length], [2, name.length], [2, 0]];
+    const local = header(30, [[4, 0x04034b50], ...common]);
+    parts.push(local, name, data);
+    central.push(header(46, [[4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), name);
+    offset += local.length + name.length + data.length;
+  }
+  const size = central.reduce((a, p) => a + p.length, 0);
+  const end = header(22, [[4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, size], [4, offset], [2, 0]]);
+  const out = new Uint8Array(offset + size + end.length);
+  let at = 0;
+  for (const p of [...parts, ...central, end]) { out.set(p, at); at += p.length; }
+  return out;
+}
+
+function xmlEscape(s) {
+  return String(s)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/** Spreadsheet column letters: 0 → A, 25 → Z, 26 → AA. */
+function columnLetter(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+function sheetXML({ columns, rows }) {
+  const cell = (ref, v, style = "") => {
+    if (v == null || v === "") return "";
+    if (typeof v === "number" && Number.isFinite(v)) return `<c r="${ref}"${style}><v>${v}</v></c>`;
+    if (!style && FORMULA_START.test(v)) style = ' s="2"'; // quote prefix: stays text even when edited
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+  };
+  const line = (r, values, style) => `<row r="${r}">${values.map((v, i) => cell(`${columnLetter(i)}${r}`, v, style)).join("")}</row>`;
+  const body = [line(1, columns.map((c) => c.header), ' s="1"'), ...rows.map((row, i) => line(i + 2, columns.map((c) => row[c.key])))].join("");
+  const frozen = '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>';
+  return `${XML_HEAD}<worksheet xmlns="${SHEET_NS}">${frozen}<sheetData>${body}</sheetData></worksheet>`;
+}
+
+/** An XLSX workbook (bytes) with one worksheet per `{ name, columns, rows }` sheet and a bold header row. */
+function toXLSX(sheets) {
+  const n = sheets.length;
+  const styles = `${XML_HEAD}<styleSheet xmlns="${SHEET_NS}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/></cellXfs>'
+    + "</styleSheet>";
+  return zipStore([
+    {
+      name: "[Content_Types].xml",
+      data: `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")
+        + "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      data: `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      data: `${XML_HEAD}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}"><sheets>`
+        + sheets.map((s, i) => `<sheet name="${xmlEscape(s.name.replace(/[\\/?*[\]:]/g, " ").slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")
+        + "</sheets></workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")
+        + `<Relationship Id="rId${n + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`,
+    },
+    { name: "xl/styles.xml", data: styles },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXML(s) })),
+  ]);
+}
+
+// ---------- Import: validation & merge ----------
+const IMPORT_MODES = [
+  { value: "replace", label: "Replace everything" },
+  { value: "merge", label: "Merge markets, concepts & tribes (by id or name)" },
+  { value: "market", label: "Import one market's plan" },
+];
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Structural check of a (possibly partial) state. Returns every problem as
+ * `{ level: "error"|"warning", path, message }`; errors block an import, warnings don't.
+ * `known` supplies ids a fragment may legitimately reference from the current state.
+ */
+function validateState(s, { partial = false, known } = {}) {
+  const issues = [];
+  const error = (path, message) => issues.push({ level: "error", path, message });
+  const warning = (path, message) => issues.push({ level: "warning", path, message });
+  if (!isPlainObject(s)) { error("$", "expected an object"); return issues; }
+  const has = (key) => s[key] !== undefined;
+  const required = (key) => { if (!partial && !has(key)) error(key, "is required"); return has(key); };
+  const stringList = (path, v) => {
+    if (!Array.isArray(v)) error(path, "must be a list of strings");
+    else v.forEach((x, i) => { if (typeof x !== "string") error(`${path}[${i}]`, "must be a string"); });
+  };
+
+  if (required("year") && !Number.isInteger(s.year)) error("year", "must be a whole year, e.g. 2025");
+  if (required("northStar") && typeof s.northStar !== "string") error("northStar", "must be a string");
+  if (required("pillars")) stringList("pillars", s.pillars);
+  if (required("guardrails")) stringList("guardrails", s.guardrails);
+
+  const entityList = (key, check) => {
+    if (!required(key)) return [];
+    if (!Array.isArray(s[key])) { error(key, "must be a list"); return []; }
+    const seen = new Set();
+    s[key].forEach((e, i) => {
+      const path = `${key}[${i}]`;
+      if (!isPlainObject(e)) { error(path, "must be an object"); return; }
+      if (typeof e.id !== "string" || !e.id) error(`${path}.id`, "must be a non‑empty string");
+      else if (seen.has(e.id)) error(`${path}.id`, `duplicate id “${e.id}”`);
+      else seen.add(e.id);
+      if (typeof e.name !== "string" || !e.name.trim()) error(`${path}.name`, "must be a non‑empty string");
+      check(e, path);
+    });
+    return s[key].filter(isPlainObject).map((e) => e.id);
+  };
+
+  const conceptIds = entityList("concepts", (c, path) => {
+    if (c.role !== "Hero" && c.role !== "Support") error(`${path}.role`, "must be “Hero” or “Support”");
+    if (typeof c.color !== "string") warning(`${path}.color`, "missing colour; it will render grey");
+    if (c.tags !== undefined) stringList(`${path}.tags`, c.tags);
+    if (c.northStar !== undefined && typeof c.northStar !== "boolean") error(`${path}.northStar`, "must be true or false");
+    if (c.pillars !== undefined) {
+      if (!isPlainObject(c.pillars)) error(`${path}.pillars`, "must be an object keyed by pillar");
+      else for (const [p, w] of Object.entries(c.pillars)) {
+        if (typeof w !== "number" || w < 0) error(`${path}.pillars.${p}`, "must be a positive number");
+        else if (Array.isArray(s.pillars) && !s.pillars.includes(p)) warning(`${path}.pillars.${p}`, `unknown pillar “${p}”; its weight is ignored`);
+      }
+    }
+  });
+  const regionIds = new Set([...entityList("regions", () => {}), ...((known?.regions) || []).map((r) => r.id)]);
+  const marketIds = entityList("markets", (m, path) => {
+    if (m.code !== undefined && typeof m.code !== "string") error(`${path}.code`, "must be a string");
+    if (m.regionId !== undefined && !regionIds.has(m.regionId)) warning(`${path}.regionId`, `unknown region “${m.regionId}”; the market rolls up under “${NO_REGION}”`);
+    if (m.currency !== undefined && !/^[A-Z]{3}$/.test(m.currency)) error(`${path}.currency`, "must be a three‑letter code, e.g. MXN");
+  });
+  const tribeIds = entityList("tribes", (t, path) => {
+    stringList(`${path}.triggers`, t.triggers);
+    stringList(`${path}.channels`, t.channels);
+  });
+  entityList("assetCatalog", (a, path) => {
+    stringList(`${path}.channels`, a.channels);
+    if (a.leadDays !== undefined && (!Number.isInteger(a.leadDays) || a.leadDays < 0)) error(`${path}.leadDays`, "must be a whole number of days");
+  });
+
+  const knownIds = (ids, key) => new Set([...ids, ...((known?.[key]) || []).map((e) => e.id)]);
+  const concepts = knownIds(conceptIds, "concepts");
+  const markets = knownIds(marketIds, "markets");
+  const tribes = knownIds(tribeIds, "tribes");
+
+  if (required("plans")) {
+    if (!isPlainObject(s.plans)) error("plans", "must be an object keyed by year");
+    else for (const [year, plan] of Object.entries(s.plans)) {
+      const yPath = `plans.${year}`;
+      if (!/^\d{4}$/.test(year)) error(yPath, "year keys must be four digits");
+      if (!isPlainObject(plan)) { error(yPath, "must be an object keyed by market id"); continue; }
+      for (const [marketId, mp] of Object.entries(plan)) {
+        const mPath = `${yPath}.${marketId}`;
+        if (!markets.has(marketId)) warning(mPath, "unknown market; this plan will not be shown");
+        if (!isPlainObject(mp)) { error(mPath, "must be an object keyed by month (0–11)"); continue; }
+        for (const [month, list] of Object.entries(mp)) {
+          const cPath = `${mPath}.${month}`;
+          if (!/^\d+$/.test(month) || Number(month) > 11) error(cPath, "month keys must be 0–11");
+          if (!Array.isArray(list)) { error(cPath, "must be a list of placements"); continue; }
+          list.forEach((pl, j) => {
+            const pPath = `${cPath}[${j}]`;
+            if (!isPlainObject(pl)) { error(pPath, "must be an object"); return; }
+            if (typeof pl.id !== "string" || !pl.id) error(`${pPath}.id`, "must be a non‑empty string");
+            const dates = ["start", "end"].every((k) => {
+              const ok = typeof pl[k] === "string" && /^\d{4}-\d{2}-\d{2}$/.test(pl[k]);
+              if (!ok) error(`${pPath}.${k}`, "must be a date like 2025-03-15");
+              return ok;
+            });
+            if (dates && pl.end < pl.start) error(`${pPath}.end`, "must not be before start");
+            if (dates && (pl.start.slice(0, 4) !== year || monthOfDate(pl.start) !== Number(month))) error(`${pPath}.start`, `must fall in ${MONTHS[Number(month)] ?? "its month"} ${year}, the month it is filed under`);
+            if (pl.conceptId !== undefined && typeof pl.conceptId !== "string") error(`${pPath}.conceptId`, "must be a string");
+            else if (pl.conceptId && !concepts.has(pl.conceptId)) warning(`${pPath}.conceptId`, `unknown concept “${pl.conceptId}”`);
+            if (pl.budget !== undefined && (typeof pl.budget !== "number" || pl.budget < 0)) error(`${pPath}.budget`, "must be a positive number");
+            if (pl.notes !== undefined && typeof pl.notes !== "string") error(`${pPath}.notes`, "must be a string");
+            if (pl.channels !== undefined) stringList(`${pPath}.channels`, pl.channels);
+            if (pl.channelBudgets !== undefined) {
+              if (!isPlainObject(pl.channelBudgets)) error(`${pPath}.channelBudgets`, "must be an object keyed by channel");
+              else {
+                for (const [ch, v] of Object.entries(pl.channelBudgets)) {
+                  if (v != null && (typeof v !== "number" || v < 0)) error(`${pPath}.channelBudgets.${ch}`, "must be a positive number");
+                  else if (!(pl.channels || []).includes(ch)) warning(`${pPath}.channelBudgets.${ch}`, "channel is not listed in `channels`; its share is ignored");
+                }
+                if (typeof pl.budget === "number" && channelSplit(pl).unallocated < 0) warning(`${pPath}.channelBudgets`, "the split exceeds the placement budget");
+              }
+            }
+            if (pl.tribes !== undefined) {
+              stringList(`${pPath}.tribes`, pl.tribes);
+              (Array.isArray(pl.tribes) ? pl.tribes : []).forEach((id, i) => {
+                if (typeof id === "string" && !tribes.has(id)) warning(`${pPath}.tribes[${i}]`, `unknown tribe “${id}”`);
+              });
+            }
+            if (pl.assets !== undefined && !isPlainObject(pl.assets)) error(`${pPath}.assets`, "must be an object");
+            else for (const [id, entry] of Object.entries(pl.assets || {})) {
+              if (!isPlainObject(entry)) error(`${pPath}.assets.${id}`, "must be an object with a status");
+              else if (!ASSET_STATUSES.some((st) => st.value === entry.status)) error(`${pPath}.assets.${id}.status`, `must be one of ${ASSET_STATUSES.map((st) => st.value).join(", ")}`);
+              else if (entry.owner !== undefined && typeof entry.owner !== "string") error(`${pPath}.assets.${id}.owner`, "must be a string");
+            }
+          });
+        }
+      }
+    }
+  }
+
+  if (has("scenarios") || !partial) {
+    if (!Array.isArray(s.scenarios) || !s.scenarios.length) error("scenarios", "must be a non‑empty list");
+    else {
+      s.scenarios.forEach((sc, i) => {
+        if (!isPlainObject(sc) || typeof sc.id !== "string" || typeof sc.name !== "string") error(`scenarios[${i}]`, "needs an id and a name");
+        else if (sc.id !== s.scenarioId && !isPlainObject(sc.data)) error(`scenarios[${i}].data`, "inactive scenarios must carry their data");
+      });
+      if (!s.scenarios.some((sc) => sc?.id === s.scenarioId)) error("scenarioId", "must name one of the scenarios");
+    }
+  }
 
-    for (let q = 1; q <= 4; q++) {
-      const months = [0,1,2].map(o => (q-1)*3 + o);
-      const hasHero = months.some(mi => {
-        const id = mp[mi]?.conceptId; return !!id && conceptById[id]?.role === "Hero";
+  if (required("fx")) {
+    if (!isPlainObject(s.fx) || !isPlainObject(s.fx.rates)) error("fx", "must be an object with `reporting` and `rates`");
+    else {
+      if (!/^[A-Z]{3}$/.test(s.fx.reporting)) error("fx.reporting", "must be a three‑letter code, e.g. USD");
+      else if (!s.fx.rates[s.fx.reporting]) warning("fx.reporting", `no rate for ${s.fx.reporting}; totals cannot be converted`);
+      for (const [code, rate] of Object.entries(s.fx.rates)) {
+        if (!/^[A-Z]{3}$/.test(code)) error(`fx.rates.${code}`, "keys must be three‑letter codes");
+        if (typeof rate !== "number" || !(rate > 0)) error(`fx.rates.${code}`, "must be a number above 0");
+      }
+    }
+  }
+
+  if (required("budgets")) {
+    if (!isPlainObject(s.budgets)) error("budgets", "must be an object keyed by year");
+    else for (const [year, byMarket] of Object.entries(s.budgets)) {
+      const yPath = `budgets.${year}`;
+      if (!/^\d{4}$/.test(year)) error(yPath, "year keys must be four digits");
+      if (!isPlainObject(byMarket)) { error(yPath, "must be an object keyed by market id"); continue; }
+      for (const [marketId, b] of Object.entries(byMarket)) {
+        const bPath = `${yPath}.${marketId}`;
+        if (!markets.has(marketId)) warning(bPath, "unknown market; this envelope will be ignored");
+        if (!isPlainObject(b)) { error(bPath, "must be an object with `annual` and/or `quarters`"); continue; }
+        const amount = (path, v) => { if (v != null && (typeof v !== "number" || v < 0)) error(path, "must be a positive number"); };
+        amount(`${bPath}.annual`, b.annual);
+        if (b.quarters !== undefined) {
+          if (!Array.isArray(b.quarters) || b.quarters.length > 4) error(`${bPath}.quarters`, "must be a list of up to four amounts");
+          else b.quarters.forEach((q, i) => amount(`${bPath}.quarters[${i}]`, q));
+        }
+      }
+    }
+  }
+
+  if (required("cohesionRules")) {
+    if (!Array.isArray(s.cohesionRules)) error("cohesionRules", "must be a list of rules");
+    else s.cohesionRules.forEach((rule, i) => {
+      const path = `cohesionRules[${i}]`;
+      if (!isPlainObject(rule)) { error(path, "must be an object"); return; }
+      if (typeof rule.id !== "string" || !rule.id) error(`${path}.id`, "must be a non‑empty string");
+      if (!RULE_TYPES[rule.type]) warning(`${path}.type`, `unknown rule type “${rule.type}”; it will be ignored`);
+      if (rule.severity !== undefined && !RULE_SEVERITIES.includes(rule.severity)) error(`${path}.severity`, `must be one of ${RULE_SEVERITIES.join(", ")}`);
+      if (typeof rule.weight !== "number" || rule.weight < 0) error(`${path}.weight`, "must be a positive number");
+      if (rule.params !== undefined && !isPlainObject(rule.params)) error(`${path}.params`, "must be an object");
+      else Object.entries(rule.params || {}).forEach(([k, v]) => {
+        if (typeof v !== "number" || v < 0) error(`${path}.params.${k}`, "must be a positive number");
       });
-      if (!hasHero) { localIssues.push(`No hero presence in Q${q}.`); score -= 6; }
+    });
+  }
+  return issues;
+}
+
+/**
+ * Parses and upgrades pasted JSON. Complete saves (or envelopes) go through migrateState;
+ * anything else is treated as a current‑schema fragment for merge imports (old plan and
+ * rule shapes are lifted on the way).
+ */
+function prepareImport(text, current) {
+  let raw;
+  try { raw = JSON.parse(text); } catch (e) {
+    return { data: null, full: false, issues: [{ level: "error", path: "$", message: `not valid JSON (${e.message})` }] };
+  }
+  const full = isPlainObject(raw) && (typeof raw.schemaVersion === "number" || (Array.isArray(raw.markets) && Array.isArray(raw.concepts)));
+  let data = raw;
+  if (full) {
+    try { data = migrateState(raw); } catch (e) {
+      return { data: null, full, issues: [{ level: "error", path: "$", message: e.message }] };
     }
+  } else if (isPlainObject(raw) && (raw.plan || raw.plans)) {
+    // Fragments carry no version; lift single‑year and single‑placement cells and name‑keyed checklists (each step is idempotent)
+    const { scenarios, ...fragment } = raw.plans ? raw : MIGRATIONS[2]({ year: current.year, ...raw });
+    const plans = MIGRATIONS[4]({ plans: fragment.plans }).plans;
+    const rekeyed = MIGRATIONS[9]({ assetCatalog: fragment.assetCatalog || current.assetCatalog, plans }).plans;
+    data = { ...fragment, plans: MIGRATIONS[10]({ plans: rekeyed }).plans };
+  }
+  if (!full && isPlainObject(data?.cohesionRules)) data = { ...data, cohesionRules: upgradeRules(data.cohesionRules) };
+  return { data, full, issues: validateState(data, { partial: !full, known: current }) };
+}
 
-    score = clamp(score, 0, 100);
+/** Matches incoming entities to existing ones by id, then case‑insensitive name. */
+function mergeEntities(existing, incoming, prefix) {
+  const list = [...existing];
+  const idMap = {};
+  const byName = (n) => list.findIndex((e) => e.name.trim().toLowerCase() === String(n || "").trim().toLowerCase());
+  for (const inc of incoming || []) {
+    let i = list.findIndex((e) => e.id === inc.id);
+    if (i < 0) i = byName(inc.name);
+    if (i >= 0) {
+      idMap[inc.id] = list[i].id;
+      list[i] = { ...list[i], ...inc, id: list[i].id };
+    } else {
+      const id = inc.id && !list.some((e) => e.id === inc.id) ? inc.id : uid(prefix);
+      idMap[inc.id] = id;
+      list.push({ ...inc, id });
+    }
+  }
+  return { list, idMap };
+}
+
+function remapPlacement(pl, conceptMap, tribeMap, assetMap = {}) {
+  return {
+    ...pl,
+    conceptId: pl.conceptId ? (conceptMap[pl.conceptId] || pl.conceptId) : pl.conceptId,
+    tribes: pl.tribes ? pl.tribes.map((id) => tribeMap[id] || id) : pl.tribes,
+    assets: pl.assets ? Object.fromEntries(Object.entries(pl.assets).map(([id, v]) => [assetMap[id] || id, v])) : pl.assets,
+  };
+}
+
+/**
+ * Applies an import. `replace` swaps the whole state; `merge` upserts markets, concepts, tribes
+ * and catalogue assets (remapping references), upserts incoming placements by id, envelopes by market and
+ * FX rates by code; `market` copies one incoming market's plans and envelopes, for every year
+ * they exist, onto `targetMarketId`. An incoming placement whose id is already used in another
+ * market or year gets a new id, so ids stay unique across the plan.
+ */
+function applyImport(current, incoming, mode, { sourceMarketId, targetMarketId } = {}) {
+  if (mode === "replace") return incoming;
+  const inPlans = incoming.plans || {};
+
+  let conceptsIn = incoming.concepts || [];
+  let tribesIn = incoming.tribes || [];
+  if (mode === "market") {
+    const used = Object.values(inPlans).flatMap((plan) => allPlacements(plan?.[sourceMarketId]));
+    const cIds = new Set(used.map((pl) => pl.conceptId).filter(Boolean));
+    const tIds = new Set(used.flatMap((pl) => pl.tribes || []));
+    conceptsIn = conceptsIn.filter((c) => cIds.has(c.id));
+    tribesIn = tribesIn.filter((t) => tIds.has(t.id));
+  }
+  const concepts = mergeEntities(current.concepts, conceptsIn, "c");
+  const tribes = mergeEntities(current.tribes, tribesIn, "t");
+  const assets = mergeEntities(current.assetCatalog || [], incoming.assetCatalog, "a");
+  const regions = mode === "merge" ? mergeEntities(current.regions || [], incoming.regions, "r") : { list: current.regions || [], idMap: {} };
+  const marketsIn = (incoming.markets || []).map((m) => (m.regionId ? { ...m, regionId: regions.idMap[m.regionId] || m.regionId } : m));
+  const markets = mode === "merge" ? mergeEntities(current.markets, marketsIn, "m") : { list: current.markets, idMap: {} };
+
+  const budgets = { ...current.budgets };
+  for (const [year, byMarket] of Object.entries(incoming.budgets || {})) {
+    const nextYear = { ...(budgets[year] || {}) };
+    for (const [marketId, b] of Object.entries(byMarket || {})) {
+      if (mode === "market" && marketId !== sourceMarketId) continue;
+      nextYear[mode === "market" ? targetMarketId : (markets.idMap[marketId] || marketId)] = b;
+    }
+    budgets[year] = nextYear;
+  }
+  const fx = mode === "merge" && incoming.fx ? { ...current.fx, rates: { ...current.fx?.rates, ...incoming.fx.rates } } : current.fx;
+
+  const homeOf = new Map(); // placement id → "year/marketId" it lives in
+  for (const [year, plan] of Object.entries(current.plans || {})) {
+    for (const [marketId, mp] of Object.entries(plan || {})) allPlacements(mp).forEach((pl) => homeOf.set(pl.id, `${year}/${marketId}`));
+  }
+  const plans = { ...current.plans };
+  for (const [year, plan] of Object.entries(inPlans)) {
+    const nextPlan = { ...(plans[year] || {}) };
+    for (const [marketId, mp] of Object.entries(plan || {})) {
+      if (mode === "market" && marketId !== sourceMarketId) continue;
+      const target = mode === "market" ? targetMarketId : (markets.idMap[marketId] || marketId);
+      const home = `${year}/${target}`;
+      const claim = (pl) => {
+        const id = homeOf.has(pl.id) && homeOf.get(pl.id) !== home ? uid("p") : pl.id;
+        homeOf.set(id, home);
+        return id === pl.id ? pl : { ...pl, id };
+      };
+      const byMonth = Object.entries(mp || {}).map(([month, list]) => [month, (list || []).map((pl) => claim(remapPlacement(pl, concepts.idMap, tribes.idMap, assets.idMap)))]);
+      const ids = new Set(byMonth.flatMap(([, list]) => list.map((pl) => pl.id)));
+      // An upserted placement may have moved month, so drop its old copy wherever it was filed
+      const base = mode === "market" ? {} : Object.fromEntries(Object.entries(nextPlan[target] || {}).map(([month, list]) => [month, (list || []).filter((pl) => !ids.has(pl.id))]));
+      for (const [month, list] of byMonth) base[month] = [...placementsIn(base, month), ...list];
+      nextPlan[target] = base;
+    }
+    plans[year] = nextPlan;
+  }
+  return { ...current, concepts: concepts.list, tribes: tribes.list, regions: regions.list, markets: markets.list, plans, budgets, fx, assetCatalog: assets.list };
+}
 
-    byMarket[m.id] = {
-      score,
-      stats: { monthsPlanned, heroConceptsUsed: heroConceptIds.length, totalConceptsUsed },
-      issues: localIssues,
+/** Counts what an import would change, for the preview. */
+function summariseChanges(before, after) {
+  const entities = (key) => {
+    const prev = Object.fromEntries((before[key] || []).map((e) => [e.id, JSON.stringify(e)]));
+    const next = Object.fromEntries((after[key] || []).map((e) => [e.id, JSON.stringify(e)]));
+    return {
+      added: Object.keys(next).filter((id) => !(id in prev)).length,
+      updated: Object.keys(next).filter((id) => id in prev && prev[id] !== next[id]).length,
+      removed: Object.keys(prev).filter((id) => !(id in next)).length,
     };
+  };
+  const cells = (s) => {
+    const out = {};
+    for (const [year, plan] of Object.entries(s.plans || {}))
+      for (const [marketId, mp] of Object.entries(plan || {}))
+        for (const pl of allPlacements(mp))
+          out[`${year}/${marketId}/${pl.id}`] = JSON.stringify(pl);
+    return out;
+  };
+  const prevCells = cells(before);
+  const nextCells = cells(after);
+  const placements = {
+    added: Object.keys(nextCells).filter((k) => !(k in prevCells)).length,
+    updated: Object.keys(nextCells).filter((k) => k in prevCells && prevCells[k] !== nextCells[k]).length,
+    removed: Object.keys(prevCells).filter((k) => !(k in nextCells)).length,
+  };
+  const fields = ["year", "northStar", "pillars", "guardrails", "regions", "cohesionRules", "budgets", "fx", "assetCatalog"]
+    .filter((k) => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+  return { concepts: entities("concepts"), markets: entities("markets"), tribes: entities("tribes"), placements, fields };
+}
+
+// ---------- Calendar export ----------
+const ICS_DOMAIN = "campaign-storyboarder"; // right‑hand side of every event UID
+
+/** RFC 5545 TEXT escaping. */
+function icsText(s) {
+  return String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/** Folds a content line at 75 octets, never inside a UTF‑8 sequence. */
+function foldLine(line) {
+  const enc = new TextEncoder();
+  const out = [];
+  let current = "", size = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) { out.push(current); current = ""; size = 0; }
+    current += ch; size += n;
   }
+  return [...out, current].join("\r\n ");
+}
 
-  const overall = Math.round(
-    Object.values(byMarket).reduce((a, b) => a + b.score, 0) /
-    Math.max(1, (state.markets || []).length)
-  );
+const icsDate = (iso) => iso.replace(/-/g, "");
+
+/**
+ * An iCalendar feed for `year`: one all‑day event per placement across its flight and one per
+ * asset due date, for `marketId` or every market of `state`. UIDs derive from market, placement
+ * and asset ids only, so re‑importing an updated export updates events instead of duplicating
+ * them. SEQUENCE is the export time in minutes, so it only goes up and calendars take each newer
+ * export as the latest revision (two exports in the same minute tie and DTSTAMP decides).
+ */
+function toICS(state, { year = state.year, marketId, now = new Date() } = {}) {
+  const plan = planFor(state, year);
+  const markets = state.markets.filter((m) => !marketId || m.id === marketId);
+  const conceptById = Object.fromEntries(state.concepts.map((c) => [c.id, c]));
+  const tribeNames = (pl) => (pl.tribes || []).map((id) => state.tribes.find((t) => t.id === id)?.name ?? id).join(", ");
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const sequence = Math.floor(now.getTime() / 60000); // stays a small non‑negative INTEGER for clients that store it signed
+  const describe = (pl) => {
+    const concept = conceptById[pl.conceptId];
+    return [
+      `Concept: ${concept ? `${concept.name} (${concept.role})` : "—"}`,
+      `Tribes: ${tribeNames(pl) || "—"}`,
+      `Channels: ${(pl.channels || []).join(", ") || "—"}`,
+      ...(pl.notes ? [`Notes: ${pl.notes}`] : []),
+    ];
+  };
+  const event = (uid, start, end, summary, lines) => [
+    "BEGIN:VEVENT",
+    `UID:${uid}@${ICS_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;VALUE=DATE:${icsDate(start)}`,
+    `DTEND;VALUE=DATE:${icsDate(fromDayNumber(dayNumber(end) + 1))}`, // exclusive
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(lines.join("\n"))}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ];
+  const events = [];
+  for (const m of markets) {
+    const placements = allPlacements(plan[m.id]).slice().sort((a, b) => a.start.localeCompare(b.start));
+    for (const pl of placements) {
+      const name = conceptById[pl.conceptId]?.name ?? "Placement";
+      events.push(...event(`${m.id}-${pl.id}`, pl.start, pl.end, `${name} — ${m.name}`, [`Market: ${m.name}`, ...describe(pl)]));
+    }
+  }
+  for (const task of assetTasks({ ...state, markets }, { year })) {
+    const m = markets.find((x) => x.id === task.marketId);
+    const name = conceptById[task.placement.conceptId]?.name ?? "Placement";
+    const status = ASSET_STATUSES.find((s) => s.value === task.status)?.label ?? task.status;
+    events.push(...event(`${m.id}-${task.placement.id}-${task.asset.id}`, task.due, task.due, `Due: ${task.asset.name} — ${name}, ${m.name}`, [
+      `Status: ${status}${task.owner ? ` · Owner: ${task.owner}` : ""}`,
+      `Flight: ${task.placement.start} → ${task.placement.end} (${m.name})`,
+      ...describe(task.placement),
+    ]));
+  }
+  const scope = marketId ? markets[0]?.name : "All markets";
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${ICS_DOMAIN}//Campaign Storyboarder//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(`Campaign plan ${year} — ${scope}`)}`,
+    ...events,
+    "END:VCALENDAR",
+  ].map(foldLine).join("\r\n") + "\r\n";
+}
+
+// ---------- PDF export ----------
+let pdfFont = null;
+/** Fetches and parses the bundled Lato (SIL OFL, see src/fonts/OFL.txt) once per session. */
+function loadPdfFont() {
+  pdfFont = pdfFont || fetch(PDF_FONT_URL).then((r) => {
+    if (!r.ok) throw new Error(`Could not load the PDF font (${r.status}).`);
+    return r.arrayBuffer();
+  }).then(parseTTF);
+  pdfFont.catch(() => { pdfFont = null; });
+  return pdfFont;
+}
+
+// ---------- CSV import ----------
+/**
+ * Fields a CSV column can map to. guessMapping recognises the `aliases` as headers (compared
+ * without case, accents or punctuation); the plan export's own headers are among them, so an
+ * exported sheet imports straight back.
+ */
+const CSV_FIELDS = [
+  { key: "market", label: "Market", required: true, aliases: ["market", "country", "market code", "mercado", "pais"] },
+  { key: "month", label: "Month", required: true, unless: "start", aliases: ["month", "date", "mes"] }, // or taken from the flight start
+  { key: "start", label: "Flight start", aliases: ["start", "start date", "flight start", "inicio"] },
+  { key: "end", label: "Flight end", aliases: ["end", "end date", "flight end", "fin"] },
+  { key: "concept", label: "Concept", aliases: ["concept", "campaign", "creative", "concepto"] },
+  { key: "channels", label: "Channels", aliases: ["channels", "channel", "media", "canales"] },
+  { key: "tribes", label: "Tribes", aliases: ["tribes", "tribe", "audience", "audiences", "tribus"] },
+  { key: "budget", label: "Budget", aliases: ["budget", "spend", "cost", "net cost", "presupuesto"] },
+  { key: "notes", label: "Notes", aliases: ["notes", "note", "message", "comments", "notas"] },
+];
+
+/** Which state list each name‑bearing field is matched against. */
+const CSV_ENTITY_FIELDS = [["markets", "market"], ["concepts", "concept"], ["tribes", "tribes"]];
+
+function normaliseName(s) {
+  return String(s ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/** CSV text to rows of cells: quoted cells, CRLF or LF, a leading BOM, and `,` `;` or tab delimiters (sniffed from the first line). */
+function parseCSV(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const first = src.split(/\r?\n/, 1)[0];
+  const delimiter = [";", "\t"].reduce((best, d) => (first.split(d).length > first.split(best).length ? d : best), ",");
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delimiter) { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/** Field key → column index for every field whose aliases name a header; the first alias listed wins. */
+function guessMapping(headers) {
+  const names = headers.map(normaliseName);
+  const mapping = {};
+  for (const f of CSV_FIELDS) {
+    for (const alias of f.aliases) {
+      const i = names.indexOf(alias);
+      if (i >= 0 && !Object.values(mapping).includes(i)) { mapping[f.key] = i; break; }
+    }
+  }
+  return mapping;
+}
+
+/** `{ month }` from "Mar", "March", "3" or an ISO date in `year`; `{ error }` otherwise. */
+function parseMonth(value, year) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return { error: "no month" };
+  const iso = raw.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?$/);
+  if (iso && Number(iso[1]) !== Number(year)) return { error: `${raw} is not in ${year}` };
+  const n = iso ? Number(iso[2]) : /^\d{1,2}$/.test(raw) ? Number(raw) : null;
+  if (n != null) return n >= 1 && n <= 12 ? { month: n - 1 } : { error: `no month ${raw}` };
+  const name = normaliseName(raw);
+  const month = MONTHS.findIndex((m) => name.length >= 3 && (name.startsWith(m.toLowerCase()) || m.toLowerCase().startsWith(name)));
+  return month >= 0 ? { month } : { error: `unknown month “${raw}”` };
+}
 
-  return { overall, byMarket };
+/** `{ date }` for an ISO date (YYYY‑MM‑DD) in `year`, `{ error }` otherwise; `label` names the column. */
+function parseFlightDate(value, year, label) {
+  const raw = String(value ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(raw) || fromDayNumber(dayNumber(raw)) !== raw) return { error: `${label} “${raw}” is not a date (YYYY‑MM‑DD)` };
+  if (Number(raw.slice(0, 4)) !== Number(year)) return { error: `${label} ${raw} is not in ${year}` };
+  return { date: raw };
+}
+
+/**
+ * Money as agencies type it — "$1,200.50", "1.200,50", "MXN 12 000". One kind of separator
+ * splitting the number into three‑digit groups marks thousands, whether comma or dot ("12,000"
+ * and "12.000" are both 12000); otherwise the last separator is the decimal mark. Null when
+ * blank, NaN when unreadable.
+ */
+function parseAmount(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  let s = raw.replace(/[^\d.,-]/g, "");
+  if (!/\d/.test(s)) return NaN;
+  const mark = Math.max(s.lastIndexOf(","), s.lastIndexOf("."));
+  if (/^-?[1-9]\d{0,2}([.,])\d{3}(\1\d{3})*$/.test(s)) s = s.replace(/[.,]/g, "");
+  else if (mark >= 0) s = `${s.slice(0, mark).replace(/[.,]/g, "")}.${s.slice(mark + 1)}`;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function splitList(value) {
+  return String(value ?? "").split(/[;,|]/).map((s) => s.trim()).filter(Boolean);
+}
+
+function csvCell(row, mapping, key) {
+  if (mapping[key] == null) return "";
+  const raw = String(row[mapping[key]] ?? "");
+  return (/^'[=+\-@\t\r]/.test(raw) ? raw.slice(1) : raw).trim(); // undo toCSV's formula guard
+}
+
+/** An entity by name (markets also by code), ignoring case, accents and punctuation. */
+function findByName(list, name, { codes = false } = {}) {
+  const n = normaliseName(name);
+  return n ? list.find((e) => normaliseName(e.name) === n || (codes && e.code && normaliseName(e.code) === n)) : undefined;
+}
+
+/** Names the mapped columns use that match no market, concept or tribe yet; first spelling kept. */
+function unmatchedNames(state, rows, mapping) {
+  const out = { markets: [], concepts: [], tribes: [] };
+  const seen = new Set();
+  for (const row of rows) {
+    for (const [kind, field] of CSV_ENTITY_FIELDS) {
+      const cell = csvCell(row, mapping, field);
+      for (const name of field === "tribes" ? splitList(cell) : [cell]) {
+        const key = `${kind}:${normaliseName(name)}`;
+        if (!normaliseName(name) || seen.has(key) || findByName(state[kind], name, { codes: kind === "markets" })) continue;
+        seen.add(key);
+        out[kind].push(name);
+      }
+    }
+  }
+  return out;
+}
+
+function newEntity(kind, name, index) {
+  if (kind === "markets") return { id: uid("m"), name, currency: "USD" };
+  if (kind === "concepts") return { id: uid("c"), name, role: "Support", tags: [], color: SEED_COLOURS[index % SEED_COLOURS.length] };
+  return { id: uid("t"), name, description: "", triggers: [], channels: [] };
+}
+
+/**
+ * Settles the unmatched names before the dry run. `choices[kind][normalised name]` is "create"
+ * (the default: add an entity of that name), an existing entity id (read the name as that
+ * entity) or "skip" (rows using it fail). Returns the state with the new entities and the
+ * name → id aliases.
+ */
+function stageCsvEntities(state, unmatched, choices = {}) {
+  let next = state;
+  const aliases = { markets: {}, concepts: {}, tribes: {} };
+  for (const [kind, names] of Object.entries(unmatched)) {
+    const created = [];
+    for (const name of names) {
+      const choice = choices[kind]?.[normaliseName(name)] ?? "create";
+      if (choice === "create") created.push(newEntity(kind, name, next[kind].length + created.length));
+      else if (choice !== "skip") aliases[kind][normaliseName(name)] = choice;
+    }
+    if (created.length) next = { ...next, [kind]: [...next[kind], ...created] };
+  }
+  return { state: next, aliases };
+}
+
+/**
+ * Dry run of a CSV import against `state` (rows without the header): each row becomes
+ * `{ line, marketId, month, patch, errors }`, where `line` is the 1‑based line in the file
+ * and `patch` is what applyPlacementPatch will receive. The month comes from the month column,
+ * else from the flight start; a row with both must agree. Nothing is applied.
+ */
+function previewCsvImport(state, rows, mapping, aliases = {}) {
+  const lookup = (kind, name) => {
+    const alias = aliases[kind]?.[normaliseName(name)];
+    return alias ? state[kind].find((e) => e.id === alias) : findByName(state[kind], name, { codes: kind === "markets" });
+  };
+  return rows.map((row, i) => {
+    const cell = (key) => csvCell(row, mapping, key);
+    const errors = [];
+    const market = cell("market") && lookup("markets", cell("market"));
+    if (!cell("market")) errors.push("no market");
+    else if (!market) errors.push(`unknown market “${cell("market")}”`);
+    const patch = {};
+    for (const [key, label] of [["start", "start"], ["end", "end"]]) {
+      if (!cell(key)) continue;
+      const { date, error } = parseFlightDate(cell(key), state.year, label);
+      if (error) errors.push(error);
+      else patch[key] = date;
+    }
+    if (patch.start && patch.end && patch.end < patch.start) errors.push(`ends ${patch.end}, before it starts`);
+    const { month, error } = !cell("month") && patch.start ? { month: monthOfDate(patch.start) } : parseMonth(cell("month"), state.year);
+    if (error) errors.push(error);
+    else if (patch.start && monthOfDate(patch.start) !== month) errors.push(`starts ${patch.start}, outside its month ${MONTHS[month]}`);
+
+    if (cell("concept")) {
+      const concept = lookup("concepts", cell("concept"));
+      if (concept) patch.conceptId = concept.id;
+      else errors.push(`unknown concept “${cell("concept")}”`);
+    }
+    if (mapping.tribes != null) {
+      const names = splitList(cell("tribes"));
+      const tribes = names.map((n) => lookup("tribes", n));
+      names.forEach((n, j) => { if (!tribes[j]) errors.push(`unknown tribe “${n}”`); });
+      patch.tribes = [...new Set(tribes.filter(Boolean).map((t) => t.id))];
+    }
+    if (mapping.channels != null) patch.channels = splitList(cell("channels"));
+    if (mapping.budget != null) {
+      const budget = parseAmount(cell("budget"));
+      if (Number.isNaN(budget) || budget < 0) errors.push(`budget “${cell("budget")}” is not an amount`);
+      else if (budget != null) patch.budget = budget;
+    }
+    if (cell("notes")) patch.notes = cell("notes");
+    return { line: i + 2, marketId: market?.id, month, patch, errors };
+  });
+}
+
+/**
+ * Adds every error‑free preview row to `base` as a new placement. Of the markets, concepts and
+ * tribes `staged` for the import (see stageCsvEntities), only those these rows use are created.
+ */
+function applyCsvImport(base, staged, preview) {
+  const ok = preview.filter((r) => !r.errors.length);
+  const used = new Set(ok.flatMap((r) => [r.marketId, r.patch.conceptId, ...(r.patch.tribes || [])]));
+  const next = { ...base };
+  for (const kind of ["markets", "concepts", "tribes"]) {
+    const known = new Set(base[kind].map((e) => e.id));
+    next[kind] = [...base[kind], ...staged[kind].filter((e) => !known.has(e.id) && used.has(e.id))];
+  }
+  return ok.reduce((s, r) => applyPlacementPatch(s, r.marketId, r.month, r.patch), next);
 }
 
 // ---------- State helpers ----------
+// History labels for fields edited through the helpers below
+const FIELD_LABELS = {
+  northStar: "Edit North Star",
+  pillars: "Edit pillars",
+  guardrails: "Edit guardrails",
+  cohesionRules: "Edit cohesion rules",
+  assetCatalog: "Edit asset catalogue",
+};
+
 function updateStateField(state, key, value) {
   const next = { ...state, [key]: value };
-  localStorage.setItem(LS_KEY, JSON.stringify(next));
-  const ev = new Event("storage");
+  saveState(next);
+  const label = key === "year" ? `Switch to ${value}` : FIELD_LABELS[key] || `Edit ${key}`;
+  const ev = new CustomEvent("storage", { detail: { label } });
   window.dispatchEvent(ev);
 }
 
 function updateNested(state, key, patch) {
   const next = { ...state, [key]: { ...state[key], ...patch } };
-  localStorage.setItem(LS_KEY, JSON.stringify(next));
-  const ev = new Event("storage");
+  saveState(next);
+  const ev = new CustomEvent("storage", { detail: { label: FIELD_LABELS[key] || `Edit ${key}` } });
   window.dispatchEvent(ev);
 }
 
@@ -1265,25 +4930,425 @@ function updateNested(state, key, patch) {
   // Test: default tribes present (5)
   assert('DEFAULT_TRIBES has 5 items', DEFAULT_TRIBES.length === 5);
 
-  // Test: ASSET_CATALOG non‑empty
-  assert('ASSET_CATALOG has items', ASSET_CATALOG.length > 0);
+  // Test: DEFAULT_ASSET_CATALOG non‑empty
+  assert('DEFAULT_ASSET_CATALOG has items', DEFAULT_ASSET_CATALOG.length > 0);
+
+  // Test: checklists hold only the assets a placement's channels need
+  const prOnly = { channels: ['PR food media'], assets: { a_key_visual: { status: 'approved' }, a_pr_note: { status: 'approved' }, a_measurement: { status: 'approved' }, a_approvals: { status: 'approved' } } };
+  assert('requiredAssets keeps channel matches plus assets every placement needs', requiredAssets(DEFAULT_ASSET_CATALOG, prOnly).map(a => a.id).join() === 'a_key_visual,a_pr_note,a_measurement,a_approvals');
+  assert('A finished PR-only placement reads 100% ready', assetReadiness(DEFAULT_ASSET_CATALOG, [prOnly]).pct === 100);
+  assert('Only approved assets count as ready', assetReadiness(DEFAULT_ASSET_CATALOG, [{ ...prOnly, assets: { ...prOnly.assets, a_pr_note: { status: 'in_review' } } }]).pct === 75);
+  assert('assetDueDate counts the lead time back from the flight start', assetDueDate({ start: '2025-03-01' }, { leadDays: 14 }) === '2025-02-15');
+  assert('Placements without channels need the whole catalogue', assetReadiness(DEFAULT_ASSET_CATALOG, [{ assets: prOnly.assets }]).total === DEFAULT_ASSET_CATALOG.length);
 
   // Test: analyseCohesion flags missing heroes by quarter
+  const P = (conceptId, month, extra = {}) => ({ id: `p${conceptId}${month}`, conceptId, ...monthFlight(2025, month), ...extra });
   const testState = {
     year: 2025,
     northStar: '', pillars: [], guardrails: [],
-    concepts: [{ id:'H', name:'Hero X', role:'Hero', tags:[], color:'#000' }],
+    concepts: [{ id:'H', name:'Hero X', role:'Hero', tags:[], color:'#000' }, { id:'S', name:'Support Y', role:'Support', tags:[], color:'#fff' }],
     tribes: [],
     markets: [{ id:'M1', name:'X' }],
-    plan: { M1: { 0: { conceptId: 'H' } } }, // only January has hero
-    cohesionRules: { maxHeroConceptsPerMarket: 4, minRepeatsPerHero: 3, minMonthsPlanned: 10, maxTotalConceptsPerMarket: 8 }
+    plans: { 2025: { M1: { 0: [P('H', 0)] } } }, // only January has hero
+    cohesionRules: rulesFromThresholds(),
+    assetCatalog: defaultAssetCatalog()
   };
   const coh = analyseCohesion(testState);
-  const issues = coh.byMarket['M1'].issues.join(' | ');
+  const issues = coh.byMarket['M1'].issues.map(i => i.message).join(' | ');
   assert('Cohesion detects missing hero in Q2', issues.includes('Q2'));
   assert('Cohesion detects missing hero in Q3', issues.includes('Q3'));
   assert('Cohesion detects missing hero in Q4', issues.includes('Q4'));
 
+  // Test: issues name their rule, market and months, and carry fixes that actually help
+  const q2 = coh.byMarket['M1'].issues.find(i => i.ruleId === 'r_quarters' && i.months.includes(3));
+  assert('Issues carry rule, market and months', q2 && q2.type === 'heroEveryQuarter' && q2.marketId === 'M1' && q2.months.join() === '3,4,5');
+  assert('heroEveryQuarter suggests assigning a hero inside the quarter', q2.fixes[0].patch.conceptId === 'H' && q2.fixes[0].month === 3 && !q2.fixes[0].placementId);
+  assert('Applying a fix raises the market score', analyseCohesion(applyFix(testState, q2.fixes[0])).byMarket['M1'].score > coh.byMarket['M1'].score);
+
+  // Test: the rules engine — default weights match the old scoring, rules are data
+  assert('Default rules keep the old penalties (2/month, 4/repeat, 6/quarter)', coh.byMarket['M1'].score === 100 - 9 * 2 - 2 * 4 - 3 * 6);
+  assert('Per-rule penalties add up to the score', coh.byMarket['M1'].rules.reduce((a, r) => a + r.penalty, 0) === 100 - coh.byMarket['M1'].score);
+  const only = (type, params, plans) => analyseCohesion({ ...testState, plans: { 2025: { M1: plans } },
+    cohesionRules: [{ id: 'x', type, enabled: true, severity: 'warning', weight: 5, params }] }).byMarket['M1'];
+  const streak = only('maxConsecutiveMonths', { max: 3 }, { 0: [P('H', 0)], 1: [P('H', 1)], 2: [P('H', 2)], 3: [P('H', 3)], 5: [P('H', 5)] });
+  assert('maxConsecutiveMonths flags a 4-month run once', streak.rules[0].violations.length === 1 && streak.score === 95);
+  assert('supportFollowsHero needs a hero in the window', only('supportFollowsHero', { within: 1 }, { 0: [P('H', 0)], 1: [P('S', 1)], 4: [P('S', 4)] }).issues.some(i => i.message.includes('May')) && only('supportFollowsHero', { within: 1 }, { 0: [P('H', 0)], 1: [P('S', 1)] }).issues.length === 0);
+  assert('minTribesPerQuarter counts distinct tribes per quarter', only('minTribesPerQuarter', { min: 2 }, { 0: [P('H', 0, { tribes: ['a', 'b'] })] }).rules[0].violations.length === 3);
+  assert('Disabled and unknown rules are ignored', analyseCohesion({ ...testState, cohesionRules: [{ id: 'a', type: 'heroEveryQuarter', enabled: false, weight: 6 }, { id: 'b', type: 'nope', weight: 9 }] }).byMarket['M1'].score === 100);
+  const busyQ2 = only('heroEveryQuarter', {}, { 0: [P('H', 0)], 3: [P('S', 3)], 4: [P('S', 4)], 5: [P('S', 5)] }).issues.find(i => i.months.includes(3));
+  assert('A full quarter gets replace fixes that target a placement', busyQ2.fixes[0].placementId === 'pS3' && busyQ2.fixes[0].month === 3 && busyQ2.fixes[0].patch.conceptId === 'H');
+
+  // Test: portfolio rules look across markets and pull the overall score down
+  const pf = analyseCohesion({ ...testState, markets: [{ id:'M1', name:'X' }, { id:'M2', name:'Y' }],
+    concepts: [...testState.concepts, { id:'H2', name:'Hero Z', role:'Hero', tags:[], color:'#111', northStar: true }],
+    plans: { 2025: { M1: { 0: [P('H', 0)], 1: [P('H2', 1)], 2: [P('S', 2)], 3: [P('S', 3)] }, M2: { 0: [P('H2', 0)], 4: [P('H2', 4)] } } } });
+  assert('sharedHeroPerQuarter accepts a hero both markets run', !pf.portfolio.issues.some(i => i.message.startsWith('Q1')) && pf.portfolio.issues.some(i => i.message.startsWith('Q2')));
+  assert('maxLaunchDrift tolerates a one-month drift', !pf.portfolio.issues.some(i => i.message.includes('launches')));
+  assert('northStarShare counts planned market-months with a tagged concept', pf.portfolio.stats.northStar.share === 50);
+  assert('overall = market average minus portfolio penalties', pf.overall === Math.round((pf.byMarket.M1.score + pf.byMarket.M2.score) / 2) - (100 - pf.portfolio.score));
+  const drift = analyseCohesion({ ...testState, markets: [{ id:'M1', name:'X' }, { id:'M2', name:'Y' }], plans: { 2025: { M1: { 0: [P('H', 0)] }, M2: { 3: [P('H', 3)] } } } });
+  assert('maxLaunchDrift flags a concept launching months apart', drift.portfolio.rules.find(r => r.ruleId === 'r_drift').penalty === 2 * 2);
+  const driftFix = drift.portfolio.issues.find(i => i.ruleId === 'r_drift').fixes[0];
+  assert('Portfolio fixes say which market to change', drift.portfolio.issues[0].marketId === null && driftFix.marketId === 'M2' && driftFix.month === 0 && driftFix.label.endsWith('(Y)'));
+
+  // Test: plans are keyed by year and cohesion can evaluate any year
+  assert('analyseCohesion(state, 2026) sees an empty calendar', analyseCohesion(testState, 2026).byMarket['M1'].stats.monthsPlanned === 0);
+
+  // Test: overlapping flights — a hero spilling into April covers Q2, same-month repeats count once
+  const overlap = analyseCohesion({ ...testState, plans: { 2025: { M1: { 2: [P('H', 2, { start: '2025-03-20', end: '2025-04-10' }), P('S', 2)], 3: [P('H', 3)] } } } });
+  assert('Cohesion counts a flight in every month it overlaps', overlap.byMarket['M1'].stats.monthsPlanned === 2 && !overlap.byMarket['M1'].issues.some(i => i.message.includes('Q2')));
+  assert('Cohesion counts a hero once per month, not per flight', overlap.byMarket['M1'].issues.some(i => i.message.includes('repeats 2×')));
+  assert('Cohesion reports months with concurrent concepts', overlap.byMarket['M1'].stats.overlapMonths === 1);
+
+  // Test: pillars — weights become shares, quarters report their mix and dark pillars
+  const pillarState = { ...testState, pillars: ['Craft', 'Service', 'Eco'],
+    concepts: [{ id:'H', name:'Hero X', role:'Hero', tags:[], color:'#000', pillars: { Craft: 3, Service: 1, Gone: 5 } }, { id:'S', name:'Support Y', role:'Support', tags:[], color:'#fff', pillars: { Eco: 1 } }],
+    plans: { 2025: { M1: { 0: [P('H', 0)], 1: [P('S', 1)], 3: [P('H', 3)] } } } };
+  assert('conceptPillarShares normalises weights over known pillars', JSON.stringify(conceptPillarShares(pillarState.concepts[0], pillarState.pillars)) === JSON.stringify({ Craft: 0.75, Service: 0.25 }));
+  const pb = pillarBalance(pillarState);
+  assert('pillarBalance mixes concept-months per quarter', pb.linked && pb.byMarket.M1.quarters[0].mix.Eco === 50 && pb.byMarket.M1.quarters[0].mix.Craft === 38 && pb.byMarket.M1.quarters[0].dark.length === 0);
+  assert('pillarBalance reports pillars dark in an active quarter only', pb.byMarket.M1.quarters[1].dark.join() === 'Eco' && pb.byMarket.M1.quarters[2].dark.length === 0);
+  const darkQ2 = analyseCohesion({ ...pillarState, cohesionRules: [pillarRule()] }).byMarket.M1.issues;
+  assert('pillarEveryQuarter flags the dark pillar and suggests a concept carrying it', darkQ2.length === 1 && darkQ2[0].message.includes('Eco') && darkQ2[0].fixes[0].patch.conceptId === 'S' && darkQ2[0].fixes[0].month === 4);
+  assert('pillarEveryQuarter stays quiet until concepts express pillars', analyseCohesion({ ...testState, pillars: ['Craft'], cohesionRules: [pillarRule()] }).byMarket.M1.score === 100);
+  const faint = { ...pillarState, concepts: [{ ...pillarState.concepts[0], pillars: { Craft: 300, Eco: 1 } }, pillarState.concepts[1]], cohesionRules: [pillarRule()] };
+  const faintQ2 = pillarBalance(faint).byMarket.M1.quarters[1];
+  assert('A share that rounds to 0% is not dark', faintQ2.mix.Eco === 0 && !faintQ2.dark.includes('Eco') && !analyseCohesion(faint).byMarket.M1.issues.some(i => i.message.includes('Eco')));
+  const renamedPillar = setPillars(pillarState, ['Crafted', 'Service', 'Eco']);
+  assert('setPillars carries weights over a rename in place', JSON.stringify(renamedPillar.concepts[0].pillars) === JSON.stringify({ Crafted: 3, Service: 1 }) && renamedPillar.concepts[1].pillars.Eco === 1);
+  const droppedPillar = setPillars(pillarState, ['Service', 'Eco']);
+  assert('setPillars drops weights of removed pillars', JSON.stringify(droppedPillar.concepts[0].pillars) === JSON.stringify({ Service: 1 }) && findOrphans(droppedPillar).length === 0);
+  assert('findOrphans reports weights for unknown pillars and repairOrphans drops them', findOrphans(pillarState).filter(o => o.kind === 'pillar').map(o => o.id).join() === 'Gone' && !('Gone' in repairOrphans(pillarState).concepts[0].pillars));
+
+  // Test: tribe analysis — reach, quarterly gaps, channel fit and fatigue
+  const tribeState = { ...testState, markets: [{ id:'M1', name:'X' }, { id:'M2', name:'Y' }],
+    tribes: [{ id:'a', name:'Tribe A', channels: ['IG', 'Search (intent)'] }, { id:'b', name:'Tribe B', channels: ['Email'] }],
+    plans: { 2025: { M1: { 0: [P('H', 0, { start: '2025-01-01', end: '2025-06-30', tribes: ['a'], channels: ['IG Reels'] })] },
+      M2: { 1: [P('S', 1, { tribes: ['a', 'b'], channels: ['Google Search', 'TV'] })] } } } };
+  const tr = analyseTribes(tribeState);
+  assert('analyseTribes lists the markets reaching a tribe each month', tr.byTribe.a.months[1].join() === 'M1,M2' && tr.byTribe.a.byMarket.M1 === 6);
+  assert('analyseTribes reports quarters a tribe is unreached', tr.gaps.some(g => g.message === 'Tribe B unreached in Q2') && tr.gaps.some(g => g.tribeId === 'b' && g.quarter === 1 && g.marketIds.join() === 'M1'));
+  assert('channelsMatch compares free-text channel names', channelsMatch('IG Reels', 'IG') && channelsMatch('Google Search', 'Search (intent)') && channelsMatch('Instagram', 'IG') && !channelsMatch('TV', 'Email'));
+  const m2Fit = tr.fit.placements.find(x => x.marketId === 'M2').fit;
+  assert('Channel fit scores the share of tribes reached on a preferred channel', tr.fit.byMarket.M1 === 100 && m2Fit.score === 50 && m2Fit.missed.join() === 'b' && m2Fit.offChannels.join() === 'TV');
+  assert('analyseTribes warns when one market targets a tribe month after month', tr.fatigue.length === 1 && tr.fatigue[0].marketId === 'M1' && tr.fatigue[0].months.length === 6);
+
+  // Test: flight helpers
+  assert('shiftFlight keeps day and length', JSON.stringify(shiftFlight({ start: '2025-01-15', end: '2025-01-24' }, 2025, 5)) === JSON.stringify({ start: '2025-06-15', end: '2025-06-24' }));
+  assert('clampFlight keeps flights inside the year', clampFlight({ start: '2025-12-20', end: '2026-01-10' }, 2025).end === '2025-12-31');
+  assert('flightSpan covers half of a 30-day month', Math.round(flightSpan({ start: '2025-06-16', end: '2025-06-30' }, 2025, 5).width) === 50);
+
+  // Test: ISO weeks — numbering, the weeks of a year, and snapping while moving/resizing
+  assert('isoWeek follows ISO 8601 at year boundaries', isoWeek('2025-01-01') === 1 && isoWeek('2021-01-03') === 53 && weekStart('2025-01-01') === '2024-12-30');
+  assert('yearWeeks spans Monday to Sunday', yearWeeks(2025).length === 53 && yearWeeks(2025)[1].start === '2025-01-06');
+  assert('nudgeFlight snaps and moves by whole weeks', JSON.stringify(nudgeFlight({ start: '2025-01-08', end: '2025-01-20' }, 2025, 'move', 2)) === JSON.stringify({ start: '2025-01-20', end: '2025-02-09' }));
+  assert('nudgeFlight keeps at least one week when resizing', nudgeFlight({ start: '2025-03-03', end: '2025-03-16' }, 2025, 'end', -5).end === '2025-03-09');
+  assert('nudgeFlight stays inside the plan year', nudgeFlight({ start: '2025-12-01', end: '2025-12-21' }, 2025, 'move', 4).end === '2025-12-31');
+
+  // Test: placement edits file flights under their start month
+  const added = applyPlacementPatch(testState, 'M1', 0, { conceptId: 'S' }, 'NEW');
+  assert('applyPlacementPatch appends a second placement', added.plans[2025].M1[0].length === 2 && added.plans[2025].M1[0][1].end === '2025-01-31');
+  const refiled = applyPlacementPatch(added, 'M1', 0, { start: '2025-02-10', end: '2025-02-20' }, 'NEW');
+  assert('applyPlacementPatch refiles a flight moved to another month', refiled.plans[2025].M1[0].length === 1 && refiled.plans[2025].M1[1][0].id === 'NEW');
+  assert('removePlacement without id clears the month', !removePlacement(added, 'M1', 0).plans[2025].M1[0]);
+
+  // Test: migrations upgrade bare v1/v2 saves and envelopes, and refuse what they cannot read
+  const v1 = migrateState({ year: 2024, northStar: '', concepts: [], markets: [{ id:'M1', name:'X' }], plan: { M1: { 0: { conceptId: 'H' }, 1: {} } }, cohesionRules: { minMonthsPlanned: 6 } });
+  assert('migrateState lifts v1 plan under its year', v1.plans[2024].M1[0][0].conceptId === 'H' && !('plan' in v1));
+  assert('migrateState turns cells into dated placements', v1.plans[2024].M1[0][0].start === '2024-01-01' && v1.plans[2024].M1[0][0].end === '2024-01-31' && !v1.plans[2024].M1[1]);
+  const ruleOf = (st, type) => st.cohesionRules.find(r => r.type === type);
+  assert('migrateState v1 adds tribes and keeps custom rules', v1.tribes.length === 5 && ruleOf(v1, 'minMonthsPlanned').params.min === 6 && ruleOf(v1, 'minHeroRepeats').params.min === 3);
+  assert('migrateState unwraps current envelopes untouched', migrateState(wrapState(testState)).plans[2025].M1[0][0].conceptId === 'H');
+  const throws = (fn) => { try { fn(); return false; } catch (e) { return e instanceof MigrationError; } };
+  assert('migrateState rejects newer schema versions', throws(() => migrateState({ schemaVersion: SCHEMA_VERSION + 1, state: testState })));
+  assert('migrateState rejects non-objects and shapeless saves', throws(() => migrateState([])) && throws(() => migrateState({ year: 2025 })));
+
+  // Test: import validation reports problems by path
+  const { cohesionRules: _omit, ...noRules } = testState;
+  const vIssues = validateState({ ...noRules, concepts: [{ id:'H', name:'Hero X', role:'Lead', color:'#000' }] });
+  assert('validateState flags missing cohesionRules', vIssues.some(i => i.path === 'cohesionRules' && i.level === 'error'));
+  assert('validateState flags bad concept role by path', vIssues.some(i => i.path === 'concepts[0].role'));
+  assert('validateState accepts fragments in partial mode', validateState({ concepts: testState.concepts }, { partial: true }).length === 0);
+  const misfiled = validateState({ plans: { 2025: { M1: { 1: [P('H', 0)] } } } }, { partial: true, known: testState });
+  assert('validateState flags flights filed under the wrong month', misfiled.some(i => i.path === 'plans.2025.M1.1[0].start'));
+
+  // Test: merge matches by name and remaps references; market mode copies one plan
+  const incoming = { concepts: [{ id:'H2', name:'hero x', role:'Hero', color:'#fff' }, { id:'N', name:'New', role:'Support', color:'#111' }],
+    plans: { 2025: { M9: { 4: [P('H2', 4)] } } }, markets: [{ id:'M9', name:'X' }] };
+  const merged = applyImport(testState, incoming, 'merge');
+  assert('applyImport merge matches concepts by name', merged.concepts.length === 3 && merged.plans[2025].M1[4][0].conceptId === 'H');
+  assert('applyImport merge keeps existing placements', merged.plans[2025].M1[0][0].conceptId === 'H');
+  const one = applyImport(testState, incoming, 'market', { sourceMarketId: 'M9', targetMarketId: 'M1' });
+  assert('applyImport market mode replaces the target plan', one.plans[2025].M1[4][0].conceptId === 'H' && !one.plans[2025].M1[0]);
+  assert('summariseChanges counts placements', summariseChanges(testState, merged).placements.added === 1);
+  const twoMarkets = { ...testState, markets: [...testState.markets, { id:'M2', name:'Y' }] };
+  const marketCopy = applyImport(twoMarkets, { plans: testState.plans, markets: testState.markets }, 'market', { sourceMarketId: 'M1', targetMarketId: 'M2' });
+  assert('applyImport market mode gives marketCopy placements new ids', marketCopy.plans[2025].M2[0][0].id !== 'pH0' && marketCopy.plans[2025].M1[0][0].id === 'pH0');
+  const elsewhere = applyImport(twoMarkets, { markets: [{ id:'M2', name:'Y' }], plans: { 2025: { M2: { 0: [P('S', 0, { id: 'pH0' })] } } } }, 'merge');
+  assert('applyImport merge re-ids placements that clash with another market', elsewhere.plans[2025].M2[0][0].id !== 'pH0' && elsewhere.plans[2025].M1[0][0].id === 'pH0');
+  const remonthed = applyImport(testState, { markets: testState.markets, plans: { 2025: { M1: { 1: [P('H', 1, { id: 'pH0' })] } } } }, 'merge');
+  assert('applyImport merge upserts a placement that moved month', allPlacements(remonthed.plans[2025].M1).filter(pl => pl.id === 'pH0').length === 1 && remonthed.plans[2025].M1[1][0].id === 'pH0');
+  const withAssets = applyImport(testState, { assetCatalog: [{ id:'kv', name:'key visual', channels: [] }], plans: { 2025: { M1: { 5: [P('H', 5, { assets: { kv: { status: 'approved' } } })] } } } }, 'merge');
+  assert('applyImport merge matches assets by name and rekeys checklists', withAssets.assetCatalog.length === DEFAULT_ASSET_CATALOG.length && withAssets.plans[2025].M1[5][0].assets.a_key_visual.status === 'approved');
+  const tasks = assetTasks({ ...testState, plans: { 2025: { M1: { 2: [P('H', 2, { channels: ['PR'], assets: { a_approvals: { status: 'in_review', owner: 'Ana' } } })] } } } }, { today: '2025-02-05' });
+  const task = (id) => tasks.find(t => t.asset.id === id);
+  assert('assetTasks lists the assets each placement needs, earliest due first', tasks.length === 4 && tasks[0].asset.id === 'a_key_visual' && task('a_approvals').owner === 'Ana');
+  assert('assetTasks flags overdue and at-risk assets', task('a_key_visual').overdue && task('a_pr_note').atRisk && !task('a_approvals').atRisk && !task('a_approvals').overdue);
+
+  // Test: budgets — conversion via USD, envelopes per market and quarter
+  const money = { ...testState, markets: [{ id:'M1', name:'X', currency:'MXN' }], fx: { reporting: 'USD', rates: { USD: 1, MXN: 0.05, CAD: 0.75 } },
+    budgets: { 2025: { M1: { annual: 1000, quarters: [100, 300, 300, 300] } } }, plans: { 2025: { M1: { 0: [P('H', 0, { budget: 150 })], 4: [P('S', 4, { budget: 50 })] } } } };
+  assert('convert goes through USD and returns null without a rate', convert(money, 100, 'MXN', 'CAD') === 100 * 0.05 / 0.75 && convert(money, 1, 'EUR') === null);
+  const bc = budgetCheck(money).byMarket.M1;
+  assert('budgetCheck attributes spend to the quarter a flight starts in', bc.allocated.quarters[0] === 150 && bc.allocated.quarters[1] === 50 && bc.allocated.annual === 200);
+  assert('budgetCheck flags an over-allocated quarter', bc.issues.some(i => i.level === 'error' && i.message.startsWith('Q1')));
+  assert('budgetCheck warns about under-allocation', bc.issues.some(i => i.level === 'warning' && i.message.startsWith('Under')));
+  assert('budgetCheck totals convert into the reporting currency', budgetCheck(money).totals.allocated === 200 * 0.05 && budgetCheck(money).totals.envelope === 1000 * 0.05);
+  const mismatch = budgetCheck({ ...money, budgets: { 2025: { M1: { annual: 900, quarters: [200, 300, 300, 300] } } } }).byMarket.M1;
+  assert('budgetCheck warns when quarters do not add up', mismatch.issues.some(i => i.message.includes('add up')) && !mismatch.issues.some(i => i.level === 'error'));
+  assert('budgetCheck uses quarter envelopes when no annual is set', budgetCheck({ ...money, budgets: { 2025: { M1: { quarters: [100] } } } }).byMarket.M1.issues.some(i => i.message.startsWith('Over')));
+  assert('migration v5 → v6 keeps old budgets in USD and adds an FX table', v1.markets[0].currency === 'USD' && v1.fx.reporting === 'USD' && v1.fx.rates.MXN > 0);
+  const v11 = migrateState({ schemaVersion: 11, state: { ...testState, markets: [{ id:'M1', name:'X', region:'MX', currency:'MXN' }, { id:'M2', name:'Y' }] } });
+  assert('migration v11 → v12 keeps the old region text as the market code and starts without regions', v11.regions.length === 0 && v11.markets[0].code === 'MX' && !('region' in v11.markets[0]) && !('code' in v11.markets[1]));
+  const v10 = migrateState({ schemaVersion: 10, state: { ...testState, assetCatalog: [{ id: 'a_pr_note', name: 'PR Note', channels: ['PR'] }, { id: 'x', name: 'Poster', channels: [] }],
+    plans: { 2025: { M1: { 0: [P('H', 0, { assets: { a_pr_note: true, x: false, y: { status: 'in_review' } } })] } } } } });
+  assert('migration v10 → v11 turns ticks into approvals and adds lead times', JSON.stringify(v10.plans[2025].M1[0][0].assets) === JSON.stringify({ a_pr_note: { status: 'approved' }, y: { status: 'in_review' } }) && v10.assetCatalog[0].leadDays === 21 && v10.assetCatalog[1].leadDays === DEFAULT_LEAD_DAYS);
+  const v9 = migrateState({ schemaVersion: 9, state: { ...testState, assetCatalog: undefined, plans: { 2025: { M1: { 0: [P('H', 0, { assets: { 'Key Visual': true, a_pr_note: true } })] } } } } });
+  assert('migration v9 → v10 adds the catalogue and keys checklists by asset id', v9.assetCatalog.length === DEFAULT_ASSET_CATALOG.length && JSON.stringify(v9.plans[2025].M1[0][0].assets) === JSON.stringify({ a_key_visual: { status: 'approved' }, a_pr_note: { status: 'approved' } }));
+  assert('migration v8 → v9 appends the pillar rule once', migrateState({ schemaVersion: 8, state: { ...testState, cohesionRules: rulesFromThresholds().filter(r => r.id !== 'r_pillars') } }).cohesionRules.filter(r => r.type === 'pillarEveryQuarter').length === 1);
+  assert('migration v7 → v8 appends portfolio rules once', migrateState({ schemaVersion: 7, state: { ...testState, cohesionRules: rulesFromThresholds().slice(0, 2) } }).cohesionRules.filter(r => RULE_TYPES[r.type].scope === 'portfolio').length === 3);
+  assert('migration v6 → v7 turns rule thresholds into rule records', migrateState({ schemaVersion: 6, state: { ...testState, cohesionRules: { minRepeatsPerHero: 2 } } }).cohesionRules.find(r => r.type === 'minHeroRepeats').params.min === 2);
+  assert('validateState rejects non-positive FX rates', validateState({ fx: { reporting: 'USD', rates: { USD: 1, MXN: 0 } } }, { partial: true }).some(i => i.path === 'fx.rates.MXN'));
+  const split = { ...money, plans: { 2025: { M1: { 3: [P('H', 3, { budget: 100, channels: ['Meta', 'Search'], channelBudgets: { Meta: 60, Search: 20 } })], 6: [P('S', 6, { budget: 40, channels: ['Meta'], channelBudgets: { Meta: 40 } })] } } } };
+  assert('channelSplit reports the unsplit remainder', channelSplit(split.plans[2025].M1[3][0]).unallocated === 20);
+  const spend = channelSpend(split);
+  assert('channelSpend ranks channels and converts to the reporting currency', spend.rows[0].channel === 'Meta' && spend.rows[0].total === 100 * 0.05 && spend.rows[0].byMarket.M1[1] === 60 * 0.05);
+  assert('channelSpend reports unsplit budget as Unallocated', spend.rows.some(r => r.channel === UNALLOCATED_CHANNEL && r.quarters[1] === 20 * 0.05));
+  const overSplit = { ...split, plans: { 2025: { M1: { 3: [P('H', 3, { budget: 50, channels: ['Meta'], channelBudgets: { Meta: 60 } })] } } } };
+  assert('budgetCheck flags a channel split above the placement budget', budgetCheck(overSplit).byMarket.M1.issues.some(i => i.level === 'error' && i.message.includes('split')));
+  assert('rollForward copies budget envelopes into the next year', rollForward(money).budgets[2026].M1.annual === 1000);
+
+  // Test: history records, coalesces same-label edits, and truncates redo on a new edit
+  let h = createHistory({ n: 0 });
+  h = pushHistory(h, { n: 1 }, 'Edit notes', { now: 1000 });
+  h = pushHistory(h, { n: 2 }, 'Edit notes', { now: 1500 });
+  assert('pushHistory coalesces rapid same-label edits', h.entries.length === 2 && h.entries[1].state.n === 2);
+  h = pushHistory(h, { n: 3 }, 'Clear Jan', { now: 5000 });
+  h = jumpHistory(h, h.index - 1);
+  assert('jumpHistory moves the cursor back', h.entries[h.index].state.n === 2);
+  h = pushHistory(h, { n: 4 }, 'Add concept', { now: 9000 });
+  assert('pushHistory drops the redo branch', h.entries.length === 3 && h.entries[2].state.n === 4);
+  assert('pushHistory with record:false rewrites in place', pushHistory(h, { n: 5 }, 'Prepare plan', { record: false }).entries.length === 3);
+
+  // Test: scenarios branch, switch and diff with cohesion deltas
+  const v4 = migrateState(testState);
+  assert('migration v3 → v4 creates a base scenario', v4.scenarios.length === 1 && v4.scenarios[0].id === v4.scenarioId);
+  let sc = duplicateScenario(v4, v4.scenarioId, 'Alt');
+  const altId = sc.scenarios[1].id;
+  sc = switchScenario(sc, altId);
+  sc = { ...sc, plans: { 2025: { M1: { 0: [P('H', 0)], 3: [P('H', 3, { budget: 500 })] } } } };
+  assert('switchScenario parks the previous branch', sc.scenarioId === altId && !scenarioData(sc, v4.scenarioId).plans[2025].M1[3]);
+  const d = diffScenarios(scenarioData(sc, v4.scenarioId), scenarioData(sc, altId), 2025);
+  assert('diffScenarios lists changed months', d.rows.length === 1 && d.rows[0].month === 3 && d.rows[0].changes.some(c => c.field === 'Budget'));
+  assert('diffScenarios reports a cohesion delta', d.scores.delta > 0 && d.scores.byMarket.M1.delta === d.scores.delta);
+  assert('switchScenario round-trips', switchScenario(sc, v4.scenarioId).plans[2025].M1[0][0].conceptId === 'H' && !switchScenario(sc, v4.scenarioId).scenarios[0].data);
+
+  // Test: matrix edits — moves shift the flight, copies drop assets, bulk copy respects overwrite
+  const two = { ...testState, markets: [{ id:'M1', name:'X' }, { id:'M2', name:'Y' }],
+    plans: { 2025: { M1: { 0: [P('H', 0, { start: '2025-01-10', assets: { a_key_visual: { status: 'approved' } } })], 1: [P('S', 1)] }, M2: { 5: [P('S', 5)] } } } };
+  const moved = movePlacement(two, { marketId:'M1', month:0, placementId:'pH0' }, { marketId:'M1', month:1 });
+  assert('movePlacement stacks onto an occupied month', !moved.plans[2025].M1[0] && moved.plans[2025].M1[1].length === 2);
+  assert('movePlacement keeps the flight day and assets', moved.plans[2025].M1[1][1].start === '2025-02-10' && moved.plans[2025].M1[1][1].assets.a_key_visual);
+  const copied = movePlacement(two, { marketId:'M1', month:0, placementId:'pH0' }, { marketId:'M2', month:0 }, { copy: true });
+  assert('movePlacement copy keeps the source and drops assets', copied.plans[2025].M1[0][0].id === 'pH0' && copied.plans[2025].M2[0][0].id !== 'pH0' && Object.keys(copied.plans[2025].M2[0][0].assets).length === 0);
+  assert('copyMarketPlan keeps planned months without overwrite', copyMarketPlan(two, 'M1', ['M2'], { overwrite: false }).plans[2025].M2[5][0].conceptId === 'S');
+  assert('copyMarketPlan replaces the calendar with overwrite', !copyMarketPlan(two, 'M1', ['M2']).plans[2025].M2[5] && copyMarketPlan(two, 'M1', ['M2']).plans[2025].M2[1][0].conceptId === 'S');
+
+  // Test: auto-planner keeps locked months, improves the score and respects envelopes (long
+  // flights lock most of the year, so each search only has a few months to try)
+  const autoBase = { ...testState, markets: [{ id:'M1', name:'X' }, { id:'M2', name:'Y' }], tribes: [{ id:'a' }, { id:'b' }, { id:'c' }],
+    concepts: [...testState.concepts, { id:'H2', name:'Hero Z', role:'Hero', tags:[], color:'#111' }],
+    plans: { 2025: { M1: { 0: [P('H', 0)], 5: [P('S', 5, { end: '2025-12-31' })] }, M2: { 0: [P('S', 0, { end: '2025-04-30' })], 7: [P('S', 7, { end: '2025-12-31' })] } } },
+    budgets: { 2025: { M1: { quarters: [1000, 0, 0, 0] } } },
+    cohesionRules: rulesFromThresholds().map(r => (r.type === 'minTribesPerQuarter' ? { ...r, enabled: true } : r)) };
+  const cands = autoPlan(autoBase, { count: 2, seed: 1, steps: 12 });
+  const autoM1 = cands[0].byMarket.M1.additions;
+  assert('autoPlan returns ranked candidates that beat the current plan', cands.length >= 1 && cands[0].overall > analyseCohesion(autoBase).overall && cands.every((c, i) => !i || c.overall <= cands[i - 1].overall));
+  assert('autoPlan never fills a locked month', cands.every(c => c.byMarket.M1.additions.every(pl => [1, 2, 3, 4].includes(monthOfDate(pl.start))) && c.byMarket.M2.additions.every(pl => [4, 5, 6].includes(monthOfDate(pl.start)))) && acceptCandidate(autoBase, cands[0], 'M1').plans[2025].M1[0][0].id === 'pH0');
+  assert('autoPlan splits what is left of the quarter envelope', autoM1.length && autoM1.reduce((a, pl) => a + (pl.budget || 0), 0) <= 1000);
+  assert('autoPlan leaves quarters with a spent envelope empty', !autoM1.some(pl => monthOfDate(pl.start) >= 3));
+  const autoM2 = cands.map(c => c.byMarket.M2.additions);
+  assert('autoPlan keeps a placement in every quarter short of tribes and spreads them', autoM2.every(list => [2, 3].every(q => new Set(list.filter(pl => quarterOf(monthOfDate(pl.start)) === q).flatMap(pl => pl.tribes)).size >= 2)));
+  assert('acceptCandidate applies one market only', !acceptCandidate(autoBase, cands[0], 'M1').plans[2025].M2[4]);
+  const annualOnly = { ...autoBase, markets: [{ id:'M1', name:'X' }], budgets: { 2025: { M1: { annual: 1000 } } },
+    plans: { 2025: { M1: { 0: [P('H', 0, { budget: 900 })], 5: [P('S', 5, { end: '2025-12-31' })] } } } };
+  const annualCands = autoPlan(annualOnly, { count: 1, seed: 1, steps: 8 });
+  const annualFill = acceptCandidate(annualOnly, annualCands[0]);
+  assert('autoPlan keeps within what is left of an annual-only envelope', allocatedBudget(annualFill, 'M1').annual > 900 && allocatedBudget(annualFill, 'M1').annual <= 1000 && !budgetCheck(annualFill).byMarket.M1.issues.some(i => i.level === 'error'));
+  const picks = (list) => JSON.stringify(list.map(c => [c.overall, Object.values(c.byMarket).map(r => r.additions.map(pl => pl.conceptId))]));
+  autoPlanInSlices(annualOnly, { count: 1, seed: 1, steps: 8 })
+    .then(sliced => assert('autoPlanInSlices finds the same candidates as autoPlan', picks(sliced) === picks(annualCands)));
+  const stopped = new AbortController();
+  stopped.abort();
+  autoPlanInSlices(autoBase, { count: 2, seed: 1, steps: 12 }, { signal: stopped.signal })
+    .then(sliced => assert('autoPlanInSlices gives up once aborted', sliced === null));
+
+  // Test: deleting an entity reassigns or clears what references it
+  const ent = { ...testState, fx: { reporting: 'USD', rates: { USD: 1, EUR: 2 } },
+    markets: [{ id:'M1', name:'X', currency:'EUR' }, { id:'M2', name:'Y', currency:'USD' }], tribes: [{ id:'a' }, { id:'b' }],
+    plans: { 2025: { M1: { 0: [P('H', 0, { tribes: ['a', 'b'], budget: 100 })] }, M2: { 0: [P('S', 0, { tribes: ['b'] })] } } },
+    budgets: { 2025: { M1: { quarters: [500, 0, 0, 0] } } } };
+  assert('entityUsage counts placements across markets', entityUsage(ent, 'tribes', 'b') === 2 && entityUsage(ent, 'markets', 'M1') === 1 && entityUsage(ent, 'concepts', 'H') === 1);
+  const noH = deleteEntity(ent, 'concepts', 'H', { reassignTo: 'S' });
+  assert('Deleting a concept reassigns its placements', !noH.concepts.some(c => c.id === 'H') && noH.plans[2025].M1[0][0].conceptId === 'S');
+  assert('Deleting a concept without a target clears it', !('conceptId' in deleteEntity(ent, 'concepts', 'H').plans[2025].M1[0][0]));
+  assert('Deleting a tribe merges into the target without duplicates', deleteEntity(ent, 'tribes', 'a', { reassignTo: 'b' }).plans[2025].M1[0][0].tribes.join() === 'b');
+  assert('Deleting a tribe without a target drops it', deleteEntity(ent, 'tribes', 'b').plans[2025].M2[0][0].tribes.length === 0);
+  const noM1 = deleteEntity(ent, 'markets', 'M1', { reassignTo: 'M2' });
+  assert('Deleting a market refiles its placements with converted budgets', !noM1.plans[2025].M1 && noM1.plans[2025].M2[0].length === 2 && noM1.plans[2025].M2[0].some(pl => pl.budget === 200));
+  assert('Deleting a market moves its envelope to a target without one', noM1.budgets[2025].M2.quarters[0] === 500 && !noM1.budgets[2025].M1);
+  assert('Deleting a market without a target drops its plan and envelope', !deleteEntity(ent, 'markets', 'M1').plans[2025].M1 && !deleteEntity(ent, 'markets', 'M1').budgets[2025].M1);
+
+  // Test: integrity check finds and repairs orphaned references
+  const broken = { ...ent, tribes: [{ id:'a' }], concepts: testState.concepts.filter(c => c.id === 'S'),
+    plans: { 2025: { ...ent.plans[2025], M1: { 0: [{ ...ent.plans[2025].M1[0][0], assets: { a_gone: { status: 'approved' }, a_key_visual: { status: 'approved' } } }] }, M9: { 1: [P('S', 1)] } } },
+    budgets: { 2025: { M9: { quarters: [1, 0, 0, 0] } } } };
+  const orphans = findOrphans(broken);
+  assert('findOrphans reports unknown concepts, tribes, assets and markets', ['concept', 'tribe', 'asset', 'market'].every(k => orphans.some(o => o.kind === k)) && orphans.filter(o => o.kind === 'market').length === 2);
+  const repaired = repairOrphans(broken);
+  assert('repairOrphans leaves nothing to report', findOrphans(repaired).length === 0 && findOrphans(ent).length === 0);
+  assert('repairOrphans keeps valid references', repaired.plans[2025].M1[0][0].tribes.join() === 'a' && repaired.plans[2025].M1[0][0].assets.a_key_visual && repaired.plans[2025].M2[0][0].conceptId === 'S');
+
+  // Test: regions filter the markets and roll up cohesion, budget, readiness and tribe coverage
+  const regional = { ...testState, fx: { reporting: 'USD', rates: { USD: 1, MXN: 0.05 } }, tribes: [{ id:'a' }, { id:'b' }],
+    regions: [{ id:'NA', name:'North America' }, { id:'LA', name:'LATAM' }, { id:'EU', name:'Europe' }],
+    markets: [{ id:'M1', name:'X', regionId:'NA', currency:'USD' }, { id:'M2', name:'Y', regionId:'NA', currency:'MXN' }, { id:'M3', name:'Z', regionId:'LA' }, { id:'M4', name:'W' }],
+    plans: { 2025: { M1: { 0: [P('H', 0, { tribes: ['a'], budget: 100 })] }, M2: { 0: [P('H', 0, { budget: 1000 })], 3: [P('S', 3, { tribes: ['a', 'gone'] })] } } },
+    budgets: { 2025: { M1: { annual: 500 }, M2: { annual: 10000 } } } };
+  const naIds = regionMarketIds(regional, 'NA');
+  assert('regionMarketIds lists the region’s markets, or null for no or an unknown region', naIds.join() === 'M1,M2' && regionMarketIds(regional, 'nope') === null && regionMarketIds(regional) === null);
+  assert('onlyMarkets keeps the filtered markets and the rest of the state', onlyMarkets(regional, naIds).markets.map(m => m.id).join() === 'M1,M2' && onlyMarkets(regional, naIds).plans === regional.plans && onlyMarkets(regional, null) === regional);
+  const rollup = regionRollup(regional);
+  const na = rollup.find(r => r.regionId === 'NA');
+  const coh2 = analyseCohesion(regional);
+  assert('regionRollup leaves out regions without markets and gathers markets without one', rollup.map(r => r.name).join() === `North America,LATAM,${NO_REGION}`);
+  assert('regionRollup averages market cohesion scores', na.score === Math.round((coh2.byMarket.M1.score + coh2.byMarket.M2.score) / 2));
+  assert('regionRollup sums budgets in the reporting currency', na.budget.allocated === 100 + 1000 * 0.05 && na.budget.envelope === 500 + 10000 * 0.05);
+  assert('regionRollup reports readiness and tribe coverage', na.readiness.total === 3 * DEFAULT_ASSET_CATALOG.length && na.tribes.reached === 1 && na.tribes.total === 2);
+  const noNA = deleteEntity(regional, 'regions', 'NA', { reassignTo: 'LA' });
+  assert('Deleting a region moves or unassigns its markets', noNA.markets.filter(m => m.regionId === 'LA').length === 3 && !deleteEntity(regional, 'regions', 'NA').markets.some(m => 'regionId' in m && m.regionId === 'NA'));
+  const lostRegion = { ...regional, regions: regional.regions.slice(1) };
+  assert('findOrphans reports markets in an unknown region and repairOrphans unassigns them', findOrphans(lostRegion).filter(o => o.kind === 'region').length === 2 && !repairOrphans(lostRegion).markets.some(m => m.regionId === 'NA'));
+
+  // Test: spreadsheet export keeps a stable column order and quotes CSV safely
+  const sheets = planSheets(regional);
+  const rowsOut = sheets[0].rows;
+  assert('planRows gives one row per placement with concept, tribes and readiness', rowsOut.length === 3 && rowsOut[0].market === 'X' && rowsOut[0].region === 'North America' && rowsOut[0].concept === 'Hero X' && rowsOut[0].role === 'Hero' && rowsOut[0].tribes === 'a' && rowsOut[0].readiness === 0);
+  assert('planRows converts budgets into the reporting currency', rowsOut[1].budget === 1000 && rowsOut[1].currency === 'MXN' && rowsOut[1].budgetReporting === 50);
+  assert('Plan CSV header follows PLAN_COLUMNS', toCSV(PLAN_COLUMNS, []).startsWith('Year,Region,Market,Market code,Month,Start,End,Concept,Role,Tribes,Channels,Budget,Currency,'));
+  assert('toCSV quotes commas, quotes and line breaks', toCSV([{ key:'a', header:'A' }, { key:'b', header:'B' }], [{ a: 'x, "y"', b: 'line\nbreak' }, { a: null, b: 3 }]) === 'A,B\r\n"x, ""y""","line\nbreak"\r\n,3\r\n');
+  assert('issueRows lists market issues then the portfolio with points lost', sheets[1].rows.length === [...Object.values(coh2.byMarket), coh2.portfolio].reduce((a, r) => a + r.issues.length, 0) && sheets[1].rows.at(-1).market === (coh2.portfolio.issues.length ? PORTFOLIO_LABEL : 'W') && sheets[1].rows.every(r => typeof r.points === 'number'));
+  assert('crc32 matches the standard check value', crc32(new TextEncoder().encode('123456789')) === 0xcbf43926);
+  assert('columnLetter counts like a spreadsheet', columnLetter(0) === 'A' && columnLetter(25) === 'Z' && columnLetter(26) === 'AA' && columnLetter(701) === 'ZZ');
+  assert('toCSV defuses text that would run as a formula', toCSV([{ key:'a', header:'A' }], [{ a: '=HYPERLINK("x")' }, { a: '@SUM(1)' }, { a: -5 }]) === 'A\r\n"\'=HYPERLINK(""x"")"\r\n\'@SUM(1)\r\n-5\r\n');
+  assert('csvCell drops the formula guard on import', csvCell(["'=1+1"], { notes: 0 }, 'notes') === '=1+1' && csvCell(["'tis"], { notes: 0 }, 'notes') === "'tis");
+  assert('sheetXML keeps formula‑like text as quoted text', sheetXML({ columns: [{ key:'a', header:'A' }], rows: [{ a: '=1+1' }] }).includes('<c r="A2" t="inlineStr" s="2">'));
+  const xlsx = toXLSX(sheets);
+  const zipText = new TextDecoder().decode(xlsx);
+  assert('toXLSX packs a zip with the workbook, styles and one worksheet per sheet', xlsx[0] === 0x50 && xlsx[1] === 0x4b && zipText.includes('xl/worksheets/sheet2.xml') && zipText.includes('<sheet name="Cohesion issues"') && zipText.includes('<t xml:space="preserve">Hero X</t>'));
+
+  // Test: CSV import parses, maps, matches names and dry-runs rows with errors
+  assert('parseCSV handles quotes, CRLF, a BOM and semicolons', JSON.stringify(parseCSV('\uFEFFa;b\r\n"x;1";"say ""hi"""\r\n\r\n')) === JSON.stringify([['a', 'b'], ['x;1', 'say "hi"']]));
+  assert('guessMapping reads the plan export headers back', JSON.stringify(guessMapping(PLAN_COLUMNS.map(c => c.header))) === JSON.stringify({ market: 2, month: 4, start: 5, end: 6, concept: 7, channels: 10, tribes: 9, budget: 11, notes: 15 }));
+  assert('parseMonth reads names, numbers and ISO dates in the plan year', parseMonth('March', 2025).month === 2 && parseMonth('12', 2025).month === 11 && parseMonth('2025-06-15', 2025).month === 5 && parseMonth('2024-06-15', 2025).error && parseMonth('Smarch', 2025).error);
+  assert('parseAmount reads common money formats', parseAmount('$1,200.50') === 1200.5 && parseAmount('1.200,50') === 1200.5 && parseAmount('1,200,000') === 1200000 && parseAmount('12,5') === 12.5 && parseAmount('0.500') === 0.5 && parseAmount('') === null && Number.isNaN(parseAmount('1-2')));
+  assert('parseAmount treats comma and dot thousands groups alike', parseAmount('12,000') === 12000 && parseAmount('12.000') === 12000 && parseAmount('1.200.000') === 1200000);
+  const csvRows = parseCSV('Country,Mes,Campaign,Audience,Spend,Notes\nx,Feb,hero x,a; b,"1,000",Launch\nNew Land,13,Fresh idea,,abc,\n,Mar,,,,').slice(1);
+  const csvMap = guessMapping(['Country', 'Mes', 'Campaign', 'Audience', 'Spend', 'Notes']);
+  const csvBase = { ...testState, tribes: [{ id:'a', name:'Alpha' }, { id:'b', name:'B' }] };
+  const missing = unmatchedNames(csvBase, csvRows, csvMap);
+  assert('unmatchedNames lists names that match no existing entity', missing.markets.join() === 'New Land' && missing.concepts.join() === 'Fresh idea' && missing.tribes.join() === 'a');
+  const staged = stageCsvEntities(csvBase, missing, { tribes: { a: 'a' }, concepts: { 'fresh idea': 'skip' } });
+  assert('stageCsvEntities creates, aliases or skips each name', staged.state.markets.length === 2 && staged.state.concepts.length === 2 && staged.aliases.tribes.a === 'a');
+  const dry = previewCsvImport(staged.state, csvRows, csvMap, staged.aliases);
+  assert('previewCsvImport resolves a clean row into a placement patch', dry[0].errors.length === 0 && dry[0].marketId === 'M1' && dry[0].month === 1 && dry[0].patch.conceptId === 'H' && dry[0].patch.tribes.join() === 'a,b' && dry[0].patch.budget === 1000 && dry[0].line === 2);
+  assert('previewCsvImport reports every problem on its line', dry[1].errors.length === 3 && dry[1].errors.some(e => e.includes('13')) && dry[1].errors.some(e => e.includes('Fresh idea')) && dry[2].errors.includes('no market'));
+  const imported = applyCsvImport(csvBase, staged.state, dry);
+  assert('applyCsvImport adds only the rows without errors', allPlacements(imported.plans[2025].M1).length === 2 && imported.plans[2025].M1[1][0].notes === 'Launch');
+  assert('applyCsvImport creates no entity that only rows with errors name', imported.markets.length === 1 && !imported.markets.some(m => m.name === 'New Land'));
+  const newConcept = stageCsvEntities(csvBase, { markets: [], concepts: ['Fresh idea'], tribes: [] });
+  const freshRows = parseCSV('Country,Campaign,Mes\nx,Fresh idea,Apr').slice(1);
+  const fresh = applyCsvImport(csvBase, newConcept.state, previewCsvImport(newConcept.state, freshRows, guessMapping(['Country', 'Campaign', 'Mes'])));
+  assert('applyCsvImport creates the entities imported rows use', fresh.concepts.length === 3 && fresh.plans[2025].M1[3][0].conceptId === fresh.concepts[2].id);
+
+  const flightState = { ...testState, plans: { 2025: { M1: { 0: [P('H', 0, { start: '2025-01-10', end: '2025-01-20' })] } } } };
+  const exported = parseCSV(toCSV(PLAN_COLUMNS, planRows(flightState)));
+  const reimport = previewCsvImport(testState, exported.slice(1), guessMapping(exported[0]));
+  assert('an exported plan CSV imports back with its flight dates', reimport[0].errors.length === 0 && reimport[0].month === 0 && reimport[0].patch.start === '2025-01-10' && reimport[0].patch.end === '2025-01-20');
+  const startOnly = previewCsvImport(testState, [['x', '2025-03-05', '2025-02-01'], ['x', '2025-13-01', '']], { market: 0, start: 1, end: 2 });
+  assert('previewCsvImport takes the month from the flight start and checks the dates', startOnly[0].month === 2 && startOnly[0].errors.some(e => e.includes('before it starts')) && startOnly[1].errors.some(e => e.includes('not a date')));
+  const clash = previewCsvImport(testState, [['x', 'Jan', '2025-03-05'], ['x', 'Mar', '2025-03-05']], { market: 0, month: 1, start: 2 });
+  assert('previewCsvImport reports a month column that disagrees with the flight start', clash[0].errors.some(e => e.includes('outside its month Jan')) && clash[1].errors.length === 0);
+
+  // Test: calendar export has one event per placement and asset due date, with stable UIDs
+  const calState = { ...testState, tribes: [{ id:'a', name:'Alpha' }], markets: [{ id:'M1', name:'X' }, { id:'M2', name:'Y' }],
+    plans: { 2025: { M1: { 0: [P('H', 0, { start: '2025-01-06', end: '2025-01-26', tribes: ['a'], channels: ['PR'], notes: 'Launch; big, bold\nday' })] }, M2: { 3: [P('S', 3)] } } } };
+  const ics = toICS(calState, { now: new Date('2025-01-01T00:00:00Z') });
+  const events = ics.split('BEGIN:VEVENT').length - 1;
+  const prNeeds = requiredAssets(calState.assetCatalog, calState.plans[2025].M1[0][0]).length;
+  assert('toICS writes an event per placement and per asset due date', events === 2 + prNeeds + DEFAULT_ASSET_CATALOG.length && ics.startsWith('BEGIN:VCALENDAR\r\n') && ics.endsWith('END:VCALENDAR\r\n'));
+  assert('toICS spans the flight with an exclusive all-day end', ics.includes('DTSTART;VALUE=DATE:20250106\r\nDTEND;VALUE=DATE:20250127'));
+  const timeless = (text) => text.replace(/(DTSTAMP|SEQUENCE):\S+/g, '');
+  assert('toICS UIDs depend only on market, placement and asset ids', timeless(ics) === timeless(toICS(calState, { now: new Date('2026-05-05T10:00:00Z') })) && ics.includes('UID:M1-pH0@') && ics.includes('UID:M1-pH0-a_key_visual@'));
+  const sameIds = { ...calState, plans: { 2025: { ...calState.plans[2025], M2: { 0: [{ ...calState.plans[2025].M1[0][0] }] } } } };
+  const uids = toICS(sameIds).match(/^UID:.*$/gm);
+  assert('toICS keeps UIDs unique when markets share placement ids', uids.length === new Set(uids).size);
+  const sequenceOf = (text) => text.match(/UID:M1-pH0@\S*\r\nDTSTAMP:\S+\r\nSEQUENCE:(\d+)/)[1];
+  const reflown = { ...calState, plans: { 2025: { ...calState.plans[2025], M1: { 0: [{ ...calState.plans[2025].M1[0][0], end: '2025-01-28' }] } } } };
+  assert('toICS raises SEQUENCE with every later export', Number(sequenceOf(toICS(reflown, { now: new Date('2025-01-01T00:01:00Z') }))) > Number(sequenceOf(ics)) && Number(sequenceOf(toICS(calState, { now: new Date('2025-03-01T00:00:00Z') }))) > Number(sequenceOf(ics)) && Number(sequenceOf(ics)) < 2 ** 31);
+  assert('toICS escapes text and lists concept, tribes and channels', ics.includes('Notes: Launch\\; big\\, bold\\nday') && ics.includes('Tribes: Alpha') && ics.includes('Channels: PR') && ics.includes('Concept: Hero X (Hero)'));
+  assert('toICS folds lines at 75 octets', ics.split('\r\n').every(l => new TextEncoder().encode(l).length <= 75) && foldLine('x'.repeat(80)) === 'x'.repeat(75) + '\r\n ' + 'x'.repeat(5));
+  assert('toICS can export one market', toICS(calState, { marketId: 'M2' }).split('BEGIN:VEVENT').length - 1 === 1 + DEFAULT_ASSET_CATALOG.length);
+
+  // Test: plan version is stable and moves with the plan
+  const version = planVersion(testState);
+  assert('planVersion is a stable 8‑hex fingerprint', /^[0-9a-f]{8}$/.test(version) && planVersion({ ...testState }) === version);
+  assert('planVersion changes when the plan does', planVersion({ ...testState, northStar: testState.northStar + '!' }) !== version);
+  assert('planVersion ignores the scenario list', planVersion({ ...testState, scenarios: [] }) === version);
+
+  // Test: native PDF (a stand‑in font: every glyph 500 units wide, no outlines)
+  {
+    const font = { name: 'Test', unitsPerEm: 1000, bbox: [0, -200, 1000, 800], ascent: 800, descent: -200, glyph: (ch) => (ch === '→' ? 0 : ch.codePointAt(0) & 0xff), advance: () => 500, subset: (gids) => new Uint8Array(gids.length) };
+    const pdfState = { ...testState, regions: [], concepts: [{ ...testState.concepts[0], color: '#ff8000' }, testState.concepts[1]],
+      markets: [{ id: 'M1', name: 'X' }, { id: 'M2', name: 'Y' }], plans: { 2025: { M1: { 0: [P('H', 0)] }, M2: {} } } };
+    const generatedAt = new Date('2025-01-31T00:00:00Z');
+    const text = (bytes) => new TextDecoder('latin1').decode(bytes);
+    const pack = text(toPDF(pdfState, { font, generatedAt }));
+    const pages = (pdf) => (pdf.match(/\/Type \/Page /g) || []).length;
+    assert('toPDF writes a complete file', pack.startsWith('%PDF-1.4') && pack.endsWith('%%EOF\n'));
+    assert('toPDF is deterministic for the same plan and date', pack === text(toPDF(pdfState, { font, generatedAt })));
+    assert('toPDF pack has a cover, a summary and a page per market', pages(pack) === 4);
+    assert('toPDF for one market is a single Letter page', (() => { const one = text(toPDF(pdfState, { font, generatedAt, marketId: 'M2', paper: 'letter' })); return pages(one) === 1 && one.includes('/MediaBox [0 0 612 792]'); })());
+    assert('toPDF xref points at every object', (() => {
+      const xref = Number(/startxref\n(\d+)/.exec(pack)[1]);
+      const offsets = pack.slice(xref).split('\n').filter((l) => / 00000 n $/.test(l)).map((l) => Number(l.slice(0, 10)));
+      return pack.startsWith('xref', xref) && offsets.every((o, i) => pack.startsWith(`${i + 1} 0 obj`, o));
+    })());
+    assert('pdfColour converts hex and washes it towards white', pdfColour('#ff8000') === '1 0.502 0' && pdfColour('#000000', 0.5) === '0.5 0.5 0.5');
+    const fills = (colour) => [...pack.matchAll(/q ([\d. ]+) rg [\d.]+ [\d.]+ ([\d.]+) ([\d.]+) re f Q/g)].filter((m) => m[1] === colour).map((m) => `${m[2]}×${m[3]}`); // filled rects, as w×h
+    assert('toPDF draws 8×8 concept swatches in the concept colour', fills(pdfColour('#ff8000')).includes('8×8'));
+    assert('toPDF draws flight bars in the washed concept colour', fills(pdfColour('#ff8000', 0.35)).some((size) => size.endsWith('×9')));
+    assert('pdfString escapes ASCII and hex‑encodes the rest', pdfString('a(b)') === '(a\\(b\\))' && pdfString('é') === '<FEFF00e9>');
+  }
+
+  // Test: roll forward seeds next year without assets and keeps existing target months
+  const seeded = rollForward({ ...testState, plans: { 2025: { M1: { 0: [P('H', 0, { start: '2025-01-12', assets: { a_key_visual: { status: 'approved' } } })] } }, 2026: { M1: { 1: [{ ...P('H', 1), ...monthFlight(2026, 1) }] } } } });
+  assert('rollForward moves to next year', seeded.year === 2026);
+  assert('rollForward copies placements with empty assets and shifted dates', seeded.plans[2026].M1[0][0].conceptId === 'H' && seeded.plans[2026].M1[0][0].start === '2026-01-12' && Object.keys(seeded.plans[2026].M1[0][0].assets).length === 0);
+  assert('rollForward keeps months already planned in target', seeded.plans[2026].M1[1][0].conceptId === 'H');
+  const skeleton = { ...testState, plans: { 2025: { M1: { 0: [P('H', 0)] } }, 2026: { M1: {}, M2: { 3: [] } } } };
+  assert('hasPlacements tells a planned year from an empty or skeleton one', hasPlacements(skeleton) && !hasPlacements(skeleton, 2026) && !hasPlacements(skeleton, 2027));
+
   // Expose results for inspection
   // @ts-ignore
   window.__CS_TEST_RESULTS = results;
@@ -0,0 +1,587 @@
+/**
+ * Native PDF of the One‑Pager or the executive pack: TrueType parsing and subsetting, a small
+ * page canvas and the file writer. Runs the same in the browser and in Node (scripts/export-pdf.mjs).
+ */
+import {
+  MONTHS, assetReadiness, planFor, allPlacements, activePlacements, flightSpan, convert,
+  formatMoney, budgetCheck, UNALLOCATED_CHANNEL, channelSpend, regionRollup, analyseCohesion,
+  pillarBalance, pillarColour, planVersion, crc32, regionMarketIds, onlyMarkets,
+} from "./plan.js";
+
+export const PDF_PAPER = { a4: { label: "A4", size: [595.28, 841.89] }, letter: { label: "Letter", size: [612, 792] } }; // points
+const PDF_MARGIN = 40;
+const PDF_LOCALE = "en-US"; // numbers and money print the same wherever the PDF is made
+const PDF_GLYPH_FALLBACK = { "\u2010": "-", "\u2011": "-", "\u2012": "-", "\u2212": "-", "\u00a0": " ", "\u202f": " ", "\u2192": "->" }; // for glyphs the font lacks
+const PDF_INK = { text: "#171717", muted: "#525252", faint: "#737373", rule: "#e5e7eb", track: "#f5f5f5", bar: "#404040" };
+
+/**
+ * The parts of a TrueType font the PDF writer needs: `glyph(char)` (0 when missing), advance
+ * widths, metrics for the font descriptor, and `subset(glyphIds)`, a font file that keeps only
+ * those glyphs (glyph ids and character map unchanged, so it parses again). Throws on fonts
+ * without TrueType outlines.
+ */
+export function parseTTF(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tables = {};
+  for (let i = 0; i < view.getUint16(4); i++) {
+    const at = 12 + i * 16;
+    tables[String.fromCharCode(...bytes.subarray(at, at + 4))] = { offset: view.getUint32(at + 8), length: view.getUint32(at + 12) };
+  }
+  for (const tag of ["head", "hhea", "hmtx", "maxp", "cmap", "loca", "glyf"]) {
+    if (!tables[tag]) throw new Error(`Font has no ${tag} table; only TrueType outlines can be embedded.`);
+  }
+  const table = (tag) => new Uint8Array(bytes.subarray(tables[tag].offset, tables[tag].offset + tables[tag].length)); // a copy, also for Node Buffers
+  const head = tables.head.offset, hhea = tables.hhea.offset, glyf = tables.glyf.offset;
+  const numGlyphs = view.getUint16(tables.maxp.offset + 4);
+  const hMetrics = view.getUint16(hhea + 34);
+  const longLoca = view.getInt16(head + 50) === 1;
+  const loca = (gid) => (longLoca ? view.getUint32(tables.loca.offset + 4 * gid) : 2 * view.getUint16(tables.loca.offset + 2 * gid));
+
+  // cmap: the Unicode BMP subtable (format 4), Windows platform preferred
+  const cmap = new Map();
+  const cm = tables.cmap.offset;
+  let sub = null;
+  for (let i = 0; i < view.getUint16(cm + 2); i++) {
+    const platform = view.getUint16(cm + 4 + i * 8), encoding = view.getUint16(cm + 6 + i * 8);
+    const at = cm + view.getUint32(cm + 8 + i * 8);
+    if (view.getUint16(at) === 4 && ((platform === 3 && encoding === 1) || (platform === 0 && sub == null))) sub = at;
+  }
+  if (sub == null) throw new Error("Font has no Unicode (format 4) character map.");
+  const segments = view.getUint16(sub + 6) / 2;
+  const ends = sub + 14, starts = ends + 2 * segments + 2, deltas = starts + 2 * segments, ranges = deltas + 2 * segments;
+  for (let s = 0; s < segments; s++) {
+    const start = view.getUint16(starts + 2 * s), end = view.getUint16(ends + 2 * s);
+    const delta = view.getInt16(deltas + 2 * s), rangeAt = ranges + 2 * s, range = view.getUint16(rangeAt);
+    for (let c = start; c <= end && c !== 0xffff; c++) {
+      let gid = range ? view.getUint16(rangeAt + range + 2 * (c - start)) : c;
+      if (gid) gid = (gid + delta) & 0xffff;
+      if (gid) cmap.set(c, gid);
+    }
+  }
+
+  let name = "Embedded";
+  if (tables.name) {
+    const at = tables.name.offset, strings = at + view.getUint16(at + 4);
+    for (let i = 0; i < view.getUint16(at + 2); i++) {
+      const rec = at + 6 + 12 * i;
+      if (view.getUint16(rec + 6) !== 6) continue; // PostScript name
+      const length = view.getUint16(rec + 8), offset = strings + view.getUint16(rec + 10);
+      const wide = view.getUint16(rec) !== 1;
+      name = String.fromCharCode(...bytes.subarray(offset, offset + length).filter((_, k) => !wide || k % 2)).replace(/[^\x21-\x7e]|[()<>[\]{}/%#]/g, "");
+      break;
+    }
+  }
+
+  function subset(glyphIds) {
+    const keep = new Set([0, ...glyphIds]);
+    for (const gid of keep) { // composite glyphs pull in their components (a Set visits what is added while iterating)
+      const start = loca(gid);
+      if (loca(gid + 1) === start || view.getInt16(glyf + start) >= 0) continue;
+      let at = glyf + start + 10, flags;
+      do {
+        flags = view.getUint16(at);
+        keep.add(view.getUint16(at + 2));
+        at += 4 + (flags & 0x1 ? 4 : 2) + (flags & 0x8 ? 2 : flags & 0x40 ? 4 : flags & 0x80 ? 8 : 0);
+      } while (flags & 0x20);
+    }
+    const offsets = new DataView(new ArrayBuffer(4 * (numGlyphs + 1)));
+    const outlines = [];
+    let size = 0;
+    for (let gid = 0; gid < numGlyphs; gid++) {
+      offsets.setUint32(4 * gid, size);
+      if (!keep.has(gid)) continue;
+      const data = bytes.subarray(glyf + loca(gid), glyf + loca(gid + 1));
+      outlines.push(data);
+      size += data.length;
+    }
+    offsets.setUint32(4 * numGlyphs, size);
+    const glyfOut = new Uint8Array(size);
+    outlines.reduce((at, data) => (glyfOut.set(data, at), at + data.length), 0);
+    const headOut = table("head");
+    new DataView(headOut.buffer).setInt16(50, 1); // long loca offsets
+    const out = { cmap: table("cmap"), head: headOut, hhea: table("hhea"), maxp: table("maxp"), hmtx: table("hmtx"), loca: new Uint8Array(offsets.buffer), glyf: glyfOut };
+    for (const tag of ["cvt ", "fpgm", "prep"]) if (tables[tag]) out[tag] = table(tag); // hinting programs refer to these
+    return ttfFile(out);
+  }
+
+  return {
+    name,
+    unitsPerEm: view.getUint16(head + 18),
+    bbox: [0, 2, 4, 6].map((d) => view.getInt16(head + 36 + d)),
+    ascent: view.getInt16(hhea + 4),
+    descent: view.getInt16(hhea + 6),
+    glyph: (ch) => cmap.get(ch.codePointAt(0)) || 0,
+    advance: (gid) => view.getUint16(tables.hmtx.offset + 4 * Math.min(gid, hMetrics - 1)),
+    subset,
+  };
+}
+
+/** Packs `{ tag: bytes }` into a TrueType file with its table directory and checksums. */
+function ttfFile(tables) {
+  const tags = Object.keys(tables).sort();
+  const pad = (n) => (n + 3) & ~3;
+  let offset = 12 + 16 * tags.length;
+  const out = new Uint8Array(tags.reduce((a, t) => a + pad(tables[t].length), offset));
+  const view = new DataView(out.buffer);
+  const checksum = (at, length) => {
+    let sum = 0;
+    for (let i = 0; i < pad(length); i += 4) sum = (sum + view.getUint32(at + i)) >>> 0;
+    return sum;
+  };
+  const pow = 2 ** Math.floor(Math.log2(tags.length));
+  view.setUint32(0, 0x00010000);
+  view.setUint16(4, tags.length); view.setUint16(6, 16 * pow); view.setUint16(8, Math.log2(pow)); view.setUint16(10, 16 * (tags.length - pow));
+  let headAt = 0;
+  tags.forEach((tag, i) => {
+    const data = tables[tag], entry = 12 + 16 * i;
+    out.set(data, offset);
+    if (tag === "head") { headAt = offset; view.setUint32(offset + 8, 0); }
+    for (let k = 0; k < 4; k++) view.setUint8(entry + k, tag.charCodeAt(k));
+    view.setUint32(entry + 4, checksum(offset, data.length));
+    view.setUint32(entry + 8, offset);
+    view.setUint32(entry + 12, data.length);
+    offset += pad(data.length);
+  });
+  view.setUint32(headAt + 8, (0xb1b0afba - checksum(0, out.length)) >>> 0);
+  return out;
+}
+
+/** `#rrggbb` (or `#rgb`) as PDF colour operands, optionally washed towards white (`alpha` < 1). */
+export function pdfColour(hex, alpha = 1) {
+  const m = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(hex || "") || [null, "9ca3af"];
+  const rgb = m[1].length === 3 ? [...m[1]].map((d) => d + d).join("") : m[1];
+  return [0, 2, 4].map((i) => +(1 - alpha * (1 - parseInt(rgb.slice(i, i + 2), 16) / 255)).toFixed(3)).join(" ");
+}
+
+/**
+ * A drawing surface of fixed‑size pages, in points from the top‑left corner. It records content
+ * streams and the glyphs each text run uses; `pdfBytes` turns it into the file.
+ */
+function pdfCanvas(font, [width, height]) {
+  const pages = [];
+  const used = new Map(); // glyph id → the text it stands for (ToUnicode)
+  let ops = null;
+  const num = (n) => String(Math.round(n * 100) / 100);
+  const glyphs = (text) => {
+    const out = [];
+    for (const ch of String(text ?? "")) {
+      const run = font.glyph(ch) || !PDF_GLYPH_FALLBACK[ch] ? ch : PDF_GLYPH_FALLBACK[ch];
+      for (const c of run) {
+        const gid = font.glyph(c);
+        if (!used.has(gid)) used.set(gid, c);
+        out.push(gid);
+      }
+    }
+    return out;
+  };
+  const measure = (text, size) => glyphs(text).reduce((a, g) => a + font.advance(g), 0) * size / font.unitsPerEm;
+
+  function fit(text, size, maxWidth) {
+    const s = String(text ?? "");
+    if (measure(s, size) <= maxWidth) return s;
+    const chars = [...s];
+    while (chars.length && measure(chars.join("") + "…", size) > maxWidth) chars.pop();
+    return chars.join("").trimEnd() + "…";
+  }
+
+  function wrap(text, size, maxWidth) {
+    const lines = [];
+    for (const paragraph of String(text ?? "").split("\n")) {
+      let line = "";
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && measure(next, size) > maxWidth) { lines.push(line); line = fit(word, size, maxWidth); }
+        else line = measure(next, size) > maxWidth ? fit(next, size, maxWidth) : next;
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  return {
+    width, height, pages, used, measure, fit, wrap,
+    page() { ops = []; pages.push(ops); },
+    /** Makes page `i` current again, e.g. to add footers once the page count is known. */
+    goto(i) { ops = pages[i]; },
+    text(x, y, text, { size = 10, color = PDF_INK.text, bold = false, align = "left" } = {}) {
+      const ids = glyphs(text);
+      if (!ids.length) return;
+      const w = measure(text, size);
+      const left = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+      const hex = ids.map((g) => g.toString(16).padStart(4, "0")).join("");
+      const weight = bold ? `2 Tr ${num(size * 0.03)} w ${pdfColour(color)} RG ` : ""; // fill + stroke stands in for a bold face
+      ops.push(`q BT ${weight}/F1 ${num(size)} Tf ${pdfColour(color)} rg ${num(left)} ${num(height - y)} Td <${hex}> Tj ET Q`);
+    },
+    rect(x, y, w, h, { fill, stroke, alpha = 1, lineWidth = 0.75 } = {}) {
+      const paint = fill && stroke ? "B" : fill ? "f" : "S";
+      ops.push(`q ${fill ? `${pdfColour(fill, alpha)} rg ` : ""}${stroke ? `${pdfColour(stroke)} RG ${num(lineWidth)} w ` : ""}${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re ${paint} Q`);
+    },
+    line(x1, y1, x2, y2, { color = PDF_INK.rule, lineWidth = 0.75 } = {}) {
+      ops.push(`q ${pdfColour(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S Q`);
+    },
+  };
+}
+
+/** UTF‑16BE code units of `s` as hex. */
+function utf16Hex(s) {
+  return [...s].map((ch) => {
+    const cp = ch.codePointAt(0);
+    const units = cp > 0xffff ? [0xd800 + ((cp - 0x10000) >> 10), 0xdc00 + ((cp - 0x10000) & 0x3ff)] : [cp];
+    return units.map((u) => u.toString(16).padStart(4, "0")).join("");
+  }).join("");
+}
+
+/** A PDF text string: plain ASCII in parentheses, anything else as UTF‑16BE hex with a BOM. */
+export function pdfString(s) {
+  return /^[\x20-\x7e]*$/.test(s) ? `(${s.replace(/[\\()]/g, "\\$&")})` : `<FEFF${utf16Hex(s)}>`;
+}
+
+/**
+ * Serialises a canvas to PDF 1.4 bytes: one Type 0 font with the canvas's glyphs embedded as a
+ * TrueType subset (Identity‑H, so glyph ids are the character codes) plus a ToUnicode map so
+ * text stays searchable. Nothing depends on the clock beyond `date`: equal input, equal bytes.
+ */
+function pdfBytes(canvas, font, { title, date }) {
+  const enc = new TextEncoder();
+  const gids = [...canvas.used.keys()].sort((a, b) => a - b);
+  const fontFile = font.subset(gids);
+  const tag = [...crc32(enc.encode(gids.join(","))).toString(16).padStart(8, "0").slice(0, 6)]
+    .map((h) => String.fromCharCode(65 + parseInt(h, 16))).join(""); // six capitals mark a subset
+  const scale = (n) => Math.round((n * 1000) / font.unitsPerEm);
+  const hex = (n) => n.toString(16).padStart(4, "0");
+  const cmapBlocks = [];
+  for (let i = 0; i < gids.length; i += 100) {
+    const chunk = gids.slice(i, i + 100);
+    cmapBlocks.push(`${chunk.length} beginbfchar\n${chunk.map((g) => `<${hex(g)}> <${utf16Hex(canvas.used.get(g))}>`).join("\n")}\nendbfchar`);
+  }
+  const toUnicode = [
+    "/CIDInit /ProcSet findresource begin", "12 dict begin", "begincmap",
+    "/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def", "/CMapName /Adobe-Identity-UCS def", "/CMapType 2 def",
+    "1 begincodespacerange", "<0000> <FFFF>", "endcodespacerange", ...cmapBlocks, "endcmap",
+    "CMapName currentdict /CMap defineresource pop", "end", "end",
+  ].join("\n");
+  const d = date.toISOString();
+  const pdfDate = `D:${d.slice(0, 4)}${d.slice(5, 7)}${d.slice(8, 10)}${d.slice(11, 13)}${d.slice(14, 16)}${d.slice(17, 19)}Z`;
+  const baseFont = `${tag}+${font.name}`;
+
+  const pageCount = canvas.pages.length;
+  const firstPage = 9; // objects 1–8 are fixed; then a page and its content stream per page
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Count ${pageCount} /Kids [${canvas.pages.map((_, i) => `${firstPage + 2 * i} 0 R`).join(" ")}] >>`,
+    `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /Identity-H /DescendantFonts [4 0 R] /ToUnicode 7 0 R >>`,
+    `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont} /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor 5 0 R /CIDToGIDMap /Identity /DW 500 /W [${gids.map((g) => `${g} [${scale(font.advance(g))}]`).join(" ")}] >>`,
+    `<< /Type /FontDescriptor /FontName /${baseFont} /Flags 32 /FontBBox [${font.bbox.map(scale).join(" ")}] /ItalicAngle 0 /Ascent ${scale(font.ascent)} /Descent ${scale(font.descent)} /CapHeight ${scale(font.ascent)} /StemV 80 /FontFile2 6 0 R >>`,
+    { dict: `/Length1 ${fontFile.length}`, data: fontFile },
+    { data: enc.encode(toUnicode) },
+    `<< /Title ${pdfString(title)} /Producer (Campaign Storyboarder) /CreationDate (${pdfDate}) >>`,
+  ];
+  canvas.pages.forEach((ops, i) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${canvas.width} ${canvas.height}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${firstPage + 2 * i + 1} 0 R >>`);
+    objects.push({ data: enc.encode(ops.join("\n")) });
+  });
+
+  const parts = [enc.encode("%PDF-1.4\n"), new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])];
+  let size = parts.reduce((a, p) => a + p.length, 0);
+  const push = (p) => { const bytes = typeof p === "string" ? enc.encode(p) : p; parts.push(bytes); size += bytes.length; };
+  const offsets = objects.map((obj, i) => {
+    const at = size;
+    if (typeof obj === "string") push(`${i + 1} 0 obj\n${obj}\nendobj\n`);
+    else {
+      push(`${i + 1} 0 obj\n<< /Length ${obj.data.length}${obj.dict ? ` ${obj.dict}` : ""} >>\nstream\n`);
+      push(obj.data);
+      push("\nendstream\nendobj\n");
+    }
+    return at;
+  });
+  const xref = size;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`);
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 8 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  const out = new Uint8Array(size);
+  parts.reduce((at, p) => (out.set(p, at), at + p.length), 0);
+  return out;
+}
+
+/**
+ * Draws the plan onto a canvas the way the printed views lay it out: with `marketId`, that
+ * market's One‑Pager; otherwise the executive pack (cover, portfolio summary, a One‑Pager per
+ * market). Every page gets a footer with the plan version, generated date and page number.
+ */
+function drawPlanPDF(pdf, fullState, { marketId, regionId, generatedAt }) {
+  const state = onlyMarkets(fullState, regionMarketIds(fullState, regionId)); // read‑only, like every analysis input
+  const cohesion = analyseCohesion(state);
+  const budgets = budgetCheck(state);
+  const reporting = budgets.totals.currency;
+  const money = (n, currency = reporting) => formatMoney(n, currency, PDF_LOCALE);
+  const region = state.regions.find((r) => r.id === regionId);
+  const scope = region ? region.name : "All markets";
+  const plan = planFor(state);
+  const conceptById = Object.fromEntries(state.concepts.map((c) => [c.id, c]));
+  const M = PDF_MARGIN, W = pdf.width - 2 * M, bottom = pdf.height - M - 24;
+  const gap = 18, col = (W - 2 * gap) / 3;
+  const heading = (x, y, label) => pdf.text(x, y, label, { size: 8.5, color: PDF_INK.muted, bold: true });
+  const bullets = (x, y, items, width, { size = 9.5, marker = () => "•" } = {}) => {
+    items.forEach((item, i) => {
+      pdf.text(x, y, marker(i), { size });
+      for (const line of pdf.wrap(item, size, width - 14)) { pdf.text(x + 14, y, line, { size }); y += size * 1.35; }
+    });
+    return y;
+  };
+  const swatches = (x, y, concepts, width) => {
+    let at = x;
+    for (const c of concepts) {
+      const label = `${c.name} (${c.role})`;
+      const w = 12 + pdf.measure(label, 7.5) + 12;
+      if (at > x && at + w > x + width) { at = x; y += 12; }
+      pdf.rect(at, y - 6.5, 8, 8, { fill: c.color });
+      pdf.text(at + 11, y, label, { size: 7.5, color: PDF_INK.muted });
+      at += w;
+    }
+    return y + 12;
+  };
+  const kpis = (y, cells) => { // boxed row of headline figures: [label, value, note?]
+    const w = W / cells.length;
+    const h = 50;
+    pdf.rect(M, y, W, h, { stroke: PDF_INK.rule });
+    cells.forEach(([label, value, note], i) => {
+      const x = M + 10 + i * w;
+      heading(x, y + 14, label);
+      pdf.text(x, y + 32, value, { size: 15, bold: true });
+      if (note) pdf.text(x, y + 43, pdf.fit(note, 7.5, w - 16), { size: 7.5, color: PDF_INK.faint });
+    });
+    return y + h;
+  };
+
+  function cover() {
+    pdf.page();
+    let y = M + 60;
+    pdf.text(M, y, "EXECUTIVE PACK", { size: 9, color: PDF_INK.faint });
+    pdf.text(M, (y += 34), `Campaign plan ${state.year}`, { size: 30, bold: true });
+    pdf.text(M, (y += 26), `${scope} · ${state.markets.length} market(s)`, { size: 15, color: PDF_INK.muted });
+    y += 60;
+    for (const line of pdf.wrap(state.northStar, 20, W)) { pdf.text(M, y, line, { size: 20 }); y += 26; }
+    for (const line of pdf.wrap(state.pillars.join(" · "), 10.5, W)) { pdf.text(M, (y += 4), line, { size: 10.5, color: PDF_INK.muted }); y += 10; }
+    heading(M, (y += 40), "Concepts");
+    swatches(M, y + 16, state.concepts, W);
+    const scenario = state.scenarios?.find((sc) => sc.id === state.scenarioId)?.name;
+    pdf.text(M, bottom - 16, `Generated ${generatedAt.toLocaleDateString("en-GB", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" })}`, { size: 10, color: PDF_INK.muted });
+    pdf.text(M, bottom, `Version ${planVersion(fullState)}${scenario ? ` · Scenario “${scenario}”` : ""}`, { size: 10, color: PDF_INK.muted });
+  }
+
+  function summary() {
+    pdf.page();
+    let y = M + 18;
+    const need = (h) => { if (y + h > bottom) { pdf.page(); y = M + 18; pdf.text(M, y, `Portfolio summary — ${state.year} (continued)`, { size: 12, bold: true }); y += 20; } };
+    pdf.text(M, y, `Portfolio summary — ${state.year}`, { size: 18, bold: true });
+    pdf.text(M, (y += 14), scope, { size: 9, color: PDF_INK.muted });
+    const readiness = assetReadiness(state.assetCatalog, state.markets.flatMap((m) => allPlacements(plan[m.id])));
+    const ns = cohesion.portfolio.stats.northStar;
+    y = kpis(y + 12, [
+      ["Overall Cohesion", `${cohesion.overall}/100`],
+      [`Budget (${reporting})`, money(budgets.totals.allocated), `of ${money(budgets.totals.envelope)} envelope${budgets.totals.missingRates.length ? ` (excl. ${budgets.totals.missingRates.join(", ")})` : ""}`],
+      ["North Star Share", ns.tagged ? `${ns.share}%` : "—", "of planned market‑months"],
+      ["Asset Readiness", readiness.total ? `${readiness.pct}%` : "—"],
+    ]);
+
+    // hero calendar: a row per market, a chip per month split between the Hero concepts in flight
+    const heroes = state.concepts.filter((c) => c.role === "Hero");
+    const nameW = 92, cell = (W - nameW) / 12;
+    heading(M, (y += 26), "Hero Calendar");
+    y += 16;
+    MONTHS.forEach((m, i) => pdf.text(M + nameW + i * cell + cell / 2, y, m, { size: 7.5, color: PDF_INK.muted, align: "center" }));
+    y += 4;
+    for (const m of state.markets) {
+      need(14);
+      pdf.line(M, y, M + W, y);
+      pdf.text(M, y + 10, pdf.fit(m.name, 8.5, nameW - 6), { size: 8.5 });
+      MONTHS.forEach((_, i) => {
+        const live = heroes.filter((c) => activePlacements(plan[m.id], state.year, i).some((pl) => pl.conceptId === c.id));
+        const x = M + nameW + i * cell + 1.5, w = cell - 3;
+        pdf.rect(x, y + 3.5, w, 8, { fill: PDF_INK.track });
+        live.forEach((c, k) => pdf.rect(x + (k * w) / live.length, y + 3.5, w / live.length, 8, { fill: c.color }));
+      });
+      y += 14;
+    }
+    need(16);
+    y = swatches(M, y + 14, heroes, W);
+
+    // markets table, amounts converted to the reporting currency
+    need(40);
+    heading(M, (y += 16), "Markets");
+    const columns = [["Market", M, "left"], ["Cohesion", M + W * 0.52, "right"], [`Planned (${reporting})`, M + W * 0.76, "right"], [`Envelope (${reporting})`, M + W, "right"]];
+    y += 14;
+    columns.forEach(([label, x, align]) => pdf.text(x, y, label, { size: 8.5, color: PDF_INK.muted, align }));
+    y += 4;
+    for (const m of state.markets) {
+      need(16);
+      const b = budgets.byMarket[m.id];
+      const inReporting = (n) => { const v = convert(state, n, b.currency); return v == null ? "—" : money(v); };
+      pdf.line(M, y, M + W, y);
+      const cells = [pdf.fit(m.name, 9.5, W * 0.4), String(cohesion.byMarket[m.id]?.score ?? "—"), inReporting(b.allocated.annual), b.envelope.annual != null ? inReporting(b.envelope.annual) : "—"];
+      cells.forEach((v, i) => pdf.text(columns[i][1], y + 11.5, v, { size: 9.5, align: columns[i][2] }));
+      y += 16;
+    }
+
+    const flags = cohesion.portfolio.issues.slice(0, 5).map((it) => it.message);
+    need(30 + flags.length * 13);
+    heading(M, (y += 22), "Cross‑Market Flags");
+    y = bullets(M, y + 15, flags.length ? flags : ["Markets tell one story"], W, { size: 9 });
+
+    const regions = state.regions.length ? regionRollup(state, state.year, { cohesion, budgets }) : [];
+    if (regions.length > 1) {
+      need(40);
+      heading(M, (y += 14), "Regions");
+      const rc = [["Region", M, "left"], ["Cohesion", M + W * 0.45, "right"], ["Planned / envelope", M + W * 0.72, "right"], ["Asset readiness", M + W * 0.87, "right"], ["Tribe coverage", M + W, "right"]];
+      y += 14;
+      rc.forEach(([label, x, align]) => pdf.text(x, y, label, { size: 8.5, color: PDF_INK.muted, align }));
+      y += 4;
+      for (const r of regions) {
+        need(16);
+        pdf.line(M, y, M + W, y);
+        const names = r.marketIds.map((id) => state.markets.find((m) => m.id === id)?.name).join(", ");
+        const cells = [
+          pdf.fit(`${r.name} (${names})`, 9.5, W * 0.38), String(r.score ?? "—"),
+          `${money(r.budget.allocated, r.budget.currency)} / ${r.budget.envelope ? money(r.budget.envelope, r.budget.currency) : "—"}`,
+          r.readiness.total ? `${r.readiness.pct}%` : "—", `${r.tribes.reached}/${r.tribes.total}`,
+        ];
+        cells.forEach((v, i) => pdf.text(rc[i][1], y + 11.5, v, { size: 9.5, align: rc[i][2] }));
+        y += 16;
+      }
+    }
+  }
+
+  function onePager(market) {
+    pdf.page();
+    const mp = plan[market.id] || {};
+    const placements = allPlacements(mp).filter((pl) => pl.conceptId).sort((a, b) => a.start.localeCompare(b.start));
+    const right = M + W;
+    let y = M + 18;
+    pdf.text(M, y, pdf.fit(`${market.name} — ${state.year}`, 18, W - 90), { size: 18, bold: true });
+    pdf.text(right, y - 12, "Cohesion", { size: 8.5, color: PDF_INK.muted, align: "right" });
+    pdf.text(right, y + 4, `${cohesion.byMarket[market.id]?.score ?? 0}/100`, { size: 15, bold: true, align: "right" });
+    pdf.text(M, (y += 14), `Executive Campaign One‑Pager${region ? ` · ${region.name}` : ""}`, { size: 9, color: PDF_INK.muted });
+
+    // North Star beside the pillar balance
+    y += 24;
+    heading(M, y, "North Star");
+    let left = y + 16;
+    for (const line of pdf.wrap(state.northStar, 12.5, 2 * col + gap)) { pdf.text(M, left, line, { size: 12.5 }); left += 16; }
+    const balance = pillarBalance(state);
+    const mix = balance.byMarket[market.id]?.year || {};
+    const px = M + 2 * (col + gap);
+    heading(px, y, "Pillar Balance");
+    let rightY = y + 14;
+    balance.pillars.forEach((p, i) => {
+      pdf.text(px, rightY, pdf.fit(p, 7.5, col - 78), { size: 7.5 });
+      pdf.rect(px + col - 74, rightY - 5.5, 46, 5, { fill: PDF_INK.rule });
+      if (mix[p]) pdf.rect(px + col - 74, rightY - 5.5, (46 * mix[p]) / 100, 5, { fill: pillarColour(i) });
+      pdf.text(px + col, rightY, balance.linked ? `${mix[p] || 0}%` : "—", { size: 7.5, align: "right" });
+      rightY += 11;
+    });
+    y = Math.max(left, rightY) + 4;
+
+    const ns = cohesion.portfolio.stats.northStar;
+    y = kpis(y, [
+      [`${region ? "Region" : "Portfolio"} Alignment`, `${cohesion.overall}/100`, `across ${state.markets.length} market(s)${region ? ` in ${region.name}` : ""}`],
+      ["North Star Share", ns.tagged ? `${ns.share}%` : "—", "of planned market‑months"],
+      ["Cross‑Market Flags", String(cohesion.portfolio.issues.length), cohesion.portfolio.issues[0]?.message ?? "Markets tell one story"],
+    ]);
+
+    // calendar: a box per month, a bar per placement spanning its flight in the concept colour
+    heading(M, (y += 24), "Calendar");
+    y += 8;
+    const cell = (W - 11 * 4) / 12;
+    const months = MONTHS.map((_, i) => activePlacements(mp, state.year, i).filter((pl) => pl.conceptId));
+    const boxH = 18 + Math.max(1, ...months.map((l) => l.length)) * 11;
+    months.forEach((live, i) => {
+      const x = M + i * (cell + 4);
+      pdf.rect(x, y, cell, boxH, { stroke: PDF_INK.rule });
+      pdf.text(x + 3, y + 10, MONTHS[i], { size: 7.5, color: PDF_INK.muted });
+      if (!live.length) pdf.text(x + 3, y + 22, "—", { size: 7.5, color: "#a3a3a3" });
+      live.forEach((pl, k) => {
+        const c = conceptById[pl.conceptId];
+        const { left: from, width } = flightSpan(pl, state.year, i);
+        const by = y + 14 + k * 11;
+        pdf.rect(x + 2, by, cell - 4, 9, { fill: PDF_INK.track });
+        pdf.rect(x + 2 + ((cell - 4) * from) / 100, by, ((cell - 4) * width) / 100, 9, { fill: c?.color, alpha: 0.35 });
+        pdf.text(x + 4, by + 6.5, pdf.fit(c?.name ?? "—", 6, cell - 8), { size: 6 });
+      });
+    });
+    y += boxH;
+    const here = state.concepts.filter((c) => placements.some((pl) => pl.conceptId === c.id));
+    if (here.length) y = swatches(M, y + 14, here, W);
+
+    // messages beside channel spend
+    y += 16;
+    heading(M, y, "Top Messages / Hooks");
+    const messages = placements.map((pl) => pl.notes).filter(Boolean).slice(0, 3);
+    left = bullets(M, y + 15, messages.length ? messages : ["—"], 2 * col + gap, { marker: (i) => `${i + 1}.` });
+    heading(px, y, `Channels (${reporting})`);
+    const channels = channelSpend(state, state.year, [market.id]).rows;
+    const channelTotal = channels.reduce((a, r) => a + r.total, 0);
+    rightY = y + 15;
+    for (const r of channels.slice(0, 8)) {
+      const label = pdf.fit(r.channel, 8.5, col - 70);
+      pdf.text(px, rightY, label, { size: 8.5, color: r.channel === UNALLOCATED_CHANNEL ? PDF_INK.faint : PDF_INK.text });
+      pdf.text(px + col, rightY, money(r.total), { size: 8.5, align: "right" });
+      pdf.rect(px, rightY + 2.5, col, 2, { fill: PDF_INK.track });
+      if (channelTotal) pdf.rect(px, rightY + 2.5, (col * r.total) / channelTotal, 2, { fill: PDF_INK.bar });
+      rightY += 15;
+    }
+    if (!channels.length) rightY = bullets(px, rightY, [...new Set(placements.flatMap((pl) => pl.channels || []))].slice(0, 8), col, { size: 8.5, marker: () => "" });
+    y = Math.max(left, rightY) + 10;
+
+    // budget, tribes, readiness
+    const b = budgets.byMarket[market.id];
+    const inReporting = (n) => convert(state, n, b.currency);
+    heading(M, y, `Budget (${reporting})`);
+    pdf.text(M, y + 18, money(inReporting(b.allocated.annual)), { size: 14, bold: true });
+    let by = y + 30;
+    if (b.currency !== reporting) { pdf.text(M, by, `${money(b.allocated.annual, b.currency)} local`, { size: 7.5, color: PDF_INK.faint }); by += 10; }
+    if (b.envelope.annual != null) {
+      pdf.text(M, by, `of ${money(inReporting(b.envelope.annual))} envelope${b.issues.some((i) => i.level === "error") ? " · over budget" : ""}`, { size: 7.5, color: PDF_INK.muted });
+      by += 10;
+    }
+    pdf.text(M, by, pdf.fit(`${scope}: ${money(budgets.totals.allocated)}`, 7.5, col), { size: 7.5, color: PDF_INK.faint });
+    const tribes = [...new Set(placements.flatMap((pl) => (pl.tribes || []).map((id) => state.tribes.find((t) => t.id === id)?.name).filter(Boolean)))].slice(0, 4);
+    heading(M + col + gap, y, "Target Tribes (top)");
+    let ty = y + 16;
+    for (const line of pdf.wrap(tribes.join(", ") || "—", 9.5, col)) { pdf.text(M + col + gap, ty, line, { size: 9.5 }); ty += 13; }
+    heading(px, y, "Asset Readiness");
+    pdf.text(px, y + 18, `${assetReadiness(state.assetCatalog, placements).pct}%`, { size: 14, bold: true });
+    y = Math.max(by, ty) + 22;
+
+    heading(M, y, "Guardrails");
+    bullets(M, y + 15, state.guardrails.slice(0, 3), W);
+  }
+
+  if (marketId) onePager(state.markets.find((m) => m.id === marketId) || state.markets[0]);
+  else {
+    cover();
+    summary();
+    state.markets.forEach(onePager);
+  }
+
+  const footer = `Campaign plan ${state.year} · ${marketId ? state.markets.find((m) => m.id === marketId)?.name ?? scope : scope} · Version ${planVersion(fullState)} · Generated ${generatedAt.toISOString().slice(0, 10)}`;
+  pdf.pages.forEach((_, i) => {
+    pdf.goto(i);
+    pdf.line(M, pdf.height - M + 6, M + W, pdf.height - M + 6);
+    pdf.text(M, pdf.height - M + 18, pdf.fit(footer, 7.5, W - 70), { size: 7.5, color: PDF_INK.faint });
+    pdf.text(M + W, pdf.height - M + 18, `Page ${i + 1} of ${pdf.pages.length}`, { size: 7.5, color: PDF_INK.faint, align: "right" });
+  });
+}
+
+/**
+ * The One‑Pager of `marketId`, or with no market the whole executive pack (only the markets of
+ * `regionId`, when given), as PDF bytes with `font` (see parseTTF) embedded. Layout, locale and
+ * paper are fixed, so the same plan, font and `generatedAt` always give the same file, in the
+ * browser or from scripts/export-pdf.mjs.
+ */
+export function toPDF(state, { font, paper = "a4", marketId, regionId, generatedAt = new Date() }) {
+  const pdf = pdfCanvas(font, PDF_PAPER[paper]?.size ?? PDF_PAPER.a4.size);
+  drawPlanPDF(pdf, state, { marketId, regionId, generatedAt });
+  const market = state.markets.find((m) => m.id === marketId);
+  const title = market ? `${market.name} — ${state.year} One‑Pager` : `Campaign plan ${state.year} — Executive pack`;
+  return pdfBytes(pdf, font, { title, date: generatedAt });
+}
@@ -0,0 +1,1396 @@
+/**
+ * Campaign Storyboarder — the plan model: defaults, flights, budgets, regions, schema
+ * migrations, cohesion rules and plan editing. Plain functions over the state, without React
+ * or browser APIs, so the PDF writer (src/pdf.js) and Node scripts can load them as they are.
+ */
+
+// ---------- Utilities ----------
+export const MONTHS = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"
+];
+
+export function uid(prefix = "id") { return `${prefix}_${Math.random().toString(36).slice(2, 8)}_${Date.now().toString(36)}`; }
+
+export function quarterOf(monthIndex) { return Math.floor(monthIndex / 3) + 1; }
+
+export function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+// Colour seeds for concepts
+export const SEED_COLOURS = [
+  "#2563eb", "#0ea5e9", "#10b981", "#84cc16", "#f59e0b",
+  "#ef4444", "#a855f7", "#f43f5e", "#06b6d4", "#eab308"
+];
+
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/** CRC‑32 (IEEE 802.3), as zip entries need it. */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+
+// ---------- Types (JSDoc for intellisense) ----------
+/** @typedef {{ id:string, name:string, role:"Hero"|"Support", tags:string[], color:string, northStar?:boolean, pillars?:Record<string, number> }} Concept */ // northStar: carries the global North Star; pillars: weight per pillar name
+/** @typedef {{ id:string, name:string, code?:string, regionId?:string, currency?:string }} Market */ // code: short label, e.g. MX; currency: ISO 4217 code, default USD
+/** @typedef {{ id:string, name:string }} Region */ // markets roll up into regions
+/** @typedef {{ id:string, conceptId?:string, start:string, end:string, notes?:string, channels?:string[], budget?:number, channelBudgets?:Record<string, number>, tribes?:string[], assets?:Record<string, AssetEntry> }} MonthlyPlacement */ // assets: workflow keyed by Asset id
+/** @typedef {{ [monthIndex:number]: MonthlyPlacement[] }} MarketPlan */ // filed under the month each flight starts
+/** @typedef {{ [marketId:string]: MarketPlan }} Plan */
+/** @typedef {{ [year:string]: Plan }} Plans */
+/** @typedef {{ id:string, name:string, description:string, triggers:string[], channels:string[] }} Tribe */
+/** @typedef {{ id:string, name:string, data?:object }} Scenario */
+/** @typedef {{ annual?:number, quarters?:(number|undefined)[] }} BudgetEnvelope */ // in the market's currency
+/** @typedef {{ [year:string]: { [marketId:string]: BudgetEnvelope } }} Budgets */
+/** @typedef {{ reporting:string, rates:Record<string, number> }} FxTable */ // rates: USD per unit
+/** @typedef {{ id:string, name:string, channels:string[], leadDays?:number }} Asset */ // channels: placements on any of these need it; none = every placement
+/** @typedef {{ status:"not_started"|"in_production"|"in_review"|"approved", owner?:string }} AssetEntry */
+/** @typedef {{ id:string, type:string, label?:string, enabled:boolean, severity:"error"|"warning"|"info", weight:number, params:Record<string, number> }} CohesionRule */
+
+// ---------- Asset Catalogue ----------
+/** @type {Asset[]} Starter catalogue; the live one is `state.assetCatalog`, edited in Settings. */
+export const DEFAULT_ASSET_CATALOG = [
+  { id: "a_key_visual", name: "Key Visual", channels: [], leadDays: 42 },
+  { id: "a_master_30s", name: "30s Master Video", channels: ["YouTube", "TV", "CTV"], leadDays: 56 },
+  { id: "a_cutdown_15s", name: "15s Cutdown", channels: ["YouTube", "Meta", "IG", "TikTok"], leadDays: 42 },
+  { id: "a_bumper_6s", name: "6s Bumper", channels: ["YouTube", "CTV"], leadDays: 35 },
+  { id: "a_social_set", name: "Square + Story Set", channels: ["Meta", "IG", "TikTok"], leadDays: 28 },
+  { id: "a_landing_page", name: "Landing Page", channels: ["Search", "Display", "Meta", "Email"], leadDays: 28 },
+  { id: "a_email", name: "Email (Campaign)", channels: ["Email"], leadDays: 21 },
+  { id: "a_crm_journey", name: "CRM Journey", channels: ["CRM", "Email"], leadDays: 35 },
+  { id: "a_pr_note", name: "PR Note", channels: ["PR"], leadDays: 21 },
+  { id: "a_influencer_brief", name: "Influencer Brief", channels: ["Creators", "Influencers", "TikTok"], leadDays: 35 },
+  { id: "a_display_set", name: "Display Set", channels: ["Display", "Programmatic"], leadDays: 28 },
+  { id: "a_search_copy", name: "Search Copy", channels: ["Search"], leadDays: 14 },
+  { id: "a_ugc_prompt", name: "UGC Prompt", channels: ["Creators", "UGC", "TikTok"], leadDays: 21 },
+  { id: "a_measurement", name: "Measurement Plan", channels: [], leadDays: 28 },
+  { id: "a_approvals", name: "Legal/Brand Approvals", channels: [], leadDays: 14 },
+];
+
+export const defaultAssetCatalog = () => DEFAULT_ASSET_CATALOG.map((a) => ({ ...a, channels: [...a.channels] }));
+
+/**
+ * The catalogue assets a placement needs: those mapped to one of its channels (matched like
+ * tribe channels, see channelsMatch) plus those with no channels, which every placement needs.
+ * A placement with no channels yet needs the whole catalogue.
+ */
+export function requiredAssets(catalog, pl) {
+  const channels = pl.channels || [];
+  if (!channels.length) return catalog;
+  return catalog.filter((a) => !a.channels?.length || a.channels.some((ch) => channels.some((own) => channelsMatch(own, ch))));
+}
+
+/** Production workflow, in order; only approved assets count as ready. */
+export const ASSET_STATUSES = [
+  { value: "not_started", label: "Not started" },
+  { value: "in_production", label: "In production" },
+  { value: "in_review", label: "In review" },
+  { value: "approved", label: "Approved" },
+];
+export const DEFAULT_LEAD_DAYS = 28; // for catalogue assets without a lead time
+export const ASSET_AT_RISK_DAYS = 14; // due this soon and not yet in review → at risk
+
+/** A placement's record for one asset; missing means not started. */
+export function assetEntry(pl, assetId) {
+  return { status: "not_started", ...(pl.assets?.[assetId] || {}) };
+}
+
+/** Due date: the asset's lead time counted back from the day the flight starts. */
+export function assetDueDate(pl, asset) {
+  return fromDayNumber(dayNumber(pl.start) - (asset.leadDays ?? DEFAULT_LEAD_DAYS));
+}
+
+/** Checklist completion across placements, counting only the assets each one needs: `{ done, total, pct }`. */
+export function assetReadiness(catalog, placements) {
+  let done = 0, total = 0;
+  for (const pl of placements) {
+    const needed = requiredAssets(catalog, pl);
+    total += needed.length;
+    done += needed.filter((a) => assetEntry(pl, a.id).status === "approved").length;
+  }
+  return { done, total, pct: total ? Math.round((done / total) * 100) : 0 };
+}
+
+/**
+ * Every asset the placements of `year` need, across markets, with its workflow record and due
+ * date, earliest due first. Open assets past their due date are `overdue`; those due within
+ * ASSET_AT_RISK_DAYS that haven't reached review yet are `atRisk`.
+ */
+export function assetTasks(state, { year = state.year, today = fromDayNumber(Math.floor(Date.now() / 86400000)) } = {}) {
+  const now = dayNumber(today);
+  const plan = planFor(state, year);
+  const rows = [];
+  for (const m of state.markets) {
+    for (const pl of allPlacements(plan[m.id])) {
+      for (const asset of requiredAssets(state.assetCatalog || [], pl)) {
+        const entry = assetEntry(pl, asset.id);
+        const due = assetDueDate(pl, asset);
+        const left = dayNumber(due) - now;
+        const open = entry.status !== "approved";
+        const early = entry.status === "not_started" || entry.status === "in_production";
+        rows.push({ marketId: m.id, placement: pl, asset, ...entry, due, overdue: open && left < 0, atRisk: early && left >= 0 && left <= ASSET_AT_RISK_DAYS });
+      }
+    }
+  }
+  return rows.sort((a, b) => a.due.localeCompare(b.due) || a.asset.name.localeCompare(b.asset.name));
+}
+
+// ---------- Defaults ----------
+export const DEFAULT_TRIBES = /** @type {Tribe[]} */ ([
+  {
+    id: uid("t"),
+    name: "Epicurean Couples",
+    description: "Food & mixology‑driven duos seeking adults‑only indulgence and chef‑led moments.",
+    triggers: ["Chef’s table", "premium spirits", "limited menus"],
+    channels: ["Meta", "IG Reels", "PR food media"],
+  },
+  {
+    id: uid("t"),
+    name: "Wellness Aesthetes",
+    description: "Mindful travellers who collect rituals: sunrise yoga, spa journeys, breathwork on the beach.",
+    triggers: ["sunrise rituals", "spa circuits", "sound baths"],
+    channels: ["IG", "YouTube", "Email"],
+  },
+  {
+    id: uid("t"),
+    name: "Design Lovers & Art Seekers",
+    description: "Architecture, contemporary art and photogenic spaces; IG‑forward storytellers.",
+    triggers: ["gallery nights", "artist residencies", "design tours"],
+    channels: ["IG", "PR design media", "Creators"],
+  },
+  {
+    id: uid("t"),
+    name: "Celebration Creators",
+    description: "Anniversaries, engagements, milestone trips; small adult groups with premium expectations.",
+    triggers: ["bespoke moments", "private dining", "surprise reveals"],
+    channels: ["Search (intent)", "Meta", "Concierge/CRM"],
+  },
+  {
+    id: uid("t"),
+    name: "Work‑from‑Paradise Execs",
+    description: "Bleisure professionals who want quiet luxury, strong Wi‑Fi, and recovery rituals.",
+    triggers: ["late checkout", "focus zones", "recovery spa"],
+    channels: ["LinkedIn", "Search", "Email"],
+  },
+]);
+
+/** Thresholds of the pre‑v7 `cohesionRules` object; migrations turn them into rule records. */
+const LEGACY_RULE_THRESHOLDS = {
+  maxHeroConceptsPerMarket: 4,
+  minRepeatsPerHero: 3,
+  minMonthsPlanned: 10,
+  maxTotalConceptsPerMarket: 8,
+};
+
+/**
+ * The starter rule set. The first four carry the weights `analyseCohesion` used to hard‑code
+ * (so migrated plans keep their market scores); the concept cap was only ever advisory. The
+ * next three are examples, switched off until someone opts in; the pillar rule stays quiet until
+ * concepts are linked to pillars, and the portfolio rules close the list. See RULE_TYPES for params.
+ */
+export function rulesFromThresholds(t = LEGACY_RULE_THRESHOLDS) {
+  return [
+    { id: "r_months", type: "minMonthsPlanned", enabled: true, severity: "warning", weight: 2, params: { min: t.minMonthsPlanned } },
+    { id: "r_heroes", type: "maxHeroConcepts", enabled: true, severity: "warning", weight: 5, params: { max: t.maxHeroConceptsPerMarket } },
+    { id: "r_repeats", type: "minHeroRepeats", enabled: true, severity: "warning", weight: 4, params: { min: t.minRepeatsPerHero } },
+    { id: "r_quarters", type: "heroEveryQuarter", enabled: true, severity: "error", weight: 6, params: {} },
+    { id: "r_concepts", type: "maxConcepts", enabled: true, severity: "info", weight: 0, params: { max: t.maxTotalConceptsPerMarket } },
+    { id: "r_streak", type: "maxConsecutiveMonths", enabled: false, severity: "warning", weight: 3, params: { max: 3 } },
+    { id: "r_follow", type: "supportFollowsHero", enabled: false, severity: "warning", weight: 3, params: { within: 1 } },
+    { id: "r_tribes", type: "minTribesPerQuarter", enabled: false, severity: "warning", weight: 2, params: { min: 2 } },
+    pillarRule(),
+    ...portfolioRules(),
+  ];
+}
+
+/** Flags pillars that go dark for a quarter; added to every rule set by the v8 → v9 migration. */
+export function pillarRule() {
+  return { id: "r_pillars", type: "pillarEveryQuarter", enabled: true, severity: "warning", weight: 3, params: {} };
+}
+
+/** Cross‑market rules (scope "portfolio"), added to every rule set by the v7 → v8 migration. */
+function portfolioRules() {
+  return [
+    { id: "r_shared", type: "sharedHeroPerQuarter", enabled: true, severity: "warning", weight: 4, params: { minShare: 100 } },
+    { id: "r_drift", type: "maxLaunchDrift", enabled: true, severity: "warning", weight: 2, params: { max: 1 } },
+    { id: "r_northstar", type: "northStarShare", enabled: true, severity: "info", weight: 3, params: { min: 50 } },
+  ];
+}
+
+const BASE_SCENARIO_ID = uid("s");
+
+/** @type {FxTable} Indicative rates; edit them on the Budgets tab. */
+const DEFAULT_FX = { reporting: "USD", rates: { USD: 1, MXN: 0.055, CAD: 0.73 } };
+
+const DEFAULT_REGIONS = /** @type {Region[]} */ ([
+  { id: uid("r"), name: "North America" },
+  { id: uid("r"), name: "LATAM" },
+]);
+
+export const DEFAULT_STATE = {
+  scenarioId: BASE_SCENARIO_ID,
+  scenarios: /** @type {Scenario[]} */ ([{ id: BASE_SCENARIO_ID, name: "Base plan" }]),
+  year: new Date().getFullYear(),
+  northStar: "Togetherness that feels effortless.",
+  pillars: ["Hospitalidad hecha a mano", "Servicio adictivo", "Tecnología envolvente", "Conciencia ecosocial"],
+  guardrails: ["Always premium, never tacky", "Clarity over cleverness", "Sustainable by default"],
+  concepts: /** @type {Concept[]} */ ([
+    { id: uid("c"), name: "Love the Long Weekend", role: "Hero", tags: ["short breaks", "romance"], color: SEED_COLOURS[0], northStar: true,
+      pillars: { "Hospitalidad hecha a mano": 2, "Servicio adictivo": 1 } },
+    { id: uid("c"), name: "Sunrise Rituals", role: "Support", tags: ["wellness", "mindfulness"], color: SEED_COLOURS[6],
+      pillars: { "Conciencia ecosocial": 2, "Hospitalidad hecha a mano": 1 } },
+    { id: uid("c"), name: "Culinary Passport", role: "Hero", tags: ["food", "mixology"], color: SEED_COLOURS[4],
+      pillars: { "Servicio adictivo": 2, "Tecnología envolvente": 1 } },
+  ]),
+  tribes: DEFAULT_TRIBES,
+  regions: DEFAULT_REGIONS,
+  markets: /** @type {Market[]} */ ([
+    { id: uid("m"), name: "Mexico", code: "MX", regionId: DEFAULT_REGIONS[1].id, currency: "MXN" },
+    { id: uid("m"), name: "United States", code: "US", regionId: DEFAULT_REGIONS[0].id, currency: "USD" },
+    { id: uid("m"), name: "Canada", code: "CA", regionId: DEFAULT_REGIONS[0].id, currency: "CAD" },
+  ]),
+  plans: /** @type {Plans} */ ({}),
+  budgets: /** @type {Budgets} */ ({}),
+  fx: { ...DEFAULT_FX, rates: { ...DEFAULT_FX.rates } },
+  cohesionRules: /** @type {CohesionRule[]} */ (rulesFromThresholds()),
+  assetCatalog: /** @type {Asset[]} */ (defaultAssetCatalog()),
+};
+
+// ---------- Plan helpers (multi‑year) ----------
+/** Plan for one calendar year; falls back to the selected year. */
+export function planFor(state, year = state.year) {
+  return (state.plans && state.plans[year]) || {};
+}
+
+/** Whether any market has a placement in `year`. A year's plan is only created by its first edit, but may outlive its placements. */
+export function hasPlacements(state, year = state.year) {
+  return Object.values(planFor(state, year)).some((mp) => allPlacements(mp).length);
+}
+
+/** Years that hold a plan, plus the selected year and its neighbours, ascending. */
+export function knownYears(state) {
+  const ys = new Set(Object.keys(state.plans || {}).map(Number));
+  [state.year - 1, state.year, state.year + 1].forEach((y) => ys.add(y));
+  return Array.from(ys).filter((y) => Number.isFinite(y)).sort((a, b) => a - b);
+}
+
+/**
+ * Seeds `fromYear + 1` from `fromYear`: concepts, notes, channels, budget, tribes and flight
+ * dates are carried over; asset checklists start empty because production restarts every
+ * cycle. Months already planned in the target year are kept unless `overwrite` is set, and
+ * budget envelopes are copied for markets that have none yet.
+ */
+export function rollForward(state, fromYear = state.year, { overwrite = false } = {}) {
+  const toYear = fromYear + 1;
+  const source = planFor(state, fromYear);
+  const target = { ...planFor(state, toYear) };
+  for (const [marketId, mp] of Object.entries(source)) {
+    const next = { ...(target[marketId] || {}) };
+    for (const [month, list] of Object.entries(mp || {})) {
+      const planned = (list || []).filter((pl) => pl.conceptId);
+      if (!planned.length) continue;
+      if (placementsIn(next, month).length && !overwrite) continue;
+      next[month] = planned.map((pl) => shiftFlightYears(clonePlacement(pl), toYear - fromYear));
+    }
+    target[marketId] = next;
+  }
+  const budgets = { ...(state.budgets?.[fromYear] || {}), ...(state.budgets?.[toYear] || {}) };
+  return { ...state, year: toYear, plans: { ...state.plans, [toYear]: target }, budgets: { ...state.budgets, [toYear]: budgets } };
+}
+
+// ---------- Flights (dates within a plan year) ----------
+const pad2 = (n) => String(n).padStart(2, "0");
+
+export function isoDate(year, monthIndex, day) { return `${year}-${pad2(monthIndex + 1)}-${pad2(day)}`; }
+
+function daysInMonth(year, monthIndex) { return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate(); }
+
+/** Days since the Unix epoch for an ISO date; handy for durations and shifting. */
+export function dayNumber(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000;
+}
+
+export function fromDayNumber(n) {
+  const d = new Date(n * 86400000);
+  return isoDate(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+export function monthOfDate(iso) { return Number(iso.slice(5, 7)) - 1; }
+
+/** The default flight: the whole month. */
+export function monthFlight(year, monthIndex) {
+  return { start: isoDate(year, monthIndex, 1), end: isoDate(year, monthIndex, daysInMonth(year, monthIndex)) };
+}
+
+/** Keeps a flight inside its plan year and never ending before it starts. */
+export function clampFlight(pl, year) {
+  const first = `${year}-01-01`;
+  const last = `${year}-12-31`;
+  const start = pl.start < first ? first : pl.start > last ? last : pl.start;
+  const end = pl.end < start ? start : pl.end > last ? last : pl.end;
+  return { ...pl, start, end };
+}
+
+/** Moves a flight to `toMonth`, keeping its day of month (where it exists) and its length. */
+export function shiftFlight(pl, year, toMonth) {
+  const length = dayNumber(pl.end) - dayNumber(pl.start);
+  const day = Math.min(Number(pl.start.slice(8, 10)), daysInMonth(year, toMonth));
+  const start = isoDate(year, toMonth, day);
+  return clampFlight({ ...pl, start, end: fromDayNumber(dayNumber(start) + length) }, year);
+}
+
+/** Same flight one or more years later (29 Feb becomes 28 Feb). */
+function shiftFlightYears(pl, years) {
+  const move = (iso) => {
+    const y = Number(iso.slice(0, 4)) + years;
+    const mi = monthOfDate(iso);
+    return isoDate(y, mi, Math.min(Number(iso.slice(8, 10)), daysInMonth(y, mi)));
+  };
+  return { ...pl, start: move(pl.start), end: move(pl.end) };
+}
+
+/** Placements filed under a market‑month, i.e. flights that start in it. */
+export function placementsIn(mp, monthIndex) { return (mp && mp[monthIndex]) || []; }
+
+/** Every placement in a market plan, flattened. */
+export function allPlacements(mp) { return Object.values(mp || {}).flatMap((list) => list || []); }
+
+/** Placements whose flight overlaps the month, wherever they are filed. */
+export function activePlacements(mp, year, monthIndex) {
+  const { start, end } = monthFlight(year, monthIndex);
+  return allPlacements(mp).filter((pl) => pl.start <= end && pl.end >= start);
+}
+
+/** Horizontal extent of a flight inside one month, as percentages for stacked bars. */
+export function flightSpan(pl, year, monthIndex) {
+  const days = daysInMonth(year, monthIndex);
+  const first = dayNumber(isoDate(year, monthIndex, 1));
+  const from = clamp(dayNumber(pl.start) - first, 0, days);
+  const to = clamp(dayNumber(pl.end) - first + 1, 0, days);
+  return { left: (from / days) * 100, width: Math.max(0, (to - from) / days) * 100 };
+}
+
+// ---------- Budgets & currencies ----------
+/**
+ * Placement budgets and envelopes are entered in their market's currency. `fx.rates` holds the
+ * value of one unit in USD (see DEFAULT_FX); totals convert through it into `fx.reporting`.
+ */
+const UNDER_ALLOCATION_WARN = 0.9; // flag envelopes that are less than 90% planned
+
+export function marketCurrency(state, marketId) {
+  return state.markets.find((m) => m.id === marketId)?.currency || "USD";
+}
+
+/** Converts via USD; null when either rate is missing. */
+export function convert(state, amount, from, to = state.fx?.reporting || "USD") {
+  if (from === to) return amount;
+  const rates = state.fx?.rates || {};
+  if (!(rates[from] > 0) || !(rates[to] > 0)) return null;
+  return (amount * rates[from]) / rates[to];
+}
+
+export function formatMoney(amount, currency, locale) {
+  if (amount == null || !Number.isFinite(amount)) return "—";
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${currency} ${Math.round(amount).toLocaleString(locale)}`;
+  }
+}
+
+/** Envelope of one market and year, `{ annual, quarters: [q1, q2, q3, q4] }`; any amount may be unset. */
+export function budgetFor(state, marketId, year = state.year) {
+  const b = state.budgets?.[year]?.[marketId] || {};
+  return { annual: b.annual, quarters: [0, 1, 2, 3].map((q) => b.quarters?.[q]) };
+}
+
+/** Planned spend per quarter (the quarter a flight starts in) and for the year. */
+export function allocatedBudget(state, marketId, year = state.year) {
+  const quarters = [0, 0, 0, 0];
+  for (const pl of allPlacements(planFor(state, year)[marketId])) quarters[quarterOf(monthOfDate(pl.start)) - 1] += pl.budget || 0;
+  return { annual: quarters.reduce((a, b) => a + b, 0), quarters };
+}
+
+/**
+ * Planned spend against envelopes for every market. Issues are `{ level, message }`: errors
+ * for over‑allocation (of envelopes or of a placement's channel split), warnings for
+ * under‑allocation, quarters that don't add up to the annual envelope and missing FX rates.
+ * Without an annual amount the quarter envelopes stand in for it.
+ */
+export function budgetCheck(state, year = state.year) {
+  const reporting = state.fx?.reporting || "USD";
+  const byMarket = {};
+  const totals = { currency: reporting, envelope: 0, allocated: 0, missingRates: [] };
+  for (const m of state.markets) {
+    const currency = marketCurrency(state, m.id);
+    const money = (n) => formatMoney(n, currency);
+    const envelope = budgetFor(state, m.id, year);
+    const allocated = allocatedBudget(state, m.id, year);
+    const quarterSum = envelope.quarters.reduce((a, q) => a + (q || 0), 0);
+    const annual = envelope.annual ?? (envelope.quarters.some((q) => q != null) ? quarterSum : undefined);
+    const issues = [];
+    if (annual != null && allocated.annual > annual) issues.push({ level: "error", message: `Over‑allocated by ${money(allocated.annual - annual)} in ${year}` });
+    else if (annual != null && allocated.annual < annual * UNDER_ALLOCATION_WARN) issues.push({ level: "warning", message: `Under‑allocated: ${money(annual - allocated.annual)} of ${money(annual)} not planned` });
+    envelope.quarters.forEach((q, i) => {
+      if (q != null && allocated.quarters[i] > q) issues.push({ level: "error", message: `Q${i + 1} over by ${money(allocated.quarters[i] - q)}` });
+    });
+    if (envelope.annual != null && envelope.quarters.every((q) => q != null) && quarterSum !== envelope.annual) {
+      issues.push({ level: "warning", message: `Quarter envelopes add up to ${money(quarterSum)}, not ${money(envelope.annual)}` });
+    }
+    const overSplit = allPlacements(planFor(state, year)[m.id]).filter((pl) => channelSplit(pl).unallocated < 0).length;
+    if (overSplit) issues.push({ level: "error", message: `${overSplit} placement(s) split more across channels than their budget` });
+    if (convert(state, 1, currency) == null) {
+      if (!totals.missingRates.includes(currency)) totals.missingRates.push(currency);
+      issues.push({ level: "warning", message: `No FX rate for ${currency}; left out of ${reporting} totals` });
+    } else {
+      totals.envelope += convert(state, annual || 0, currency);
+      totals.allocated += convert(state, allocated.annual, currency);
+    }
+    byMarket[m.id] = { currency, envelope: { ...envelope, annual }, allocated, issues };
+  }
+  return { byMarket, totals };
+}
+
+export const UNALLOCATED_CHANNEL = "Unallocated";
+
+/**
+ * A placement's budget by channel (`channelBudgets`, keyed by the names in `channels`), plus
+ * what is left to split. `unallocated` goes negative when the split exceeds the budget.
+ */
+export function channelSplit(pl) {
+  const split = Object.fromEntries((pl.channels || []).map((ch) => [ch, pl.channelBudgets?.[ch] || 0]));
+  const allocated = Object.values(split).reduce((a, b) => a + b, 0);
+  return { split, allocated, unallocated: (pl.budget || 0) - allocated };
+}
+
+/**
+ * Spend by channel × market × quarter in the reporting currency, ranked by total. Budget not
+ * split across channels shows up as "Unallocated"; markets without an FX rate are left out.
+ * Pass `marketIds` to limit the roll‑up (e.g. one market for the One‑Pager).
+ */
+export function channelSpend(state, year = state.year, marketIds) {
+  const byChannel = {};
+  for (const m of state.markets) {
+    if (marketIds && !marketIds.includes(m.id)) continue;
+    const rate = convert(state, 1, marketCurrency(state, m.id));
+    if (rate == null) continue;
+    for (const pl of allPlacements(planFor(state, year)[m.id])) {
+      const q = quarterOf(monthOfDate(pl.start)) - 1;
+      const { split, unallocated } = channelSplit(pl);
+      const parts = [...Object.entries(split), [UNALLOCATED_CHANNEL, Math.max(0, unallocated)]];
+      for (const [channel, amount] of parts) {
+        if (!amount) continue;
+        const row = (byChannel[channel] = byChannel[channel] || { channel, byMarket: {}, quarters: [0, 0, 0, 0], total: 0 });
+        const cells = (row.byMarket[m.id] = row.byMarket[m.id] || [0, 0, 0, 0]);
+        cells[q] += amount * rate;
+        row.quarters[q] += amount * rate;
+        row.total += amount * rate;
+      }
+    }
+  }
+  return { currency: state.fx?.reporting || "USD", rows: Object.values(byChannel).sort((a, b) => b.total - a.total) };
+}
+
+// ---------- Regions ----------
+export const NO_REGION = "No region";
+
+/** The market's region id, or null when it has none or it points at a deleted region. */
+export function regionOf(state, marketId) {
+  const id = state.markets.find((m) => m.id === marketId)?.regionId;
+  return (state.regions || []).some((r) => r.id === id) ? id : null;
+}
+
+/** The region filter as market ids: the region's markets, or null (every market) for no or an unknown region. */
+export function regionMarketIds(state, regionId) {
+  if (!regionId || !(state.regions || []).some((r) => r.id === regionId)) return null;
+  return state.markets.filter((m) => m.regionId === regionId).map((m) => m.id);
+}
+
+/**
+ * `state` with only the markets in `marketIds` (null keeps them all), as the input for analyses
+ * that walk `state.markets`. Read it, never save it: edits always go to the full state.
+ */
+export function onlyMarkets(state, marketIds) {
+  return marketIds ? { ...state, markets: state.markets.filter((m) => marketIds.includes(m.id)) } : state;
+}
+
+/**
+ * Region roll‑ups for `year`: each region's mean market cohesion score, envelope and planned
+ * spend in the reporting currency, asset readiness and tribe coverage. Markets without a region
+ * roll up under NO_REGION; regions without markets are left out.
+ */
+export function regionRollup(state, year = state.year, { cohesion = analyseCohesion(state, year), budgets = budgetCheck(state, year) } = {}) {
+  const plan = planFor(state, year);
+  const tribeIds = new Set(state.tribes.map((t) => t.id));
+  return [...(state.regions || []), { id: null, name: NO_REGION }].map((r) => {
+    const markets = state.markets.filter((m) => regionOf(state, m.id) === r.id);
+    const placements = markets.flatMap((m) => allPlacements(plan[m.id]));
+    const scores = markets.map((m) => cohesion.byMarket[m.id]?.score).filter((n) => n != null);
+    let envelope = 0, allocated = 0;
+    for (const m of markets) {
+      const b = budgets.byMarket[m.id];
+      if (!b || convert(state, 1, b.currency) == null) continue;
+      envelope += convert(state, b.envelope.annual || 0, b.currency);
+      allocated += convert(state, b.allocated.annual, b.currency);
+    }
+    const reached = new Set(placements.flatMap((pl) => pl.tribes || []).filter((t) => tribeIds.has(t)));
+    return {
+      regionId: r.id,
+      name: r.name,
+      marketIds: markets.map((m) => m.id),
+      score: scores.length ? Math.round(scores.reduce((a, n) => a + n, 0) / scores.length) : null,
+      budget: { currency: budgets.totals.currency, envelope, allocated },
+      readiness: assetReadiness(state.assetCatalog || [], placements),
+      tribes: { reached: reached.size, total: tribeIds.size },
+    };
+  }).filter((row) => row.marketIds.length);
+}
+
+// ---------- Schema & migrations ----------
+/**
+ * Saves are stored as `{ schemaVersion, savedAt, state }`. Bump SCHEMA_VERSION whenever the
+ * shape of the state changes and register the upgrade in MIGRATIONS, keyed by the version it
+ * upgrades *from*. Bare states (pre‑envelope) are version‑sniffed by `detectVersion`.
+ */
+export const SCHEMA_VERSION = 12;
+
+export class MigrationError extends Error {
+  constructor(message, { fromVersion } = {}) {
+    super(message);
+    this.name = "MigrationError";
+    this.fromVersion = fromVersion;
+  }
+}
+
+export const MIGRATIONS = {
+  // v1 → v2: tribes, guardrails and the full cohesion rule set arrived
+  1: (s) => ({
+    ...s,
+    pillars: s.pillars || [],
+    guardrails: s.guardrails || [],
+    tribes: s.tribes || DEFAULT_TRIBES,
+    cohesionRules: { ...LEGACY_RULE_THRESHOLDS, ...(s.cohesionRules || {}) },
+  }),
+  // v2 → v3: the single‑year `plan` moves under `plans[year]`
+  2: (s) => {
+    const { plan, ...rest } = s;
+    const year = Number(rest.year) || new Date().getFullYear();
+    return { ...rest, year, plans: rest.plans || (plan ? { [year]: plan } : {}) };
+  },
+  // v3 → v4: the plan becomes the first named scenario
+  3: (s) => {
+    const id = uid("s");
+    return { ...s, scenarioId: id, scenarios: [{ id, name: "Base plan" }] };
+  },
+  // v4 → v5: a market‑month holds a list of placements, each with flight dates
+  4: (s) => withScenarioPlans(s, (plans) => mapPlacements(plans, (year, month, cell) => {
+    if (Array.isArray(cell)) return cell;
+    const planned = cell && (cell.conceptId || cell.notes || cell.budget || cell.channels?.length || cell.tribes?.length);
+    return planned ? [{ id: uid("p"), ...monthFlight(Number(year), Number(month)), ...cell }] : [];
+  })),
+  // v5 → v6: market currencies, FX table and budget envelopes. Budgets used to be entered
+  // as USD, so existing markets stay in USD until someone changes them.
+  5: (s) => withScenarios(s, (d) => ({
+    ...d,
+    markets: (d.markets || []).map((m) => ({ currency: "USD", ...m })),
+    budgets: d.budgets || {},
+    fx: d.fx || { ...DEFAULT_FX, rates: { ...DEFAULT_FX.rates } },
+  })),
+  // v6 → v7: the cohesion threshold object becomes a list of rule records
+  6: (s) => withScenarios(s, (d) => ({ ...d, cohesionRules: upgradeRules(d.cohesionRules) })),
+  // v7 → v8: cross‑market (portfolio) rules join the rule set
+  7: (s) => withScenarios(s, (d) => {
+    const rules = d.cohesionRules || [];
+    return { ...d, cohesionRules: [...rules, ...portfolioRules().filter((p) => !rules.some((r) => r.type === p.type))] };
+  }),
+  // v8 → v9: concepts can express pillars; the pillar‑balance rule joins the rule set
+  8: (s) => withScenarios(s, (d) => {
+    const rules = d.cohesionRules || [];
+    return { ...d, cohesionRules: rules.some((r) => r.type === "pillarEveryQuarter") ? rules : [...rules, pillarRule()] };
+  }),
+  // v9 → v10: the asset catalogue moves into the state and checklists are keyed by asset id
+  // instead of name (keys that are already ids pass through, so fragments can reuse this)
+  9: (s) => withScenarios(s, (d) => {
+    const assetCatalog = d.assetCatalog || defaultAssetCatalog();
+    const idOf = Object.fromEntries(assetCatalog.map((a) => [a.name, a.id]));
+    const rekey = (assets) => Object.fromEntries(Object.entries(assets).map(([k, v]) => [idOf[k] || k, v]));
+    return { ...d, assetCatalog, plans: mapPlacements(d.plans, (year, month, list) => list.map((pl) => (pl.assets ? { ...pl, assets: rekey(pl.assets) } : pl))) };
+  }),
+  // v10 → v11: checklist booleans become workflow records (ticked = approved), and catalogue
+  // assets get a lead time. Records pass through, so fragments can reuse this too.
+  10: (s) => withScenarios(s, (d) => {
+    const leadOf = Object.fromEntries(DEFAULT_ASSET_CATALOG.map((a) => [a.id, a.leadDays]));
+    const upgrade = (assets) => Object.fromEntries(Object.entries(assets)
+      .filter(([, v]) => v)
+      .map(([id, v]) => [id, v === true ? { status: "approved" } : v]));
+    return {
+      ...d,
+      assetCatalog: (d.assetCatalog || []).map((a) => ({ leadDays: leadOf[a.id] ?? DEFAULT_LEAD_DAYS, ...a })),
+      plans: mapPlacements(d.plans, (year, month, list) => list.map((pl) => (pl.assets ? { ...pl, assets: upgrade(pl.assets) } : pl))),
+    };
+  }),
+  // v11 → v12: markets roll up into regions. The old free‑text `region` held codes like “MX”,
+  // so it becomes the market's `code`; regions start empty.
+  11: (s) => withScenarios(s, (d) => ({
+    ...d,
+    regions: d.regions || [],
+    markets: (d.markets || []).map(({ region, ...m }) => (region !== undefined && m.code === undefined ? { ...m, code: region } : m)),
+  })),
+};
+
+export function upgradeRules(rules) {
+  return Array.isArray(rules) ? rules : rulesFromThresholds({ ...LEGACY_RULE_THRESHOLDS, ...(rules || {}) });
+}
+
+/** Applies `fn` to the live state and to every parked scenario's data. */
+function withScenarios(s, fn) {
+  const scenarios = (s.scenarios || []).map((sc) => (sc.data ? { ...sc, data: fn(sc.data) } : sc));
+  return { ...fn(s), ...(s.scenarios ? { scenarios } : {}) };
+}
+
+/** Applies `fn` to the live plans and to every parked scenario's plans. */
+function withScenarioPlans(s, fn) {
+  return withScenarios(s, (d) => ({ ...d, plans: fn(d.plans || {}) }));
+}
+
+/** Maps every market‑month cell of a plans object; empty results are dropped. */
+export function mapPlacements(plans, fn) {
+  const out = {};
+  for (const [year, plan] of Object.entries(plans || {})) {
+    out[year] = {};
+    for (const [marketId, mp] of Object.entries(plan || {})) {
+      out[year][marketId] = {};
+      for (const [month, cell] of Object.entries(mp || {})) {
+        const list = fn(year, month, cell);
+        if (list.length) out[year][marketId][month] = list;
+      }
+    }
+  }
+  return out;
+}
+
+function detectVersion(raw) {
+  if (raw.scenarios) return 4;
+  if (raw.plans) return 3;
+  if (raw.tribes) return 2;
+  return 1;
+}
+
+export function wrapState(state) {
+  return { schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), state };
+}
+
+/**
+ * Takes anything that came out of storage or an import (envelope or bare state) and returns
+ * a current‑version state. Throws MigrationError when the payload cannot be upgraded.
+ */
+export function migrateState(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new MigrationError("Saved data is not an object.");
+  }
+  const enveloped = typeof raw.schemaVersion === "number" && raw.state && typeof raw.state === "object";
+  let version = enveloped ? raw.schemaVersion : detectVersion(raw);
+  let state = enveloped ? raw.state : raw;
+  if (version > SCHEMA_VERSION) {
+    throw new MigrationError(`Saved with schema v${version}, but this build only understands up to v${SCHEMA_VERSION}.`, { fromVersion: version });
+  }
+  const fromVersion = version;
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new MigrationError(`No migration from schema v${version}.`, { fromVersion });
+    try {
+      state = step(state);
+    } catch (e) {
+      throw new MigrationError(`Migration v${version} → v${version + 1} failed: ${e.message}`, { fromVersion });
+    }
+    version += 1;
+  }
+  if (!Array.isArray(state.markets) || !Array.isArray(state.concepts)) {
+    throw new MigrationError("Saved data has no markets or concepts list.", { fromVersion });
+  }
+  return state;
+}
+
+// ---------- Cohesion logic ----------
+export const RULE_SEVERITIES = ["error", "warning", "info"];
+
+const MAX_FIXES = 3; // suggestions offered per issue
+
+/** Fix: a new whole‑month placement of `conceptId` (no `placementId`, see applyPlacementPatch). */
+function assignFix(ctx, conceptId, month) {
+  return { label: `Assign ${ctx.conceptById[conceptId]?.name} to ${MONTHS[month]}`, marketId: ctx.market.id, month, patch: { conceptId } };
+}
+
+/** Fix: swap the concept of an existing placement, addressed by the month it is filed under. */
+function replaceFix(ctx, pl, conceptId) {
+  const month = monthOfDate(pl.start);
+  return {
+    label: `Replace ${ctx.conceptById[pl.conceptId]?.name ?? "placement"} with ${ctx.conceptById[conceptId]?.name} in ${MONTHS[month]}`,
+    marketId: ctx.market.id, month, placementId: pl.id, patch: { conceptId },
+  };
+}
+
+/** Names the market on fixes suggested by portfolio rules. */
+const inMarket = (ctx, fix) => ({ ...fix, label: `${fix.label} (${ctx.market.name})` });
+
+/** Months with nothing running, nearest to `near` first. */
+function openMonthsOf(ctx, months = MONTHS.map((_, i) => i), near) {
+  const open = months.filter((mi) => !ctx.monthConcepts[mi].length);
+  return near == null ? open : open.sort((a, b) => Math.abs(a - near) - Math.abs(b - near) || a - b);
+}
+
+/** Concept ids of a role (or all), most used in this market first. */
+function conceptsByUse(ctx, role) {
+  const uses = (id) => ctx.monthConcepts.filter((ids) => ids.includes(id)).length;
+  return ctx.state.concepts.filter((c) => !role || c.role === role).map((c) => c.id).sort((a, b) => uses(b) - uses(a));
+}
+
+/** Distinct placements running in any of `months`, optionally of one concept or role. */
+function placementsDuring(ctx, months, test = () => true) {
+  const seen = new Set();
+  return months.flatMap((mi) => ctx.live[mi]).filter((pl) => !seen.has(pl.id) && seen.add(pl.id) && test(pl));
+}
+
+export const quarterMonths = (q) => [0, 1, 2].map((o) => (q - 1) * 3 + o);
+
+/** A concept's pillar weights as shares of 1, over pillars that still exist. */
+export function conceptPillarShares(concept, pillars) {
+  const weights = pillars.map((p) => [p, Math.max(0, Number(concept?.pillars?.[p]) || 0)]).filter(([, w]) => w);
+  const total = weights.reduce((a, [, w]) => a + w, 0);
+  return Object.fromEntries(weights.map(([p, w]) => [p, w / total]));
+}
+
+/** Each pillar's summed share over the concepts live in each of `monthConcepts` (one concept‑month each). */
+function pillarSums(monthConcepts, conceptById, pillars) {
+  const sum = Object.fromEntries(pillars.map((p) => [p, 0]));
+  for (const id of monthConcepts.flat()) {
+    for (const [p, share] of Object.entries(conceptPillarShares(conceptById[id], pillars))) sum[p] += share;
+  }
+  return sum;
+}
+
+/** Pillar sums as rounded percentages. A small share can round to 0, so test darkness on the sums. */
+function pillarMix(sum, pillars) {
+  const total = Object.values(sum).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(pillars.map((p) => [p, total ? Math.round((sum[p] / total) * 100) : 0]));
+}
+
+/**
+ * Cohesion rule types. A rule record (`state.cohesionRules[i]`) names a type and carries its
+ * own params, severity and weight. `check(ctx, params)` returns violations `{ message, amount,
+ * months?, conceptIds?, fixes? }`; each costs `weight × amount` points off a score of 100, and
+ * each fix is a placement patch (see assignFix / replaceFix). Market rules see one market's
+ * months; `scope: "portfolio"` rules see every market at once (contexts: analyseCohesion).
+ */
+export const RULE_TYPES = {
+  minMonthsPlanned: {
+    label: "Minimum months planned",
+    params: [{ key: "min", label: "Months", default: 10 }],
+    check: (ctx, { min }) => {
+      const planned = ctx.monthConcepts.filter((ids) => ids.length).length;
+      if (planned >= min) return [];
+      const open = openMonthsOf(ctx);
+      const lead = conceptsByUse(ctx, "Hero")[0] ?? conceptsByUse(ctx)[0];
+      return [{
+        message: `Only ${planned}/12 months planned (min ${min}).`, amount: min - planned, months: open,
+        fixes: lead ? open.slice(0, MAX_FIXES).map((mi) => assignFix(ctx, lead, mi)) : [],
+      }];
+    },
+  },
+  maxHeroConcepts: {
+    label: "Maximum hero concepts",
+    params: [{ key: "max", label: "Heroes", default: 4 }],
+    check: (ctx, { max }) => {
+      if (ctx.heroIds.length <= max) return [];
+      const [keep, ...rest] = conceptsByUse(ctx, "Hero").filter((id) => ctx.heroIds.includes(id));
+      const extra = rest.slice(-(ctx.heroIds.length - max));
+      return [{
+        message: `Too many hero concepts: ${ctx.heroIds.length} (max ${max}).`, amount: ctx.heroIds.length - max, conceptIds: extra,
+        fixes: placementsDuring(ctx, MONTHS.map((_, i) => i), (pl) => extra.includes(pl.conceptId)).slice(0, MAX_FIXES).map((pl) => replaceFix(ctx, pl, keep)),
+      }];
+    },
+  },
+  minHeroRepeats: {
+    label: "Each hero repeats",
+    params: [{ key: "min", label: "Months", default: 3 }],
+    check: (ctx, { min }) => ctx.heroIds.flatMap((id) => {
+      const months = MONTHS.map((_, i) => i).filter((mi) => ctx.monthConcepts[mi].includes(id));
+      if (months.length >= min) return [];
+      const open = openMonthsOf(ctx, undefined, months[0]);
+      const fixes = open.length
+        ? open.slice(0, MAX_FIXES).map((mi) => assignFix(ctx, id, mi))
+        : placementsDuring(ctx, MONTHS.map((_, i) => i), (pl) => ctx.conceptById[pl.conceptId]?.role === "Support").slice(0, MAX_FIXES).map((pl) => replaceFix(ctx, pl, id));
+      return [{ message: `Hero “${ctx.conceptById[id].name}” repeats ${months.length}× (min ${min}).`, amount: min - months.length, months, conceptIds: [id], fixes }];
+    }),
+  },
+  heroEveryQuarter: {
+    label: "Hero present every quarter",
+    params: [],
+    check: (ctx) => [1, 2, 3, 4].flatMap((q) => {
+      const months = quarterMonths(q);
+      if (months.some((mi) => ctx.monthConcepts[mi].some((id) => ctx.conceptById[id]?.role === "Hero"))) return [];
+      const hero = conceptsByUse(ctx, "Hero")[0];
+      const open = openMonthsOf(ctx, months);
+      const fixes = !hero ? [] : open.length
+        ? open.slice(0, MAX_FIXES).map((mi) => assignFix(ctx, hero, mi))
+        : placementsDuring(ctx, months).slice(0, MAX_FIXES).map((pl) => replaceFix(ctx, pl, hero));
+      return [{ message: `No hero presence in Q${q}.`, amount: 1, months, fixes }];
+    }),
+  },
+  maxConcepts: {
+    label: "Maximum concepts",
+    params: [{ key: "max", label: "Concepts", default: 8 }],
+    check: (ctx, { max }) => {
+      if (ctx.conceptIds.length <= max) return [];
+      const used = conceptsByUse(ctx).filter((id) => ctx.conceptIds.includes(id));
+      const extra = used.slice(max);
+      const fixes = placementsDuring(ctx, MONTHS.map((_, i) => i), (pl) => extra.includes(pl.conceptId)).slice(0, MAX_FIXES).map((pl) => {
+        const role = ctx.conceptById[pl.conceptId]?.role;
+        return replaceFix(ctx, pl, used.find((id) => ctx.conceptById[id]?.role === role) ?? used[0]);
+      });
+      return [{ message: `Too many concepts: ${ctx.conceptIds.length} (max ${max}).`, amount: ctx.conceptIds.length - max, conceptIds: extra, fixes }];
+    },
+  },
+  maxConsecutiveMonths: {
+    label: "No concept runs longer than",
+    params: [{ key: "max", label: "Months", default: 3 }],
+    check: (ctx, { max }) => ctx.conceptIds.flatMap((id) => {
+      const out = [];
+      let run = 0;
+      ctx.monthConcepts.forEach((ids, mi) => {
+        run = ids.includes(id) ? run + 1 : 0;
+        const ends = run > 0 && (mi === 11 || !ctx.monthConcepts[mi + 1].includes(id));
+        if (!ends || run <= max) return;
+        const months = MONTHS.map((_, i) => i).slice(mi - run + 1, mi + 1);
+        const role = ctx.conceptById[id]?.role;
+        const alt = conceptsByUse(ctx, role).find((x) => x !== id);
+        const fixes = alt ? placementsDuring(ctx, [months[max]], (pl) => pl.conceptId === id).slice(0, 1).map((pl) => replaceFix(ctx, pl, alt)) : [];
+        out.push({ message: `“${ctx.conceptById[id]?.name ?? id}” runs ${run} consecutive months to ${MONTHS[mi]} (max ${max}).`, amount: run - max, months, conceptIds: [id], fixes });
+      });
+      return out;
+    }),
+  },
+  supportFollowsHero: {
+    label: "Support follows a hero",
+    params: [{ key: "within", label: "Within months", default: 1 }],
+    check: (ctx, { within }) => MONTHS.flatMap((m, mi) => {
+      const supports = ctx.monthConcepts[mi].filter((id) => ctx.conceptById[id]?.role === "Support");
+      const recent = ctx.monthConcepts.slice(Math.max(0, mi - within), mi + 1).flat();
+      if (!supports.length || recent.some((id) => ctx.conceptById[id]?.role === "Hero")) return [];
+      const hero = conceptsByUse(ctx, "Hero")[0];
+      const before = openMonthsOf(ctx, MONTHS.map((_, i) => i).slice(Math.max(0, mi - within), mi), mi);
+      const fixes = hero ? [...before.slice(0, 1), mi].map((x) => assignFix(ctx, hero, x)) : [];
+      return [{ message: `Support in ${m} has no hero in the same or previous ${within} month(s).`, amount: 1, months: [mi], conceptIds: supports, fixes }];
+    }),
+  },
+  minTribesPerQuarter: {
+    label: "Tribes covered per quarter",
+    params: [{ key: "min", label: "Tribes", default: 2 }],
+    check: (ctx, { min }) => [1, 2, 3, 4].flatMap((q) => {
+      const months = quarterMonths(q);
+      const covered = new Set(months.flatMap((mi) => ctx.monthTribes[mi]));
+      if (covered.size >= min) return [];
+      const target = placementsDuring(ctx, months)[0];
+      const missing = ctx.state.tribes.filter((t) => !covered.has(t.id)).slice(0, Math.min(MAX_FIXES, min - covered.size));
+      const fixes = target ? missing.map((t) => ({
+        label: `Add tribe ${t.name} to ${ctx.conceptById[target.conceptId]?.name ?? "placement"} in ${MONTHS[monthOfDate(target.start)]}`,
+        marketId: ctx.market.id, month: monthOfDate(target.start), placementId: target.id, patch: { tribes: [...(target.tribes || []), t.id] },
+      })) : [];
+      return [{ message: `Q${q} covers ${covered.size} tribe(s) (min ${min}).`, amount: min - covered.size, months, fixes }];
+    }),
+  },
+  pillarEveryQuarter: {
+    label: "Every pillar each quarter",
+    params: [],
+    check: (ctx) => {
+      const pillars = ctx.state.pillars || [];
+      const carriers = (p) => ctx.state.concepts.map((c) => [c.id, conceptPillarShares(c, pillars)[p] || 0]).filter(([, w]) => w).sort((a, b) => b[1] - a[1]).map(([id]) => id);
+      if (!pillars.some((p) => carriers(p).length)) return []; // no concept linked to a pillar yet
+      return [1, 2, 3, 4].flatMap((q) => {
+        const months = quarterMonths(q);
+        if (!months.some((mi) => ctx.monthConcepts[mi].length)) return []; // an empty quarter is heroEveryQuarter's problem
+        const sum = pillarSums(months.map((mi) => ctx.monthConcepts[mi]), ctx.conceptById, pillars);
+        return pillars.filter((p) => !sum[p]).map((p) => {
+          const best = carriers(p)[0];
+          const open = openMonthsOf(ctx, months);
+          const fixes = !best ? [] : open.length
+            ? open.slice(0, MAX_FIXES).map((mi) => assignFix(ctx, best, mi))
+            : placementsDuring(ctx, months, (pl) => pl.conceptId !== best).slice(0, MAX_FIXES).map((pl) => replaceFix(ctx, pl, best));
+          return { message: `Pillar “${p}” goes dark in Q${q}.`, amount: 1, months, conceptIds: best ? [best] : [], fixes };
+        });
+      });
+    },
+  },
+  sharedHeroPerQuarter: {
+    label: "Shared hero per quarter",
+    scope: "portfolio",
+    params: [{ key: "minShare", label: "% of markets", default: 100 }],
+    check: ({ markets, conceptById }, { minShare }) => [1, 2, 3, 4].flatMap((q) => {
+      const months = quarterMonths(q);
+      const active = markets.filter((mk) => months.some((mi) => mk.monthConcepts[mi].length));
+      if (active.length < 2) return [];
+      const heroes = {};
+      for (const mk of active) {
+        const ids = new Set(months.flatMap((mi) => mk.monthConcepts[mi]).filter((id) => conceptById[id]?.role === "Hero"));
+        ids.forEach((id) => { heroes[id] = (heroes[id] || 0) + 1; });
+      }
+      const [bestId, best = 0] = Object.entries(heroes).sort((a, b) => b[1] - a[1])[0] || [];
+      if ((best / active.length) * 100 >= minShare) return [];
+      const lead = bestId ? `best: “${conceptById[bestId].name}” in ${best}/${active.length}` : "no hero at all";
+      const fixes = !bestId ? [] : active.filter((mk) => !months.some((mi) => mk.monthConcepts[mi].includes(bestId))).slice(0, MAX_FIXES).map((mk) => {
+        const open = openMonthsOf(mk, months)[0];
+        const pl = placementsDuring(mk, months, (x) => conceptById[x.conceptId]?.role === "Hero")[0] || placementsDuring(mk, months)[0];
+        return inMarket(mk, open != null || !pl ? assignFix(mk, bestId, open ?? months[0]) : replaceFix(mk, pl, bestId));
+      });
+      return [{ message: `Q${q}: no hero shared by ${minShare}% of active markets (${lead}).`, amount: 1, months, conceptIds: bestId ? [bestId] : [], fixes }];
+    }),
+  },
+  maxLaunchDrift: {
+    label: "Launch month drift",
+    scope: "portfolio",
+    params: [{ key: "max", label: "Months", default: 1 }],
+    check: ({ markets, conceptById }, { max }) => Object.keys(conceptById).flatMap((id) => {
+      const launches = markets.map((mk) => ({ mk, mi: mk.monthConcepts.findIndex((ids) => ids.includes(id)) })).filter((x) => x.mi >= 0);
+      if (launches.length < 2) return [];
+      const first = Math.min(...launches.map((x) => x.mi));
+      const last = Math.max(...launches.map((x) => x.mi));
+      if (last - first <= max) return [];
+      const fixes = launches.filter((x) => x.mi - first > max).slice(0, MAX_FIXES).map(({ mk }) => {
+        const pl = mk.live[first][0];
+        return inMarket(mk, pl ? replaceFix(mk, pl, id) : assignFix(mk, id, first));
+      });
+      return [{
+        message: `“${conceptById[id].name}” launches ${MONTHS[first]}–${MONTHS[last]} across markets (drift ${last - first}, max ${max}).`,
+        amount: last - first - max, months: [first, last], conceptIds: [id], fixes,
+      }];
+    }),
+  },
+  northStarShare: {
+    label: "North Star share",
+    scope: "portfolio",
+    params: [{ key: "min", label: "% of market‑months", default: 50 }],
+    check: ({ markets, conceptById, northStar }, { min }) => {
+      if (!northStar.tagged) return [{ message: "No concept is marked as carrying the North Star; tag one in the Concept Library.", amount: 0 }];
+      if (northStar.planned === 0 || northStar.share >= min) return [];
+      const ns = Object.values(conceptById).filter((c) => c.northStar).sort((a, b) => (a.role === "Hero" ? -1 : 1) - (b.role === "Hero" ? -1 : 1))[0].id;
+      const fixes = markets.flatMap((mk) => {
+        const pl = placementsDuring(mk, MONTHS.map((_, i) => i), (x) => x.conceptId && !conceptById[x.conceptId]?.northStar && conceptById[x.conceptId]?.role === conceptById[ns].role)[0];
+        return pl ? [inMarket(mk, replaceFix(mk, pl, ns))] : [];
+      }).slice(0, MAX_FIXES);
+      return [{ message: `North Star concepts run in ${northStar.share}% of planned market‑months (min ${min}%).`, amount: Math.ceil((min - northStar.share) / 10), conceptIds: [ns], fixes }];
+    },
+  },
+};
+
+/** A rule's params with its type's defaults filled in. */
+export function ruleParams(rule) {
+  const type = RULE_TYPES[rule.type];
+  return { ...Object.fromEntries((type?.params || []).map((p) => [p.key, p.default])), ...(rule.params || {}) };
+}
+
+/** Human summary of a rule, e.g. "Minimum months planned: 10". */
+export function describeRule(rule) {
+  const type = RULE_TYPES[rule.type];
+  if (!type) return `Unknown rule “${rule.type}”`;
+  const params = ruleParams(rule);
+  return [rule.label || type.label, type.params.map((p) => params[p.key]).join(", ")].filter(Boolean).join(": ");
+}
+
+/**
+ * Scores every market against the enabled market rules of `state.cohesionRules`, then the
+ * portfolio against the cross‑market ones. Per market (and for `portfolio`): the score, a few
+ * stats, every violation as an issue `{ ruleId, type, severity, marketId, message, amount, months,
+ * conceptIds, fixes }`, and `rules` — one entry per enabled rule with its severity, those issues
+ * and the points it cost. `overall` is the market average minus the
+ * portfolio's penalties, so markets that each look fine but tell different stories don't score green.
+ */
+export function analyseCohesion(state, year = state.year) {
+  const byMarket = {};
+  const plan = planFor(state, year);
+  const conceptById = Object.fromEntries(state.concepts.map((c)=> [c.id, c]));
+  const enabled = (state.cohesionRules || []).filter((rule)=> rule.enabled !== false && RULE_TYPES[rule.type]);
+  // Violations become issues: what broke, where, and the placement patches that would fix it
+  const runRules = (scope, ctx) => enabled.filter((rule)=> (RULE_TYPES[rule.type].scope || "market") === scope).map((rule)=> {
+    const severity = rule.severity || "warning";
+    const violations = RULE_TYPES[rule.type].check(ctx, ruleParams(rule)).map((v)=> ({
+      ruleId: rule.id, type: rule.type, severity, marketId: ctx.market?.id ?? null,
+      message: v.message, amount: v.amount, months: v.months || [], conceptIds: v.conceptIds || [], fixes: v.fixes || [],
+    }));
+    const penalty = violations.reduce((a, v)=> a + v.amount * (rule.weight || 0), 0);
+    return { ruleId: rule.id, label: describeRule(rule), severity, violations, penalty };
+  });
+  const scored = (results) => ({
+    score: clamp(100 - results.reduce((a, r)=> a + r.penalty, 0), 0, 100),
+    issues: results.flatMap((r)=> r.violations),
+    rules: results,
+  });
+
+  const marketCtx = state.markets.map((m)=> {
+    const mp = plan[m.id] || {};
+    // Concepts live in each month; overlapping flights of one concept count once per month
+    const live = MONTHS.map((_, i)=> activePlacements(mp, year, i));
+    const monthConcepts = live.map((list)=> Array.from(new Set(list.map((pl)=> pl.conceptId).filter(Boolean))));
+    const monthTribes = live.map((list)=> Array.from(new Set(list.flatMap((pl)=> pl.tribes || []))));
+    const conceptIds = Array.from(new Set(monthConcepts.flat()));
+    const heroIds = conceptIds.filter((id)=> conceptById[id]?.role === "Hero");
+    return { state, year, market: m, mp, live, monthConcepts, monthTribes, conceptIds, heroIds, conceptById };
+  });
+
+  for (const ctx of marketCtx) {
+    const { monthConcepts, heroIds, conceptIds } = ctx;
+    byMarket[ctx.market.id] = {
+      ...scored(runRules("market", ctx)),
+      stats: {
+        monthsPlanned: monthConcepts.filter((ids)=> ids.length).length,
+        heroConceptsUsed: heroIds.length,
+        totalConceptsUsed: conceptIds.length,
+        overlapMonths: monthConcepts.filter((ids)=> ids.length > 1).length,
+      },
+    };
+  }
+
+  // Share of planned market‑months that feature a concept carrying the North Star
+  const plannedMonths = marketCtx.flatMap((ctx)=> ctx.monthConcepts.filter((ids)=> ids.length));
+  const northStarMonths = plannedMonths.filter((ids)=> ids.some((id)=> conceptById[id]?.northStar)).length;
+  const northStar = {
+    tagged: state.concepts.some((c)=> c.northStar),
+    planned: plannedMonths.length,
+    share: plannedMonths.length ? Math.round((northStarMonths / plannedMonths.length) * 100) : 0,
+  };
+  const portfolio = { ...scored(runRules("portfolio", { state, year, markets: marketCtx, conceptById, northStar })), stats: { northStar } };
+
+  const average = Object.values(byMarket).reduce((a, b) => a + b.score, 0) / Math.max(1, (state.markets || []).length);
+  const overall = clamp(Math.round(average) - (100 - portfolio.score), 0, 100);
+
+  return { year, overall, byMarket, portfolio };
+}
+
+/**
+ * Pillar shares (percent) for `year`, per market by quarter and for the year, plus the portfolio
+ * as a whole. A concept splits each month it runs across its pillars by weight. Each quarter's
+ * `dark` lists pillars with no share although the market is active; `linked` stays false until
+ * some concept expresses a pillar.
+ */
+export function pillarBalance(state, year = state.year) {
+  const plan = planFor(state, year);
+  const pillars = state.pillars || [];
+  const conceptById = Object.fromEntries(state.concepts.map((c) => [c.id, c]));
+  const byMarket = {};
+  const everywhere = [];
+  for (const m of state.markets) {
+    const monthConcepts = MONTHS.map((_, mi) => Array.from(new Set(activePlacements(plan[m.id] || {}, year, mi).map((pl) => pl.conceptId).filter(Boolean))));
+    const quarters = [1, 2, 3, 4].map((q) => {
+      const ids = quarterMonths(q).map((mi) => monthConcepts[mi]);
+      const sum = pillarSums(ids, conceptById, pillars);
+      return { mix: pillarMix(sum, pillars), dark: ids.some((x) => x.length) ? pillars.filter((p) => !sum[p]) : [] };
+    });
+    byMarket[m.id] = { year: pillarMix(pillarSums(monthConcepts, conceptById, pillars), pillars), quarters };
+    everywhere.push(...monthConcepts);
+  }
+  return {
+    pillars,
+    linked: state.concepts.some((c) => Object.keys(conceptPillarShares(c, pillars)).length),
+    byMarket,
+    portfolio: pillarMix(pillarSums(everywhere, conceptById, pillars), pillars),
+  };
+}
+
+export const pillarColour = (i) => SEED_COLOURS[(i * 3 + 1) % SEED_COLOURS.length];
+
+// ---------- Tribe analysis ----------
+const TRIBE_FATIGUE_MONTHS = 6; // consecutive months one market may target a tribe before it reads as fatigue
+const CHANNEL_NOISE = new Set(["ads", "media", "the", "and", "paid"]);
+const CHANNEL_ALIASES = { instagram: "ig", insta: "ig", facebook: "meta", fb: "meta", yt: "youtube", sem: "search", newsletter: "email" };
+
+/** Words that identify a channel: "Search (intent)" → search, "Meta Ads" → meta, "Concierge/CRM" → concierge, crm. */
+function channelWords(name) {
+  return String(name).toLowerCase().replace(/\(.*?\)/g, " ").split(/[^a-z0-9]+/)
+    .filter((w) => w && !CHANNEL_NOISE.has(w)).map((w) => CHANNEL_ALIASES[w] || w);
+}
+
+/**
+ * Whether a placement channel and a tribe's preferred channel name the same thing; free‑text
+ * names match when one's words contain the other's ("IG Reels" ~ "IG", "Google Search" ~ "Search").
+ */
+export function channelsMatch(a, b) {
+  const wa = channelWords(a), wb = channelWords(b);
+  if (!wa.length || !wb.length) return false;
+  return wa.every((w) => wb.includes(w)) || wb.every((w) => wa.includes(w));
+}
+
+/**
+ * Channel fit of one placement: the share of its target tribes reached through at least one
+ * of their preferred channels, and the channels none of them prefer. `null` when the placement
+ * has no channels or no (known) tribes to compare.
+ */
+function placementChannelFit(pl, tribeById) {
+  const tribes = (pl.tribes || []).map((id) => tribeById[id]).filter(Boolean);
+  const channels = pl.channels || [];
+  if (!tribes.length || !channels.length) return null;
+  const prefers = (t, ch) => (t.channels || []).some((pref) => channelsMatch(ch, pref));
+  const missed = tribes.filter((t) => !channels.some((ch) => prefers(t, ch)));
+  return {
+    score: Math.round(((tribes.length - missed.length) / tribes.length) * 100),
+    missed: missed.map((t) => t.id),
+    offChannels: channels.filter((ch) => !tribes.some((t) => prefers(t, ch))),
+  };
+}
+
+/**
+ * Tribe coverage for `year`. Per tribe: which markets reach it in each month (`months[mi]` is a
+ * list of market ids), months reached per market, and fatigue runs. `gaps` lists tribe × quarter
+ * holes (unreached everywhere, or in markets that are otherwise active that quarter); `fit`
+ * scores every placement's channels against its tribes' preferred channels.
+ */
+export function analyseTribes(state, year = state.year) {
+  const plan = planFor(state, year);
+  const tribeById = Object.fromEntries(state.tribes.map((t) => [t.id, t]));
+  const marketName = (id) => state.markets.find((m) => m.id === id)?.name ?? id;
+  const live = Object.fromEntries(state.markets.map((m) => [m.id, MONTHS.map((_, mi) => activePlacements(plan[m.id] || {}, year, mi))]));
+
+  const byTribe = {};
+  const fatigue = [];
+  for (const t of state.tribes) {
+    const months = MONTHS.map((_, mi) => state.markets.filter((m) => live[m.id][mi].some((pl) => (pl.tribes || []).includes(t.id))).map((m) => m.id));
+    const byMarket = Object.fromEntries(state.markets.map((m) => [m.id, months.filter((ids) => ids.includes(m.id)).length]));
+    byTribe[t.id] = { months, byMarket, reachedMonths: months.filter((ids) => ids.length).length };
+
+    for (const m of state.markets) {
+      let run = 0;
+      months.forEach((ids, mi) => {
+        run = ids.includes(m.id) ? run + 1 : 0;
+        const ends = run > 0 && (mi === 11 || !months[mi + 1].includes(m.id));
+        if (ends && run >= TRIBE_FATIGUE_MONTHS) {
+          fatigue.push({ tribeId: t.id, marketId: m.id, months: MONTHS.map((_, i) => i).slice(mi - run + 1, mi + 1),
+            message: `${t.name} targeted ${run} months in a row in ${marketName(m.id)} (${MONTHS[mi - run + 1]}–${MONTHS[mi]}); rotate creative or rest the tribe.` });
+        }
+      });
+    }
+  }
+
+  const gaps = [];
+  for (const q of [1, 2, 3, 4]) {
+    const qm = [0, 1, 2].map((o) => (q - 1) * 3 + o);
+    const active = state.markets.filter((m) => qm.some((mi) => live[m.id][mi].length)).map((m) => m.id);
+    for (const t of state.tribes) {
+      const reached = new Set(qm.flatMap((mi) => byTribe[t.id].months[mi]));
+      const missing = reached.size ? active.filter((id) => !reached.has(id)) : state.markets.map((m) => m.id);
+      if (reached.size && !missing.length) continue;
+      gaps.push({ tribeId: t.id, quarter: q, marketIds: missing,
+        message: reached.size ? `${t.name} unreached in Q${q} in ${missing.map(marketName).join(", ")}` : `${t.name} unreached in Q${q}` });
+    }
+  }
+
+  const placements = state.markets.flatMap((m) => allPlacements(plan[m.id]).map((pl) => ({ marketId: m.id, placement: pl, fit: placementChannelFit(pl, tribeById) })))
+    .filter((x) => x.fit);
+  const mean = (list) => (list.length ? Math.round(list.reduce((a, x) => a + x.fit.score, 0) / list.length) : null);
+  const fit = {
+    score: mean(placements),
+    byMarket: Object.fromEntries(state.markets.map((m) => [m.id, mean(placements.filter((x) => x.marketId === m.id))])),
+    placements,
+  };
+
+  return { year, byTribe, gaps, fatigue, fit };
+}
+
+// ---------- Plan editing helpers ----------
+/** Copy of a placement for a new slot (new id); assets stay behind unless the placement is moved. */
+function clonePlacement(pl, { keepAssets = false } = {}) {
+  return { ...pl, id: uid("p"), channels: [...(pl.channels || [])], tribes: [...(pl.tribes || [])], assets: keepAssets ? { ...(pl.assets || {}) } : {} };
+}
+
+/** Rewrites one market plan of the selected year. */
+export function withMarketPlans(state, fn) {
+  const plan = { ...planFor(state) };
+  fn(plan);
+  return { ...state, plans: { ...state.plans, [state.year]: plan } };
+}
+
+/** Drops a placement into the bucket of the month its flight starts in. */
+export function fileInto(mp, pl) {
+  const month = monthOfDate(pl.start);
+  mp[month] = [...placementsIn(mp, month), pl];
+}
+
+function setBucket(mp, month, list) {
+  if (list.length) mp[month] = list;
+  else delete mp[month];
+}
+
+/**
+ * Patches the placement `placementId` filed under `month`, or appends a new placement
+ * (whole‑month flight) when no such id exists there. A start date in another month refiles it.
+ */
+export function applyPlacementPatch(state, marketId, month, patch, placementId) {
+  return withMarketPlans(state, (plan) => {
+    const mp = { ...(plan[marketId] || {}) };
+    const list = [...placementsIn(mp, month)];
+    const i = list.findIndex((pl) => pl.id === placementId);
+    const base = i >= 0 ? list.splice(i, 1)[0] : { id: placementId || uid("p"), ...monthFlight(state.year, month) };
+    const next = clampFlight({ ...base, ...patch }, state.year);
+    if (monthOfDate(next.start) === Number(month)) list.splice(i >= 0 ? i : list.length, 0, next);
+    setBucket(mp, month, list);
+    if (monthOfDate(next.start) !== Number(month)) fileInto(mp, next);
+    plan[marketId] = mp;
+  });
+}
+
+/** Applies a cohesion fix suggestion (see RULE_TYPES) — the same patch the fix button sends. */
+export function applyFix(state, fix) {
+  return applyPlacementPatch(state, fix.marketId, fix.month, fix.patch, fix.placementId);
+}
+
+/** Removes one placement, or every placement filed under the month when no id is given. */
+export function removePlacement(state, marketId, month, placementId) {
+  return withMarketPlans(state, (plan) => {
+    const mp = { ...(plan[marketId] || {}) };
+    setBucket(mp, month, placementId ? placementsIn(mp, month).filter((pl) => pl.id !== placementId) : []);
+    plan[marketId] = mp;
+  });
+}
+
+/**
+ * Moves (or copies) placement `from.placementId` to another market and/or month. The flight
+ * keeps its length and day of month; the target month simply gains another placement.
+ */
+export function movePlacement(state, from, to, { copy = false } = {}) {
+  const src = placementsIn(planFor(state)[from.marketId], from.month).find((pl) => pl.id === from.placementId);
+  if (!src || (!copy && from.marketId === to.marketId && from.month === to.month)) return state;
+  return withMarketPlans(state, (plan) => {
+    const fromMp = { ...(plan[from.marketId] || {}) };
+    plan[from.marketId] = fromMp;
+    if (!copy) setBucket(fromMp, from.month, placementsIn(fromMp, from.month).filter((pl) => pl.id !== src.id));
+    const toMp = from.marketId === to.marketId ? fromMp : { ...(plan[to.marketId] || {}) };
+    plan[to.marketId] = toMp;
+    fileInto(toMp, shiftFlight(copy ? clonePlacement(src) : src, state.year, to.month));
+  });
+}
+
+export function pastePlacement(state, to, placement) {
+  return withMarketPlans(state, (plan) => {
+    const mp = { ...(plan[to.marketId] || {}) };
+    fileInto(mp, shiftFlight(clonePlacement(placement), state.year, to.month));
+    plan[to.marketId] = mp;
+  });
+}
+
+/** Bulk setup: copies one market's calendar onto others, optionally keeping their planned months. */
+export function copyMarketPlan(state, fromMarketId, toMarketIds, { overwrite = true } = {}) {
+  return withMarketPlans(state, (plan) => {
+    const source = plan[fromMarketId] || {};
+    for (const id of toMarketIds) {
+      if (id === fromMarketId) continue;
+      const target = overwrite ? {} : { ...(plan[id] || {}) };
+      for (const [month, list] of Object.entries(source)) {
+        if (!overwrite && placementsIn(target, month).length) continue;
+        target[month] = (list || []).map((pl) => clonePlacement(pl));
+      }
+      plan[id] = target;
+    }
+  });
+}
+
+/**
+ * Replaces the pillar list and keeps concept weights in step, since they are keyed by pillar
+ * name: a pillar renamed in place (same slot, new name) carries its weights over, and weights
+ * for pillars no longer listed are dropped.
+ */
+export function setPillars(state, pillars) {
+  const before = state.pillars || [];
+  const renamed = pillars.length !== before.length ? {} : Object.fromEntries(
+    before.map((p, i) => [p, pillars[i]]).filter(([from, to]) => from !== to && !pillars.includes(from) && !before.includes(to))
+  );
+  const concepts = state.concepts.map((c) => {
+    if (!c.pillars) return c;
+    const weights = Object.entries(c.pillars).map(([p, w]) => [renamed[p] ?? p, w]).filter(([p]) => pillars.includes(p));
+    return { ...c, pillars: Object.fromEntries(weights) };
+  });
+  return { ...state, pillars, concepts };
+}
+
+// ---------- Scenarios ----------
+/**
+ * A scenario is a named branch of the whole state. The active scenario *is* the live state;
+ * the others are parked in `state.scenarios[i].data` (without their own scenario list).
+ */
+function scenarioSnapshot(state) {
+  const { scenarios, scenarioId, ...data } = state;
+  return data;
+}
+
+export function scenarioData(state, id) {
+  if (id === state.scenarioId) return scenarioSnapshot(state);
+  return state.scenarios.find((sc) => sc.id === id)?.data;
+}
+
+export function switchScenario(state, id) {
+  const target = state.scenarios.find((sc) => sc.id === id);
+  if (!target || id === state.scenarioId) return state;
+  const scenarios = state.scenarios.map((sc) => {
+    if (sc.id === state.scenarioId) return { id: sc.id, name: sc.name, data: scenarioSnapshot(state) };
+    if (sc.id === id) return { id: sc.id, name: sc.name };
+    return sc;
+  });
+  return { ...target.data, scenarioId: id, scenarios };
+}
+
+export function duplicateScenario(state, id, name) {
+  const data = scenarioData(state, id);
+  if (!data) return state;
+  const copy = { id: uid("s"), name, data: JSON.parse(JSON.stringify(data)) };
+  return { ...state, scenarios: [...state.scenarios, copy] };
+}
+
+/**
+ * Per market and month (placements filed under it), which concepts, total budget, tribes and
+ * channels differ between two scenarios for `year`, plus both cohesion scores and the delta (b − a).
+ */
+export function diffScenarios(a, b, year) {
+  const planA = planFor(a, year);
+  const planB = planFor(b, year);
+  const markets = [...a.markets, ...b.markets.filter((m) => !a.markets.some((x) => x.id === m.id))];
+  const conceptNames = (s, list) => list.map((pl) => s.concepts.find((c) => c.id === pl.conceptId)?.name || (pl.conceptId ? "(missing)" : "Unassigned")).sort().join(" + ") || "—";
+  const tribeNames = (s, list) => [...new Set(list.flatMap((pl) => pl.tribes || []))].map((id) => s.tribes.find((t) => t.id === id)?.name || "(missing)").sort().join(", ") || "—";
+  const channels = (list) => [...new Set(list.flatMap((pl) => pl.channels || []))].sort().join(", ") || "—";
+  const money = (list) => (list.some((pl) => pl.budget != null) ? list.reduce((a, pl) => a + (pl.budget || 0), 0).toLocaleString() : "—");
+
+  const rows = [];
+  for (const m of markets) {
+    for (let mi = 0; mi < 12; mi++) {
+      const pa = placementsIn(planA[m.id], mi);
+      const pb = placementsIn(planB[m.id], mi);
+      const fields = [
+        ["Concept", conceptNames(a, pa), conceptNames(b, pb)],
+        ["Budget", money(pa), money(pb)],
+        ["Tribes", tribeNames(a, pa), tribeNames(b, pb)],
+        ["Channels", channels(pa), channels(pb)],
+      ];
+      const changes = fields.filter(([, x, y]) => x !== y).map(([field, x, y]) => ({ field, a: x, b: y }));
+      if (changes.length) rows.push({ marketId: m.id, marketName: m.name, month: mi, changes });
+    }
+  }
+
+  const ca = analyseCohesion(a, year);
+  const cb = analyseCohesion(b, year);
+  const byMarket = Object.fromEntries(markets.map((m) => {
+    const sa = ca.byMarket[m.id]?.score;
+    const sb = cb.byMarket[m.id]?.score;
+    return [m.id, { name: m.name, a: sa, b: sb, delta: sa != null && sb != null ? sb - sa : null }];
+  }));
+  return { rows, scores: { a: ca.overall, b: cb.overall, delta: cb.overall - ca.overall, byMarket } };
+}
+
+/**
+ * Short fingerprint of the active scenario's plan (every market, not just the region in view),
+ * printed on the executive pack: two packs with the same version show the same plan.
+ */
+export function planVersion(state) {
+  return crc32(new TextEncoder().encode(JSON.stringify(scenarioSnapshot(state)))).toString(16).padStart(8, "0");
+}